@@ -5,51 +5,146 @@
 'use strict';
 
 const { createCoreController } = require('@strapi/strapi').factories;
+const platformRegistry = require('../../../services/social-platforms/platform-registry');
+
+/**
+ * Store a connected account
+ * An account connected before (same platformAccountId) is updated instead of duplicated
+ * @param {Object} strapi - Strapi instance
+ * @param {Object} data - Account fields with encrypted tokens, including platform and platformAccountId
+ * @param {number} ownerId - Admin user who connected the account
+ * @returns {Object} - { account, created }
+ */
+async function saveConnectedAccount(strapi, data, ownerId = null) {
+  const documents = strapi.documents('api::social-media-account.social-media-account');
+  const existing = data.platformAccountId
+    ? await documents.findFirst({ filters: { platformAccountId: data.platformAccountId } })
+    : null;
+
+  if (existing && existing.platform !== data.platform) {
+    throw new Error(`Account ${data.platformAccountId} is already connected as ${existing.platform}`);
+  }
+
+  const fields = {
+    ...data,
+    connectionStatus: 'connected',
+    isActive: true,
+    lastError: null,
+    errorCount: 0,
+    tokenExpiryNotifiedAt: null,
+    ...(ownerId && { owner: ownerId }),
+  };
+
+  if (!existing) {
+    return { account: await documents.create({ data: fields }), created: true };
+  }
+
+  const account = await documents.update({
+    documentId: existing.documentId,
+    data: {
+      ...fields,
+      accountMetadata: { ...existing.accountMetadata, ...data.accountMetadata },
+    },
+  });
+
+  return { account, created: false };
+}
+
+/**
+ * Create or update an account from freshly issued tokens
+ * @param {Object} strapi - Strapi instance
+ * @param {string} platform - Platform name
+ * @param {Object} tokenData - { accessToken, refreshToken, expiresIn, ... }
+ * @param {number} ownerId - Admin user who connected the account
+ * @returns {Object} - { account, created }
+ */
+async function createConnectedAccount(strapi, platform, tokenData, ownerId = null) {
+  const adapter = platformRegistry.get(platform);
+  const encryptionService = require('../../../utils/encryption');
+
+  const profile = adapter.capabilities.profile
+    ? await adapter.profile(tokenData.accessToken, tokenData)
+    : { name: `${platform} Account` };
+
+  return await saveConnectedAccount(strapi, {
+    ...profile,
+    platform,
+    accessToken: encryptionService.encrypt(tokenData.accessToken),
+    refreshToken: encryptionService.encrypt(tokenData.refreshToken),
+    tokenExpiry: tokenData.expiresIn ? new Date(Date.now() + tokenData.expiresIn * 1000) : null,
+    ...(tokenData.scopes && { scopes: tokenData.scopes }),
+  }, ownerId);
+}
+
+/**
+ * Describe the accounts of a pending selection, without their tokens
+ * @param {Object} strapi - Strapi instance
+ * @param {Array} accounts - Selection accounts
+ * @returns {Array} - Accounts with a `connected` flag for those already stored
+ */
+async function describeSelection(strapi, accounts) {
+  const stored = await strapi.documents('api::social-media-account.social-media-account').findMany({
+    filters: { platformAccountId: { $in: accounts.map(account => account.platformAccountId) } },
+    fields: ['platformAccountId'],
+  });
+  const connectedIds = new Set(stored.map(account => account.platformAccountId));
+
+  return accounts.map(account => ({
+    platform: account.platform,
+    platformAccountId: account.platformAccountId,
+    name: account.name,
+    username: account.username,
+    profileUrl: account.profileUrl,
+    accountType: account.accountType,
+    avatarUrl: account.accountMetadata?.avatarUrl || null,
+    connected: connectedIds.has(account.platformAccountId),
+  }));
+}
 
 module.exports = createCoreController('api::social-media-account.social-media-account', ({ strapi }) => ({
   /**
    * Initiate OAuth connection
    * GET /api/social-media-accounts/connect/:platform
+   * The state and PKCE verifier stay on the server, bound to the requesting admin user
    */
   async connect(ctx) {
     try {
       const { platform } = ctx.params;
       const redirectUri = ctx.query.redirectUri || `${process.env.API_URL}/api/social-media-accounts/callback/${platform}`;
 
-      let authUrl;
-      let additionalData = {};
-
-      switch (platform) {
-        case 'facebook':
-        case 'instagram':
-          const facebookService = require('../../../services/social-platforms/facebook.service');
-          authUrl = facebookService.getAuthorizationUrl(redirectUri);
-          break;
-
-        case 'twitter':
-          const twitterService = require('../../../services/social-platforms/twitter.service');
-          const twitterAuth = await twitterService.getAuthorizationUrl(redirectUri);
-          authUrl = twitterAuth.url;
-          additionalData = {
-            codeVerifier: twitterAuth.codeVerifier,
-            state: twitterAuth.state,
-          };
-          break;
-
-        case 'linkedin':
-          const linkedinService = require('../../../services/social-platforms/linkedin.service');
-          authUrl = linkedinService.getAuthorizationUrl(redirectUri);
-          break;
-
-        default:
-          return ctx.badRequest(`Platform ${platform} not supported`);
+      if (!platformRegistry.has(platform)) {
+        return ctx.badRequest(`Platform ${platform} not supported`);
       }
 
+      if (!platformRegistry.supports(platform, 'oauth')) {
+        return ctx.badRequest(`${platform} connects with credentials, use POST /api/social-media-accounts/connect/${platform}`);
+      }
+
+      const adapter = platformRegistry.get(platform);
+      const { url: authUrl, state, codeVerifier, ...params } = await adapter.authorize(redirectUri, ctx.query);
+
+      if (adapter.capabilities.pkce && !codeVerifier) {
+        throw new Error(`No PKCE code verifier generated for ${platform}`);
+      }
+
+      const oauthStateService = require('../../../services/oauth-state.service');
+      const expiresAt = await oauthStateService.save(state, {
+        platform,
+        userId: ctx.state.user.id,
+        redirectUri,
+        codeVerifier: codeVerifier || null,
+        params,
+      });
+
       return ctx.send({
         authUrl,
-        ...additionalData,
+        expiresAt,
       });
     } catch (error) {
+      if (error.status === 400) {
+        return ctx.badRequest(error.message);
+      }
+
       strapi.log.error('OAuth connect error:', error);
       return ctx.internalServerError('Failed to initiate OAuth connection', { error: error.message });
     }
@@ -58,110 +153,198 @@ module.exports = createCoreController('api::social-media-account.social-media-ac
   /**
    * OAuth callback handler
    * GET /api/social-media-accounts/callback/:platform
+   * Only completes flows started by connect: the state must match a stored, unexpired flow for the platform
    */
   async callback(ctx) {
     try {
       const { platform } = ctx.params;
-      const { code, state, codeVerifier } = ctx.query;
+      const { code, state, error: authError, error_description: authErrorDescription } = ctx.query;
+
+      if (!platformRegistry.has(platform)) {
+        return ctx.badRequest(`Platform ${platform} not supported`);
+      }
+
+      if (!state) {
+        return ctx.badRequest('OAuth state is required');
+      }
+
+      const oauthStateService = require('../../../services/oauth-state.service');
+      const flow = await oauthStateService.consume(state);
+
+      if (!flow || flow.platform !== platform) {
+        return ctx.badRequest('Invalid or expired OAuth state, start the connection again');
+      }
+
+      if (authError) {
+        return ctx.badRequest(`Authorization was not granted: ${authErrorDescription || authError}`);
+      }
 
       if (!code) {
         return ctx.badRequest('Authorization code is required');
       }
 
-      const redirectUri = `${process.env.API_URL}/api/social-media-accounts/callback/${platform}`;
-      const encryptionService = require('../../../utils/encryption');
-      
-      let tokenData;
-      let userInfo;
-
-      switch (platform) {
-        case 'facebook':
-        case 'instagram':
-          const facebookService = require('../../../services/social-platforms/facebook.service');
-          tokenData = await facebookService.getAccessToken(code, redirectUri);
-          const longLivedToken = await facebookService.getLongLivedToken(tokenData.accessToken);
-          
-          // Create account entry
-          const account = await strapi.documents('api::social-media-account.social-media-account').create({
-            data: {
-              name: `${platform} Account`,
-              platform,
-              accessToken: encryptionService.encrypt(longLivedToken.accessToken),
-              tokenExpiry: new Date(Date.now() + longLivedToken.expiresIn * 1000),
-              connectionStatus: 'connected',
-              isActive: true,
-            },
-          });
-
-          return ctx.send({
-            message: 'Account connected successfully',
-            accountId: account.documentId,
-          });
-
-        case 'twitter':
-          if (!codeVerifier) {
-            return ctx.badRequest('Code verifier is required for Twitter');
-          }
-
-          const twitterService = require('../../../services/social-platforms/twitter.service');
-          tokenData = await twitterService.getAccessToken(code, codeVerifier, redirectUri);
-          userInfo = await twitterService.getUserInfo(tokenData.accessToken);
-
-          await strapi.documents('api::social-media-account.social-media-account').create({
-            data: {
-              name: `@${userInfo.username}`,
-              platform: 'twitter',
-              platformAccountId: userInfo.id,
-              username: userInfo.username,
-              profileUrl: `https://twitter.com/${userInfo.username}`,
-              accessToken: encryptionService.encrypt(tokenData.accessToken),
-              refreshToken: encryptionService.encrypt(tokenData.refreshToken),
-              tokenExpiry: new Date(Date.now() + tokenData.expiresIn * 1000),
-              connectionStatus: 'connected',
-              isActive: true,
-              accountMetadata: {
-                followersCount: userInfo.metrics?.followers_count || 0,
-                followingCount: userInfo.metrics?.following_count || 0,
-                verified: userInfo.verified,
-              },
-            },
-          });
-
-          return ctx.send({
-            message: 'Twitter account connected successfully',
-          });
-
-        case 'linkedin':
-          const linkedinService = require('../../../services/social-platforms/linkedin.service');
-          tokenData = await linkedinService.getAccessToken(code, redirectUri);
-          userInfo = await linkedinService.getUserProfile(tokenData.accessToken);
-
-          await strapi.documents('api::social-media-account.social-media-account').create({
-            data: {
-              name: `${userInfo.firstName} ${userInfo.lastName}`,
-              platform: 'linkedin',
-              platformAccountId: userInfo.id,
-              username: `${userInfo.firstName} ${userInfo.lastName}`,
-              accessToken: encryptionService.encrypt(tokenData.accessToken),
-              tokenExpiry: new Date(Date.now() + tokenData.expiresIn * 1000),
-              connectionStatus: 'connected',
-              isActive: true,
-            },
-          });
-
-          return ctx.send({
-            message: 'LinkedIn account connected successfully',
-          });
-
-        default:
-          return ctx.badRequest(`Platform ${platform} not supported`);
+      const adapter = platformRegistry.get(platform);
+
+      // Values stored when the flow started take precedence over anything in the redirect
+      const tokenData = await adapter.exchangeCode({
+        code,
+        redirectUri: flow.redirectUri,
+        codeVerifier: flow.codeVerifier,
+        query: { ...ctx.query, ...flow.params },
+      });
+
+      // The login grants several accounts; they are held until the admin picks the ones to import
+      if (adapter.capabilities.accountSelection) {
+        const encryptionService = require('../../../utils/encryption');
+        const accounts = await adapter.listAccounts(tokenData);
+
+        if (accounts.length === 0) {
+          return ctx.badRequest(`No accounts available to import from this ${platform} login`);
+        }
+
+        const { selectionId, expiresAt } = await oauthStateService.saveSelection({
+          platform,
+          userId: flow.userId,
+          accounts: accounts.map(({ accessToken, refreshToken, ...account }) => ({
+            ...account,
+            accessToken: encryptionService.encrypt(accessToken),
+            refreshToken: encryptionService.encrypt(refreshToken),
+          })),
+        });
+
+        return ctx.send({
+          message: 'Choose the accounts to import',
+          selectionId,
+          expiresAt,
+          accounts: await describeSelection(strapi, accounts),
+        });
       }
+
+      const { account, created } = await createConnectedAccount(strapi, platform, tokenData, flow.userId);
+
+      return ctx.send({
+        message: `${platform} account ${created ? 'connected' : 'reconnected'} successfully`,
+        accountId: account.documentId,
+      });
     } catch (error) {
       strapi.log.error('OAuth callback error:', error);
       return ctx.internalServerError('Failed to complete OAuth connection', { error: error.message });
     }
   },
 
+  /**
+   * Connect an account with credentials (platforms without OAuth)
+   * POST /api/social-media-accounts/connect/:platform
+   */
+  async login(ctx) {
+    try {
+      const { platform } = ctx.params;
+
+      if (!platformRegistry.supports(platform, 'credentials')) {
+        return ctx.badRequest(`Credential login not supported for ${platform}`);
+      }
+
+      const tokenData = await platformRegistry.get(platform).login(ctx.request.body || {});
+      const { account, created } = await createConnectedAccount(strapi, platform, tokenData, ctx.state.user.id);
+
+      return ctx.send({
+        message: `${platform} account ${created ? 'connected' : 'reconnected'} successfully`,
+        accountId: account.documentId,
+      });
+    } catch (error) {
+      if (error.status === 400) {
+        return ctx.badRequest(error.message);
+      }
+
+      strapi.log.error('Credential connect error:', error);
+      return ctx.internalServerError('Failed to connect account', { error: error.message });
+    }
+  },
+
+  /**
+   * List the accounts of a pending selection
+   * GET /api/social-media-accounts/selections/:selectionId
+   */
+  async selection(ctx) {
+    try {
+      const oauthStateService = require('../../../services/oauth-state.service');
+      const selection = await oauthStateService.getSelection(ctx.params.selectionId, ctx.state.user.id);
+
+      if (!selection) {
+        return ctx.notFound('Account selection not found or expired');
+      }
+
+      return ctx.send({
+        platform: selection.platform,
+        accounts: await describeSelection(strapi, selection.accounts),
+      });
+    } catch (error) {
+      strapi.log.error('Get account selection error:', error);
+      return ctx.internalServerError('Failed to get account selection', { error: error.message });
+    }
+  },
+
+  /**
+   * Import the chosen accounts of a pending selection
+   * POST /api/social-media-accounts/selections/:selectionId
+   * Each account is stored with its own token; accounts connected before are updated
+   */
+  async importSelection(ctx) {
+    try {
+      const { selectionId } = ctx.params;
+      const { accounts: chosen } = ctx.request.body || {};
+
+      if (!Array.isArray(chosen) || chosen.length === 0) {
+        return ctx.badRequest('accounts must be a non-empty array of platformAccountId values');
+      }
+
+      const oauthStateService = require('../../../services/oauth-state.service');
+      const selection = await oauthStateService.getSelection(selectionId, ctx.state.user.id);
+
+      if (!selection) {
+        return ctx.notFound('Account selection not found or expired');
+      }
+
+      const chosenIds = chosen.map(String);
+      const available = new Set(selection.accounts.map(account => account.platformAccountId));
+      const unknown = chosenIds.filter(id => !available.has(id));
+
+      if (unknown.length > 0) {
+        return ctx.badRequest(`Accounts not in this selection: ${unknown.join(', ')}`);
+      }
+
+      const issuedAt = new Date(selection.createdAt).getTime();
+      const imported = [];
+
+      for (const { expiresIn, ...account } of selection.accounts) {
+        if (!chosenIds.includes(account.platformAccountId)) continue;
+
+        const { account: saved, created } = await saveConnectedAccount(strapi, {
+          ...account,
+          tokenExpiry: expiresIn ? new Date(issuedAt + expiresIn * 1000) : null,
+        }, selection.userId);
+
+        imported.push({
+          accountId: saved.documentId,
+          platform: account.platform,
+          platformAccountId: account.platformAccountId,
+          name: account.name,
+          created,
+        });
+      }
+
+      await oauthStateService.deleteSelection(selectionId);
+
+      return ctx.send({
+        message: `${imported.length} account(s) imported successfully`,
+        data: imported,
+      });
+    } catch (error) {
+      strapi.log.error('Import account selection error:', error);
+      return ctx.internalServerError('Failed to import accounts', { error: error.message });
+    }
+  },
+
   /**
    * Disconnect account
    * POST /api/social-media-accounts/:id/disconnect
@@ -203,34 +386,21 @@ module.exports = createCoreController('api::social-media-account.social-media-ac
         return ctx.notFound('Account not found');
       }
 
-      const encryptionService = require('../../../utils/encryption');
-      
-      let newTokenData;
-
-      switch (account.platform) {
-        case 'twitter':
-          const twitterService = require('../../../services/social-platforms/twitter.service');
-          const refreshToken = encryptionService.decrypt(account.refreshToken);
-          newTokenData = await twitterService.refreshAccessToken(refreshToken);
-
-          await strapi.documents('api::social-media-account.social-media-account').update({
-            documentId: id,
-            data: {
-              accessToken: encryptionService.encrypt(newTokenData.accessToken),
-              refreshToken: encryptionService.encrypt(newTokenData.refreshToken),
-              tokenExpiry: new Date(Date.now() + newTokenData.expiresIn * 1000),
-              lastError: null,
-              errorCount: 0,
-            },
-          });
-
-          return ctx.send({
-            message: 'Token refreshed successfully',
-          });
-
-        default:
-          return ctx.badRequest(`Token refresh not supported for ${account.platform}`);
+      const TokenRefreshService = require('../../../services/token-refresh.service');
+      const result = await new TokenRefreshService(strapi).refreshAccount(account);
+
+      if (result.skipped) {
+        return ctx.badRequest(result.reason);
       }
+
+      if (!result.success) {
+        return ctx.badRequest('Token refresh failed; reconnect the account', { error: result.error });
+      }
+
+      return ctx.send({
+        message: 'Token refreshed successfully',
+        tokenExpiry: result.tokenExpiry,
+      });
     } catch (error) {
       strapi.log.error('Token refresh error:', error);
       return ctx.internalServerError('Failed to refresh token', { error: error.message });
@@ -253,29 +423,33 @@ module.exports = createCoreController('api::social-media-account.social-media-ac
         return ctx.notFound('Account not found');
       }
 
+      if (!platformRegistry.supports(account.platform, 'profile')) {
+        return ctx.send({
+          message: 'Sync not yet implemented for this platform',
+        });
+      }
+
       const encryptionService = require('../../../utils/encryption');
+      const AccountHealthService = require('../../../services/account-health.service');
+      const accountHealthService = new AccountHealthService(strapi);
       const accessToken = encryptionService.decrypt(account.accessToken);
 
-      let updatedMetadata = {};
-
-      switch (account.platform) {
-        case 'twitter':
-          const twitterService = require('../../../services/social-platforms/twitter.service');
-          const userInfo = await twitterService.getUserInfo(accessToken);
-          updatedMetadata = {
-            followersCount: userInfo.metrics?.followers_count || 0,
-            followingCount: userInfo.metrics?.following_count || 0,
-            postsCount: userInfo.metrics?.tweet_count || 0,
-            verified: userInfo.verified,
-          };
-          break;
-
-        default:
-          return ctx.send({
-            message: 'Sync not yet implemented for this platform',
-          });
+      let profile;
+
+      try {
+        profile = await platformRegistry.get(account.platform).profile(accessToken, account);
+      } catch (error) {
+        await accountHealthService.recordFailure(account, error, 'Sync');
+        throw error;
       }
 
+      await accountHealthService.recordSuccess(account);
+
+      const updatedMetadata = {
+        ...account.accountMetadata,
+        ...profile.accountMetadata,
+      };
+
       await strapi.documents('api::social-media-account.social-media-account').update({
         documentId: id,
         data: {
@@ -293,4 +467,126 @@ module.exports = createCoreController('api::social-media-account.social-media-ac
       return ctx.internalServerError('Failed to sync account', { error: error.message });
     }
   },
+
+  /**
+   * Check account health live
+   * GET /api/social-media-accounts/:id/health
+   * Validates the token with the platform, compares granted and required scopes and reports rate limit headroom
+   */
+  async health(ctx) {
+    try {
+      const { id } = ctx.params;
+
+      const account = await strapi.documents('api::social-media-account.social-media-account').findOne({
+        documentId: id,
+      });
+
+      if (!account) {
+        return ctx.notFound('Account not found');
+      }
+
+      if (!platformRegistry.has(account.platform)) {
+        return ctx.badRequest(`Platform ${account.platform} not supported`);
+      }
+
+      const AccountHealthService = require('../../../services/account-health.service');
+      const health = await new AccountHealthService(strapi).checkAccount(account);
+
+      return ctx.send({ data: health });
+    } catch (error) {
+      strapi.log.error('Account health check error:', error);
+      return ctx.internalServerError('Failed to check account health', { error: error.message });
+    }
+  },
+
+  /**
+   * List boards available to the account
+   * GET /api/social-media-accounts/:id/boards
+   */
+  async boards(ctx) {
+    try {
+      const { id } = ctx.params;
+
+      const account = await strapi.documents('api::social-media-account.social-media-account').findOne({
+        documentId: id,
+      });
+
+      if (!account) {
+        return ctx.notFound('Account not found');
+      }
+
+      if (!platformRegistry.supports(account.platform, 'boards')) {
+        return ctx.badRequest(`Boards not supported for ${account.platform}`);
+      }
+
+      const encryptionService = require('../../../utils/encryption');
+      const accessToken = encryptionService.decrypt(account.accessToken);
+
+      const boards = await platformRegistry.get(account.platform).listBoards(accessToken);
+
+      return ctx.send({
+        data: boards,
+        selectedBoardId: account.publishingDefaults?.boardId || null,
+      });
+    } catch (error) {
+      strapi.log.error('List boards error:', error);
+      return ctx.internalServerError('Failed to list boards', { error: error.message });
+    }
+  },
+
+  /**
+   * Select the default board for new pins
+   * PUT /api/social-media-accounts/:id/board
+   */
+  async selectBoard(ctx) {
+    try {
+      const { id } = ctx.params;
+      const { boardId } = ctx.request.body;
+
+      if (!boardId) {
+        return ctx.badRequest('boardId is required');
+      }
+
+      const account = await strapi.documents('api::social-media-account.social-media-account').findOne({
+        documentId: id,
+      });
+
+      if (!account) {
+        return ctx.notFound('Account not found');
+      }
+
+      if (!platformRegistry.supports(account.platform, 'boards')) {
+        return ctx.badRequest(`Boards not supported for ${account.platform}`);
+      }
+
+      const encryptionService = require('../../../utils/encryption');
+      const accessToken = encryptionService.decrypt(account.accessToken);
+
+      const boards = await platformRegistry.get(account.platform).listBoards(accessToken);
+      const board = boards.find(b => b.id === boardId);
+
+      if (!board) {
+        return ctx.badRequest(`Board ${boardId} not found for this account`);
+      }
+
+      const publishingDefaults = {
+        ...account.publishingDefaults,
+        boardId: board.id,
+        boardName: board.name,
+      };
+
+      await strapi.documents('api::social-media-account.social-media-account').update({
+        documentId: id,
+        data: { publishingDefaults },
+      });
+
+      return ctx.send({
+        message: 'Board selected successfully',
+        data: publishingDefaults,
+      });
+    } catch (error) {
+      strapi.log.error('Select board error:', error);
+      return ctx.internalServerError('Failed to select board', { error: error.message });
+    }
+  },
 }));
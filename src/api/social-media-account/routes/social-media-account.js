@@ -5,6 +5,7 @@
 'use strict';
 
 const { createCoreRouter } = require('@strapi/strapi').factories;
+const adminAuth = require('../../../utils/admin-auth');
 
 const defaultRouter = createCoreRouter('api::social-media-account.social-media-account');
 
@@ -14,6 +15,17 @@ const customRoutes = [
     path: '/social-media-accounts/connect/:platform',
     handler: 'social-media-account.connect',
     config: {
+      auth: { strategies: [adminAuth] }, // The flow is bound to the admin user starting it
+      policies: [],
+      middlewares: [],
+    },
+  },
+  {
+    method: 'POST',
+    path: '/social-media-accounts/connect/:platform',
+    handler: 'social-media-account.login',
+    config: {
+      auth: { strategies: [adminAuth] }, // The account is owned by the admin user connecting it
       policies: [],
       middlewares: [],
     },
@@ -23,7 +35,27 @@ const customRoutes = [
     path: '/social-media-accounts/callback/:platform',
     handler: 'social-media-account.callback',
     config: {
-      auth: false, // Allow unauthenticated callback
+      auth: false, // Allow unauthenticated callback; the stored OAuth state authenticates it
+      policies: [],
+      middlewares: [],
+    },
+  },
+  {
+    method: 'GET',
+    path: '/social-media-accounts/selections/:selectionId',
+    handler: 'social-media-account.selection',
+    config: {
+      auth: { strategies: [adminAuth] }, // Only the admin user who started the connection
+      policies: [],
+      middlewares: [],
+    },
+  },
+  {
+    method: 'POST',
+    path: '/social-media-accounts/selections/:selectionId',
+    handler: 'social-media-account.importSelection',
+    config: {
+      auth: { strategies: [adminAuth] },
       policies: [],
       middlewares: [],
     },
@@ -55,6 +87,33 @@ const customRoutes = [
       middlewares: [],
     },
   },
+  {
+    method: 'GET',
+    path: '/social-media-accounts/:id/health',
+    handler: 'social-media-account.health',
+    config: {
+      policies: [],
+      middlewares: [],
+    },
+  },
+  {
+    method: 'GET',
+    path: '/social-media-accounts/:id/boards',
+    handler: 'social-media-account.boards',
+    config: {
+      policies: [],
+      middlewares: [],
+    },
+  },
+  {
+    method: 'PUT',
+    path: '/social-media-accounts/:id/board',
+    handler: 'social-media-account.selectBoard',
+    config: {
+      policies: [],
+      middlewares: [],
+    },
+  },
 ];
 
 module.exports = {
@@ -10,6 +10,7 @@ const { createCoreController } = require('@strapi/strapi').factories;
 module.exports = createCoreController('api::social-media-post.social-media-post', ({ strapi }) => ({
   /**
    * Custom publish endpoint
+   * Queues the post on social-post-immediate; poll GET /api/social-media-posts/jobs/:jobId for the result
    * POST /api/social-media-posts/:id/publish
    */
   async publish(ctx) {
@@ -35,13 +36,23 @@ module.exports = createCoreController('api::social-media-post.social-media-post'
       const PublishingService = require('../../../services/publishing.service');
       const publishingService = new PublishingService(strapi);
 
-      // Publish the post
-      const results = await publishingService.publishPost(post);
+      if (await publishingService.isPublishing(post)) {
+        return ctx.badRequest('Post is already being published');
+      }
+
+      const validation = await publishingService.validatePost(post);
+      if (!validation.valid) {
+        return ctx.badRequest('Post failed validation', { validation });
+      }
+
+      // Queue the post
+      const job = await publishingService.enqueuePost(post);
 
       return ctx.send({
-        message: 'Post published successfully',
-        data: results,
-      });
+        message: 'Post queued for publishing',
+        data: job,
+        warnings: validation.warnings,
+      }, 202);
     } catch (error) {
       strapi.log.error('Publish error:', error);
       return ctx.internalServerError('Failed to publish post', { error: error.message });
@@ -55,18 +66,53 @@ module.exports = createCoreController('api::social-media-post.social-media-post'
   async schedule(ctx) {
     try {
       const { id } = ctx.params;
-      const { scheduledPublishDate, timezone } = ctx.request.body;
+      const { scheduledPublishDate, timezone, disambiguation } = ctx.request.body;
 
       if (!scheduledPublishDate) {
         return ctx.badRequest('scheduledPublishDate is required');
       }
 
+      const existingPost = await strapi.documents('api::social-media-post.social-media-post').findOne({
+        documentId: id,
+        populate: ['socialMediaAccounts', 'media'],
+      });
+
+      if (!existingPost) {
+        return ctx.notFound('Post not found');
+      }
+
+      const { isValidTimezone, resolveDateTime } = require('../../../utils/timezone');
+      const scheduleTimezone = timezone || existingPost.timezone || 'UTC';
+
+      if (!isValidTimezone(scheduleTimezone)) {
+        return ctx.badRequest(`Invalid timezone: ${scheduleTimezone}`);
+      }
+
+      // Naive times ("2025-03-30T09:00") are wall-clock times in the timezone
+      let resolved;
+      try {
+        resolved = resolveDateTime(scheduledPublishDate, scheduleTimezone, { disambiguation });
+      } catch (error) {
+        return ctx.badRequest(error.message);
+      }
+
+      if (resolved.date <= new Date()) {
+        return ctx.badRequest('Scheduled time must be in the future');
+      }
+
+      const PublishingService = require('../../../services/publishing.service');
+      const publishingService = new PublishingService(strapi);
+
+      const validation = await publishingService.validatePost(existingPost);
+      if (!validation.valid) {
+        return ctx.badRequest('Post failed validation', { validation });
+      }
+
       // Update post with schedule info
       const post = await strapi.documents('api::social-media-post.social-media-post').update({
         documentId: id,
         data: {
-          scheduledPublishDate,
-          timezone: timezone || 'UTC',
+          timezone: scheduleTimezone,
           autoPublish: true,
         },
         populate: ['socialMediaAccounts'],
@@ -76,10 +122,8 @@ module.exports = createCoreController('api::social-media-post.social-media-post'
         return ctx.notFound('Post not found');
       }
 
-      // Schedule the post
-      const PublishingService = require('../../../services/publishing.service');
-      const publishingService = new PublishingService(strapi);
-      const scheduleResult = await publishingService.schedulePost(post);
+      // Schedule the post; the date is stored together with its job
+      const scheduleResult = await publishingService.schedulePost({ ...post, scheduledPublishDate: resolved.date });
 
       return ctx.send({
         message: 'Post scheduled successfully',
@@ -87,7 +131,11 @@ module.exports = createCoreController('api::social-media-post.social-media-post'
           post,
           jobId: scheduleResult.jobId,
           scheduledTime: scheduleResult.scheduledTime,
+          timezone: scheduleResult.timezone,
+          localTime: scheduleResult.localTime,
+          dstAdjustment: resolved.adjustment,
         },
+        warnings: validation.warnings,
       });
     } catch (error) {
       strapi.log.error('Schedule error:', error);
@@ -95,6 +143,79 @@ module.exports = createCoreController('api::social-media-post.social-media-post'
     }
   },
 
+  /**
+   * Move a scheduled post to a new publish time, replacing its queue job
+   * POST /api/social-media-posts/:id/reschedule
+   */
+  async reschedule(ctx) {
+    try {
+      const { id } = ctx.params;
+      const { scheduledPublishDate, timezone, disambiguation } = ctx.request.body || {};
+
+      if (!scheduledPublishDate) {
+        return ctx.badRequest('scheduledPublishDate is required');
+      }
+
+      const post = await strapi.documents('api::social-media-post.social-media-post').findOne({
+        documentId: id,
+        populate: ['socialMediaAccounts'],
+      });
+
+      if (!post) {
+        return ctx.notFound('Post not found');
+      }
+
+      if (post.status !== 'scheduled') {
+        return ctx.badRequest('Only scheduled posts can be rescheduled');
+      }
+
+      const { isValidTimezone, resolveDateTime } = require('../../../utils/timezone');
+      const scheduleTimezone = timezone || post.timezone || 'UTC';
+
+      if (!isValidTimezone(scheduleTimezone)) {
+        return ctx.badRequest(`Invalid timezone: ${scheduleTimezone}`);
+      }
+
+      let resolved;
+      try {
+        resolved = resolveDateTime(scheduledPublishDate, scheduleTimezone, { disambiguation });
+      } catch (error) {
+        return ctx.badRequest(error.message);
+      }
+
+      if (resolved.date <= new Date()) {
+        return ctx.badRequest('Scheduled time must be in the future');
+      }
+
+      const PublishingService = require('../../../services/publishing.service');
+      const publishingService = new PublishingService(strapi);
+
+      if (scheduleTimezone !== post.timezone) {
+        await publishingService.updatePostStatus(post.documentId, { timezone: scheduleTimezone });
+      }
+
+      const scheduleResult = await publishingService.reschedulePost(
+        { ...post, timezone: scheduleTimezone },
+        resolved.date
+      );
+
+      return ctx.send({
+        message: 'Post rescheduled successfully',
+        data: {
+          jobId: scheduleResult.jobId,
+          previousJobId: scheduleResult.previousJobId,
+          scheduledTime: scheduleResult.scheduledTime,
+          timezone: scheduleResult.timezone,
+          localTime: scheduleResult.localTime,
+          dstAdjustment: resolved.adjustment,
+        },
+      });
+    } catch (error) {
+      strapi.log.error('Reschedule error:', error);
+      return ctx.internalServerError('Failed to reschedule post', { error: error.message });
+    }
+  },
+
   /**
    * Cancel a scheduled post
    * POST /api/social-media-posts/:id/cancel-schedule
@@ -102,11 +223,7 @@ module.exports = createCoreController('api::social-media-post.social-media-post'
   async cancelSchedule(ctx) {
     try {
       const { id } = ctx.params;
-      const { jobId } = ctx.request.body;
-
-      if (!jobId) {
-        return ctx.badRequest('jobId is required');
-      }
+      const { jobId } = ctx.request.body || {};
 
       const post = await strapi.documents('api::social-media-post.social-media-post').findOne({
         documentId: id,
@@ -116,10 +233,14 @@ module.exports = createCoreController('api::social-media-post.social-media-post'
         return ctx.notFound('Post not found');
       }
 
+      if (!jobId && !post.scheduledJobId) {
+        return ctx.badRequest('Post has no scheduled job');
+      }
+
       // Cancel the schedule
       const PublishingService = require('../../../services/publishing.service');
       const publishingService = new PublishingService(strapi);
-      await publishingService.cancelScheduledPost(post, jobId);
+      await publishingService.cancelScheduledPost(post, jobId || post.scheduledJobId);
 
       return ctx.send({
         message: 'Scheduled post cancelled successfully',
@@ -130,6 +251,366 @@ module.exports = createCoreController('api::social-media-post.social-media-post'
     }
   },
 
+  /**
+   * Retry publishing to the accounts that failed
+   * POST /api/social-media-posts/:id/retry
+   */
+  async retry(ctx) {
+    try {
+      const { id } = ctx.params;
+
+      const post = await strapi.documents('api::social-media-post.social-media-post').findOne({
+        documentId: id,
+        populate: ['socialMediaAccounts', 'media', 'campaign'],
+      });
+
+      if (!post) {
+        return ctx.notFound('Post not found');
+      }
+
+      if (!['partially_published', 'failed'].includes(post.status)) {
+        return ctx.badRequest('Only failed or partially published posts can be retried');
+      }
+
+      const PublishingService = require('../../../services/publishing.service');
+      const publishingService = new PublishingService(strapi);
+
+      if (await publishingService.isPublishing(post)) {
+        return ctx.badRequest('Post is already being published');
+      }
+
+      if (!publishingService.hasRetriesLeft(post)) {
+        return ctx.badRequest('Post reached its retry limit', {
+          retryCount: post.retryCount,
+          maxRetries: post.maxRetries,
+        });
+      }
+
+      const accountIds = publishingService.getFailedAccountIds(post);
+      if (accountIds.length === 0) {
+        return ctx.badRequest('Post has no failed accounts to retry');
+      }
+
+      const validation = await publishingService.validatePost(post, accountIds);
+      if (!validation.valid) {
+        return ctx.badRequest('Post failed validation', { validation });
+      }
+
+      // Queue the retry
+      const job = await publishingService.enqueueRetry(post, accountIds);
+
+      return ctx.send({
+        message: 'Post retry queued',
+        data: job,
+      }, 202);
+    } catch (error) {
+      strapi.log.error('Retry error:', error);
+      return ctx.internalServerError('Failed to retry post', { error: error.message });
+    }
+  },
+
+  /**
+   * Remove a post from every platform it was published to, now or at a later time
+   * POST /api/social-media-posts/:id/unpublish
+   */
+  async unpublish(ctx) {
+    try {
+      const { id } = ctx.params;
+      const { scheduledAt } = ctx.request.body || {};
+
+      const post = await strapi.documents('api::social-media-post.social-media-post').findOne({
+        documentId: id,
+        populate: ['socialMediaAccounts'],
+      });
+
+      if (!post) {
+        return ctx.notFound('Post not found');
+      }
+
+      if (!['published', 'partially_published'].includes(post.status)) {
+        return ctx.badRequest('Only published posts can be unpublished');
+      }
+
+      const PublishingService = require('../../../services/publishing.service');
+      const publishingService = new PublishingService(strapi);
+
+      if (scheduledAt) {
+        const { resolveDateTime } = require('../../../utils/timezone');
+
+        let scheduledTime;
+        try {
+          scheduledTime = resolveDateTime(scheduledAt, publishingService.getTimezone(post)).date;
+        } catch (error) {
+          return ctx.badRequest(error.message);
+        }
+
+        if (scheduledTime <= new Date()) {
+          return ctx.badRequest('scheduledAt must be a date in the future');
+        }
+
+        const scheduleResult = await publishingService.scheduleUnpublish(post, scheduledTime);
+
+        return ctx.send({
+          message: 'Post removal scheduled',
+          data: scheduleResult,
+        });
+      }
+
+      if (await publishingService.isPublishing(post)) {
+        return ctx.badRequest('Post is being published');
+      }
+
+      const results = await publishingService.unpublishPost(post);
+
+      return ctx.send({
+        message: results.status === 'archived'
+          ? 'Post unpublished successfully'
+          : 'Post could not be removed from every platform',
+        data: results,
+      });
+    } catch (error) {
+      strapi.log.error('Unpublish error:', error);
+      return ctx.internalServerError('Failed to unpublish post', { error: error.message });
+    }
+  },
+
+  /**
+   * Push edits of a published post to its live copies
+   * POST /api/social-media-posts/:id/update-live
+   */
+  async updateLive(ctx) {
+    try {
+      const { id } = ctx.params;
+      const { accounts } = ctx.request.body || {};
+
+      const post = await strapi.documents('api::social-media-post.social-media-post').findOne({
+        documentId: id,
+        populate: ['socialMediaAccounts', 'media'],
+      });
+
+      if (!post) {
+        return ctx.notFound('Post not found');
+      }
+
+      if (!['published', 'partially_published'].includes(post.status)) {
+        return ctx.badRequest('Only published posts can be updated live');
+      }
+
+      const PublishingService = require('../../../services/publishing.service');
+      const publishingService = new PublishingService(strapi);
+
+      if (await publishingService.isPublishing(post)) {
+        return ctx.badRequest('Post is being published');
+      }
+
+      const accountIds = Array.isArray(accounts) ? accounts : [];
+
+      const validation = await publishingService.validatePost(post, accountIds);
+      if (!validation.valid) {
+        return ctx.badRequest('Post failed validation', { validation });
+      }
+
+      const results = await publishingService.updateLivePost(post, { accountIds });
+
+      return ctx.send({
+        message: 'Live post updated',
+        data: results,
+      });
+    } catch (error) {
+      strapi.log.error('Update live error:', error);
+      return ctx.internalServerError('Failed to update live post', { error: error.message });
+    }
+  },
+
+  /**
+   * Make a post recurring, or replace its recurrence rule
+   * POST /api/social-media-posts/:id/recurrence
+   */
+  async setRecurrence(ctx) {
+    try {
+      const { id } = ctx.params;
+      const { recurrence, captionVariations } = ctx.request.body || {};
+
+      const post = await strapi.documents('api::social-media-post.social-media-post').findOne({
+        documentId: id,
+        populate: ['socialMediaAccounts', 'media'],
+      });
+
+      if (!post) {
+        return ctx.notFound('Post not found');
+      }
+
+      if (captionVariations !== undefined && (!Array.isArray(captionVariations)
+        || captionVariations.some(caption => typeof caption !== 'string' || !caption.trim()))) {
+        return ctx.badRequest('captionVariations must be an array of non-empty strings');
+      }
+
+      const PublishingService = require('../../../services/publishing.service');
+      const { parseRecurrence } = require('../../../utils/recurrence');
+      const publishingService = new PublishingService(strapi);
+
+      try {
+        parseRecurrence({ timezone: publishingService.getTimezone(post), ...recurrence });
+      } catch (error) {
+        return ctx.badRequest(error.message);
+      }
+
+      // Every caption the occurrences rotate through has to be publishable
+      const captions = captionVariations || post.captionVariations || [];
+      const candidates = captions.length > 0
+        ? captions.map(caption => ({ ...post, recurrence: null, content: caption, shortContent: null }))
+        : [{ ...post, recurrence: null }];
+
+      for (const [index, candidate] of candidates.entries()) {
+        const validation = await publishingService.validatePost(candidate);
+        if (!validation.valid) {
+          return ctx.badRequest(
+            captions.length > 0 ? `Caption variation ${index + 1} failed validation` : 'Post failed validation',
+            { validation }
+          );
+        }
+      }
+
+      const result = await publishingService.setRecurrence(post, recurrence, captionVariations);
+
+      return ctx.send({
+        message: 'Post recurrence scheduled',
+        data: result,
+      });
+    } catch (error) {
+      strapi.log.error('Set recurrence error:', error);
+      return ctx.internalServerError('Failed to set post recurrence', { error: error.message });
+    }
+  },
+
+  /**
+   * Stop republishing a recurring post
+   * DELETE /api/social-media-posts/:id/recurrence
+   */
+  async stopRecurrence(ctx) {
+    try {
+      const { id } = ctx.params;
+
+      const post = await strapi.documents('api::social-media-post.social-media-post').findOne({
+        documentId: id,
+      });
+
+      if (!post) {
+        return ctx.notFound('Post not found');
+      }
+
+      if (!post.recurrence) {
+        return ctx.badRequest('Post is not recurring');
+      }
+
+      const PublishingService = require('../../../services/publishing.service');
+      const publishingService = new PublishingService(strapi);
+
+      await publishingService.stopRecurrence(post);
+
+      return ctx.send({
+        message: 'Post recurrence stopped',
+      });
+    } catch (error) {
+      strapi.log.error('Stop recurrence error:', error);
+      return ctx.internalServerError('Failed to stop post recurrence', { error: error.message });
+    }
+  },
+
+  /**
+   * List the upcoming occurrences of a recurring post with the caption each will use
+   * GET /api/social-media-posts/:id/occurrences
+   */
+  async occurrences(ctx) {
+    try {
+      const { id } = ctx.params;
+      const limit = Math.min(parseInt(ctx.query.limit, 10) || 10, 100);
+
+      const post = await strapi.documents('api::social-media-post.social-media-post').findOne({
+        documentId: id,
+      });
+
+      if (!post) {
+        return ctx.notFound('Post not found');
+      }
+
+      const PublishingService = require('../../../services/publishing.service');
+      const publishingService = new PublishingService(strapi);
+
+      return ctx.send({
+        data: {
+          recurrence: post.recurrence || null,
+          occurrenceCount: post.occurrenceCount || 0,
+          occurrences: publishingService.getUpcomingOccurrences(post, { limit }),
+        },
+      });
+    } catch (error) {
+      strapi.log.error('Occurrences error:', error);
+      return ctx.internalServerError('Failed to get post occurrences', { error: error.message });
+    }
+  },
+
+  /**
+   * Validate a post against the constraints of each selected account
+   * POST /api/social-media-posts/:id/validate
+   */
+  async validate(ctx) {
+    try {
+      const { id } = ctx.params;
+
+      const post = await strapi.documents('api::social-media-post.social-media-post').findOne({
+        documentId: id,
+        populate: ['socialMediaAccounts', 'media'],
+      });
+
+      if (!post) {
+        return ctx.notFound('Post not found');
+      }
+
+      const PublishingService = require('../../../services/publishing.service');
+      const publishingService = new PublishingService(strapi);
+      const validation = await publishingService.validatePost(post);
+
+      return ctx.send({
+        data: validation,
+      });
+    } catch (error) {
+      strapi.log.error('Validate error:', error);
+      return ctx.internalServerError('Failed to validate post', { error: error.message });
+    }
+  },
+
+  /**
+   * Preview the rendered post for each selected account
+   * GET /api/social-media-posts/:id/preview
+   */
+  async preview(ctx) {
+    try {
+      const { id } = ctx.params;
+      const accountIds = ctx.query.accounts ? String(ctx.query.accounts).split(',') : [];
+
+      const post = await strapi.documents('api::social-media-post.social-media-post').findOne({
+        documentId: id,
+        populate: ['socialMediaAccounts', 'media'],
+      });
+
+      if (!post) {
+        return ctx.notFound('Post not found');
+      }
+
+      const PublishingService = require('../../../services/publishing.service');
+      const publishingService = new PublishingService(strapi);
+      const previews = await publishingService.previewPost(post, accountIds);
+
+      return ctx.send({
+        data: previews,
+      });
+    } catch (error) {
+      strapi.log.error('Preview error:', error);
+      return ctx.internalServerError('Failed to preview post', { error: error.message });
+    }
+  },
+
   /**
    * Get post analytics
    * GET /api/social-media-posts/:id/analytics
@@ -186,9 +667,19 @@ module.exports = createCoreController('api::social-media-post.social-media-post'
         title: `${originalPost.title} (Copy)`,
         status: 'draft',
         scheduledPublishDate: null,
+        scheduledJobId: null,
         actualPublishDate: null,
         platformPostIds: {},
         platformUrls: {},
+        deliveries: [],
+        scheduledUnpublishDate: null,
+        editHistory: [],
+        recurrence: null,
+        nextOccurrenceAt: null,
+        occurrenceCount: 0,
+        occurrenceHistory: [],
+        retryCount: 0,
+        errorLog: [],
         analytics: {
           likes: 0,
           shares: 0,
@@ -223,6 +714,7 @@ module.exports = createCoreController('api::social-media-post.social-media-post'
 
   /**
    * Bulk publish posts
+   * Valid posts are queued as one batch; poll GET /api/social-media-posts/batches/:batchId for progress
    * POST /api/social-media-posts/bulk-publish
    */
   async bulkPublish(ctx) {
@@ -233,15 +725,14 @@ module.exports = createCoreController('api::social-media-post.social-media-post'
         return ctx.badRequest('postIds array is required');
       }
 
-      const results = {
-        success: [],
-        failed: [],
-      };
+      const posts = [];
+      const failed = [];
+      const warnings = [];
 
       const PublishingService = require('../../../services/publishing.service');
       const publishingService = new PublishingService(strapi);
 
-      // Publish each post
+      // Validate each post before queueing
       for (const postId of postIds) {
         try {
           const post = await strapi.documents('api::social-media-post.social-media-post').findOne({
@@ -250,34 +741,132 @@ module.exports = createCoreController('api::social-media-post.social-media-post'
           });
 
           if (!post) {
-            results.failed.push({
+            failed.push({
               postId,
               error: 'Post not found',
             });
             continue;
           }
 
-          const publishResult = await publishingService.publishPost(post);
-          results.success.push({
-            postId,
-            title: post.title,
-            result: publishResult,
-          });
+          if (await publishingService.isPublishing(post)) {
+            failed.push({
+              postId,
+              error: 'Post is already being published',
+            });
+            continue;
+          }
+
+          const validation = await publishingService.validatePost(post);
+          if (!validation.valid) {
+            failed.push({
+              postId,
+              error: 'Post failed validation',
+              validation,
+            });
+            continue;
+          }
+
+          posts.push(post);
+          warnings.push(...validation.warnings.map(warning => ({ postId, ...warning })));
         } catch (error) {
-          results.failed.push({
+          failed.push({
             postId,
             error: error.message,
           });
         }
       }
 
+      const batch = posts.length > 0
+        ? await publishingService.enqueuePosts(posts)
+        : { batchId: null, jobs: [] };
+
       return ctx.send({
-        message: 'Bulk publish completed',
-        data: results,
-      });
+        message: `${batch.jobs.length} posts queued for publishing`,
+        data: {
+          batchId: batch.batchId,
+          queued: batch.jobs,
+          failed,
+          warnings,
+        },
+      }, 202);
     } catch (error) {
       strapi.log.error('Bulk publish error:', error);
       return ctx.internalServerError('Failed to bulk publish posts', { error: error.message });
     }
   },
+
+  /**
+   * Get the status and result of a publishing job
+   * GET /api/social-media-posts/jobs/:jobId
+   */
+  async jobStatus(ctx) {
+    try {
+      const { jobId } = ctx.params;
+
+      const queueService = require('../../../services/queue/queue.service');
+      const job = await queueService.getJobStatus('social-post-immediate', jobId);
+
+      if (!job) {
+        return ctx.notFound('Job not found');
+      }
+
+      return ctx.send({
+        data: {
+          jobId: job.jobId,
+          postId: job.data.postId,
+          batchId: job.data.batchId || null,
+          state: job.state,
+          attemptsMade: job.attemptsMade,
+          result: job.result,
+          error: job.error,
+          createdAt: job.createdAt,
+          processedAt: job.processedAt,
+          finishedAt: job.finishedAt,
+        },
+      });
+    } catch (error) {
+      strapi.log.error('Job status error:', error);
+      return ctx.internalServerError('Failed to get job status', { error: error.message });
+    }
+  },
+
+  /**
+   * Get the progress of a bulk publish batch with per-post results
+   * GET /api/social-media-posts/batches/:batchId
+   */
+  async batchStatus(ctx) {
+    try {
+      const { batchId } = ctx.params;
+
+      const queueService = require('../../../services/queue/queue.service');
+      const batch = await queueService.getBatchStatus(batchId);
+
+      if (!batch) {
+        return ctx.notFound('Batch not found');
+      }
+
+      return ctx.send({
+        data: {
+          batchId: batch.batchId,
+          total: batch.total,
+          finished: batch.finished,
+          done: batch.done,
+          counts: batch.counts,
+          createdAt: batch.createdAt,
+          posts: batch.jobs.map(job => ({
+            postId: job.data?.postId || null,
+            jobId: job.jobId,
+            state: job.state,
+            result: job.result || null,
+            error: job.error || null,
+            finishedAt: job.finishedAt || null,
+          })),
+        },
+      });
+    } catch (error) {
+      strapi.log.error('Batch status error:', error);
+      return ctx.internalServerError('Failed to get batch status', { error: error.message });
+    }
+  },
+
 }));
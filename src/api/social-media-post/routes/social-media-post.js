@@ -27,6 +27,15 @@ const customRoutes = [
       middlewares: [],
     },
   },
+  {
+    method: 'POST',
+    path: '/social-media-posts/:id/reschedule',
+    handler: 'social-media-post.reschedule',
+    config: {
+      policies: [],
+      middlewares: [],
+    },
+  },
   {
     method: 'POST',
     path: '/social-media-posts/:id/cancel-schedule',
@@ -36,6 +45,78 @@ const customRoutes = [
       middlewares: [],
     },
   },
+  {
+    method: 'POST',
+    path: '/social-media-posts/:id/retry',
+    handler: 'social-media-post.retry',
+    config: {
+      policies: [],
+      middlewares: [],
+    },
+  },
+  {
+    method: 'POST',
+    path: '/social-media-posts/:id/unpublish',
+    handler: 'social-media-post.unpublish',
+    config: {
+      policies: [],
+      middlewares: [],
+    },
+  },
+  {
+    method: 'POST',
+    path: '/social-media-posts/:id/update-live',
+    handler: 'social-media-post.updateLive',
+    config: {
+      policies: [],
+      middlewares: [],
+    },
+  },
+  {
+    method: 'POST',
+    path: '/social-media-posts/:id/recurrence',
+    handler: 'social-media-post.setRecurrence',
+    config: {
+      policies: [],
+      middlewares: [],
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/social-media-posts/:id/recurrence',
+    handler: 'social-media-post.stopRecurrence',
+    config: {
+      policies: [],
+      middlewares: [],
+    },
+  },
+  {
+    method: 'GET',
+    path: '/social-media-posts/:id/occurrences',
+    handler: 'social-media-post.occurrences',
+    config: {
+      policies: [],
+      middlewares: [],
+    },
+  },
+  {
+    method: 'POST',
+    path: '/social-media-posts/:id/validate',
+    handler: 'social-media-post.validate',
+    config: {
+      policies: [],
+      middlewares: [],
+    },
+  },
+  {
+    method: 'GET',
+    path: '/social-media-posts/:id/preview',
+    handler: 'social-media-post.preview',
+    config: {
+      policies: [],
+      middlewares: [],
+    },
+  },
   {
     method: 'GET',
     path: '/social-media-posts/:id/analytics',
@@ -63,6 +144,24 @@ const customRoutes = [
       middlewares: [],
     },
   },
+  {
+    method: 'GET',
+    path: '/social-media-posts/jobs/:jobId',
+    handler: 'social-media-post.jobStatus',
+    config: {
+      policies: [],
+      middlewares: [],
+    },
+  },
+  {
+    method: 'GET',
+    path: '/social-media-posts/batches/:batchId',
+    handler: 'social-media-post.batchStatus',
+    config: {
+      policies: [],
+      middlewares: [],
+    },
+  },
 ];
 
 module.exports = {
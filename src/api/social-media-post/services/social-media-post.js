@@ -5,6 +5,7 @@
 'use strict';
 
 const { createCoreService } = require('@strapi/strapi').factories;
+const platformRegistry = require('../../../services/social-platforms/platform-registry');
 
 module.exports = createCoreService('api::social-media-post.social-media-post', ({ strapi }) => ({
   /**
@@ -129,7 +130,7 @@ module.exports = createCoreService('api::social-media-post.social-media-post', (
    * @returns {number} - Total
    */
   sumPlatformMetrics(analytics, metric) {
-    const platforms = ['facebook', 'instagram', 'twitter', 'linkedin', 'tiktok', 'youtube'];
+    const platforms = platformRegistry.getPlatforms();
     let total = 0;
 
     platforms.forEach(platform => {
@@ -155,7 +156,7 @@ module.exports = createCoreService('api::social-media-post.social-media-post', (
           $gte: startDate,
           $lte: endDate,
         },
-        status: 'published',
+        status: { $in: ['published', 'partially_published'] },
       },
     });
 
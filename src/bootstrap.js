@@ -9,6 +9,9 @@ module.exports = async ({ strapi }) => {
   // Initialize queue workers
   const queueService = require('./services/queue/queue.service');
   const PublishingService = require('./services/publishing.service');
+  const TokenRefreshService = require('./services/token-refresh.service');
+  const NotificationService = require('./services/notification.service');
+  const platformRegistry = require('./services/social-platforms/platform-registry');
   const { queueLogger: logger } = require('./utils/logger');
 
   logger.info('Initializing queue workers...');
@@ -27,8 +30,71 @@ module.exports = async ({ strapi }) => {
         throw new Error(`Post not found: ${job.data.postId}`);
       }
 
+      const publishingService = new PublishingService(strapi);
+
+      // Automatic retry of the accounts that failed with a retryable error
+      if (job.data.type === 'retry-failed-accounts') {
+        const result = await publishingService.retryFailedAccounts(post);
+
+        if (result.skipped) {
+          return result;
+        }
+
+        logger.info('Post retry completed', {
+          postId: job.data.postId,
+          retryCount: result.retryCount,
+          successCount: result.success.length,
+          failedCount: result.failed.length,
+        });
+
+        return result;
+      }
+
+      // Scheduled removal; skipped when the removal was cancelled or moved
+      if (job.data.type === 'unpublish-post') {
+        const scheduledUnpublishDate = post.scheduledUnpublishDate && new Date(post.scheduledUnpublishDate).toISOString();
+
+        if (scheduledUnpublishDate !== job.data.scheduledTime) {
+          return { skipped: true, reason: 'Removal cancelled or rescheduled' };
+        }
+
+        const result = await publishingService.unpublishPost(post);
+
+        logger.info('Scheduled post removal completed', {
+          postId: job.data.postId,
+          status: result.status,
+        });
+
+        return result;
+      }
+
+      // Occurrence of a recurring post; skipped when the recurrence was stopped or moved
+      if (job.data.type === 'recurring-post') {
+        const nextOccurrenceAt = post.nextOccurrenceAt && new Date(post.nextOccurrenceAt).toISOString();
+
+        if (!post.recurrence || nextOccurrenceAt !== job.data.scheduledTime) {
+          return { skipped: true, reason: 'Recurrence stopped or rescheduled' };
+        }
+
+        const result = await publishingService.publishOccurrence(post);
+
+        if (!result.deferred) {
+          await publishingService.scheduleRetry(post, result);
+        }
+
+        return result;
+      }
+
+      // A post left in publishing without a lock was interrupted; resume it so its deliveries are reconciled
+      const interrupted = post.status === 'publishing' && !(await publishingService.isPublishing(post));
+
+      // A job replaced by a reschedule that could not be removed from the queue
+      if (post.scheduledJobId && post.scheduledJobId !== String(job.id) && !interrupted) {
+        return { skipped: true, reason: 'Superseded by a newer schedule' };
+      }
+
       // Check if post is still scheduled
-      if (post.status !== 'scheduled') {
+      if (post.status !== 'scheduled' && !interrupted) {
         logger.warn('Post status is not scheduled, skipping', {
           postId: job.data.postId,
           status: post.status,
@@ -37,8 +103,8 @@ module.exports = async ({ strapi }) => {
       }
 
       // Publish the post
-      const publishingService = new PublishingService(strapi);
       const result = await publishingService.publishPost(post);
+      await publishingService.scheduleRetry(post, result);
 
       logger.info('Scheduled post published successfully', {
         postId: job.data.postId,
@@ -78,8 +144,40 @@ module.exports = async ({ strapi }) => {
       }
 
       const publishingService = new PublishingService(strapi);
+
+      // Retry requested through the API
+      if (job.data.type === 'retry-failed-accounts') {
+        const result = await publishingService.retryFailedAccounts(post, { accountIds: job.data.accountIds });
+
+        if (result.skipped) {
+          return result;
+        }
+
+        logger.info('Post retry completed', {
+          postId: job.data.postId,
+          retryCount: result.retryCount,
+          successCount: result.success.length,
+          failedCount: result.failed.length,
+        });
+
+        return result;
+      }
+
+      if (post.status === 'published') {
+        return { skipped: true, reason: 'Post already published' };
+      }
+
+      if (await publishingService.isPublishing(post)) {
+        return { skipped: true, reason: 'Post is already being published' };
+      }
       const result = await publishingService.publishPost(post);
 
+      logger.info('Immediate post published', {
+        postId: job.data.postId,
+        batchId: job.data.batchId,
+        status: result.status,
+      });
+
       return result;
     } catch (error) {
       logger.error('Failed to publish immediate post', {
@@ -99,6 +197,19 @@ module.exports = async ({ strapi }) => {
 
   // Worker for token refresh
   queueService.createWorker('token-refresh', async (job) => {
+    const tokenRefreshService = new TokenRefreshService(strapi);
+
+    // Recurring sweep that queues refreshes and expiry warnings
+    if (job.data.type === 'token-refresh-sweep') {
+      const summary = await tokenRefreshService.sweep();
+
+      return {
+        refreshing: summary.refreshing.length,
+        notified: summary.notified.length,
+        expired: summary.expired.length,
+      };
+    }
+
     logger.info('Processing token refresh', { jobId: job.id, accountId: job.data.accountId });
 
     try {
@@ -110,34 +221,27 @@ module.exports = async ({ strapi }) => {
         throw new Error(`Account not found: ${job.data.accountId}`);
       }
 
-      // Only Twitter supports token refresh currently
-      if (account.platform === 'twitter') {
-        const twitterService = require('./services/social-platforms/twitter.service');
-        const encryptionService = require('./utils/encryption');
-
-        const refreshToken = encryptionService.decrypt(account.refreshToken);
-        const newTokenData = await twitterService.refreshAccessToken(refreshToken);
-
-        await strapi.documents('api::social-media-account.social-media-account').update({
-          documentId: job.data.accountId,
-          data: {
-            accessToken: encryptionService.encrypt(newTokenData.accessToken),
-            refreshToken: encryptionService.encrypt(newTokenData.refreshToken),
-            tokenExpiry: new Date(Date.now() + newTokenData.expiresIn * 1000),
-            lastError: null,
-            errorCount: 0,
-          },
-        });
-
-        logger.info('Token refreshed successfully', { accountId: job.data.accountId });
+      return await tokenRefreshService.refreshAccount(account);
+    } catch (error) {
+      logger.error('Failed to refresh token', {
+        jobId: job.id,
+        accountId: job.data.accountId,
+        error: error.message,
+      });
+      throw error;
+    }
+  });
 
-        return { success: true };
-      }
+  // Worker for account owner notifications
+  queueService.createWorker('notification-queue', async (job) => {
+    logger.info('Processing notification', { jobId: job.id, event: job.data.event, accountId: job.data.accountId });
 
-      return { skipped: true, reason: 'Platform does not support token refresh' };
+    try {
+      return await new NotificationService(strapi).deliver(job.data);
     } catch (error) {
-      logger.error('Failed to refresh token', {
+      logger.error('Failed to deliver notification', {
         jobId: job.id,
+        event: job.data.event,
         accountId: job.data.accountId,
         error: error.message,
       });
@@ -159,56 +263,57 @@ module.exports = async ({ strapi }) => {
         return { skipped: true, reason: 'Post not published' };
       }
 
-      const encryptionService = require('./utils/encryption');
-      const facebookService = require('./services/social-platforms/facebook.service');
-      const twitterService = require('./services/social-platforms/twitter.service');
+      const publishingService = new PublishingService(strapi);
 
+      // Keyed by account; a post may target several accounts on the same platform
       const analyticsResults = {};
+      const platformTotals = {};
 
-      // Fetch analytics from each platform
+      // Fetch analytics from each account
       for (const account of post.socialMediaAccounts || []) {
-        const accessToken = encryptionService.decrypt(account.accessToken);
-        const platformPostId = post.platformPostIds[account.platform];
-
-        if (!platformPostId) continue;
+        if (!platformRegistry.supports(account.platform, 'metrics')) continue;
 
         try {
-          let analytics;
-
-          switch (account.platform) {
-            case 'facebook':
-              analytics = await facebookService.getPostAnalytics(platformPostId, accessToken);
-              break;
-
-            case 'instagram':
-              analytics = await facebookService.getInstagramInsights(platformPostId, accessToken);
-              break;
+          // Threads are summed across all of their posts
+          const analytics = await publishingService.fetchPostMetrics(post, account);
 
-            case 'twitter':
-              analytics = await twitterService.getTweetAnalytics(accessToken, platformPostId);
-              break;
+          if (!analytics) continue;
 
-            default:
-              continue;
-          }
+          analyticsResults[account.documentId] = { platform: account.platform, analytics };
 
-          analyticsResults[account.platform] = analytics;
-
-          // Update post analytics
-          const postService = strapi.service('api::social-media-post.social-media-post');
-          await postService.updateAnalytics(post.documentId, analytics, account.platform);
+          const totals = platformTotals[account.platform] || (platformTotals[account.platform] = {});
+          Object.entries(analytics).forEach(([metric, value]) => {
+            totals[metric] = (totals[metric] || 0) + value;
+          });
         } catch (error) {
           logger.error(`Failed to fetch analytics for ${account.platform}`, {
             postId: post.documentId,
+            accountId: account.documentId,
             platform: account.platform,
             error: error.message,
           });
         }
       }
 
+      // Update post analytics with the totals of each platform's accounts
+      const postService = strapi.service('api::social-media-post.social-media-post');
+
+      for (const [platform, totals] of Object.entries(platformTotals)) {
+        try {
+          await postService.updateAnalytics(post.documentId, totals, platform);
+        } catch (error) {
+          logger.error(`Failed to update analytics for ${platform}`, {
+            postId: post.documentId,
+            platform,
+            error: error.message,
+          });
+        }
+      }
+
       logger.info('Analytics sync completed', {
         postId: post.documentId,
-        platforms: Object.keys(analyticsResults),
+        accounts: Object.keys(analyticsResults),
+        platforms: Object.keys(platformTotals),
       });
 
       return analyticsResults;
@@ -235,12 +340,23 @@ module.exports = async ({ strapi }) => {
     }
   );
 
+  // Sweep for access tokens close to expiry
+  await queueService.addRecurringJob(
+    'token-refresh',
+    {
+      type: 'token-refresh-sweep',
+    },
+    {
+      pattern: '*/10 * * * *', // Every 10 minutes
+    }
+  );
+
   logger.info('Recurring jobs scheduled');
 
   // Log startup message
   strapi.log.info('🚀 Social Media CMS initialized successfully');
-  strapi.log.info('📱 Multi-platform publishing: Facebook, Instagram, Twitter, LinkedIn');
+  strapi.log.info(`📱 Multi-platform publishing: ${platformRegistry.getPlatforms().join(', ')}`);
   strapi.log.info('⏰ Scheduled publishing with queue management');
   strapi.log.info('📊 Analytics tracking and reporting');
-  strapi.log.info('🔐 Encrypted token storage');
+  strapi.log.info('🔐 Encrypted token storage with automatic refresh');
 };
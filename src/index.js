@@ -8,7 +8,11 @@ module.exports = {
    *
    * This gives you an opportunity to extend code.
    */
-  register(/*{ strapi }*/) {},
+  register({ strapi }) {
+    // Keep scheduled queue jobs in sync with post changes made through the document service
+    const ScheduleSyncService = require('./services/schedule-sync.service');
+    new ScheduleSyncService(strapi).register();
+  },
 
   /**
    * An asynchronous bootstrap function that runs before
@@ -0,0 +1,264 @@
+/**
+ * Account Health Service
+ * Tracks the outcome of every platform call made for an account, moves accounts that keep failing out of
+ * `connected`, and runs live connection diagnostics
+ */
+
+const NotificationService = require('./notification.service');
+const platformRegistry = require('./social-platforms/platform-registry');
+const encryptionService = require('../utils/encryption');
+const { classifyError } = require('../utils/error-classifier');
+const { getErrorRateLimit, getHeadroom } = require('../utils/rate-limit');
+const { apiLogger: logger } = require('../utils/logger');
+
+const ACCOUNT_UID = 'api::social-media-account.social-media-account';
+// Consecutive failures after which a connected account is marked error (or expired for auth failures)
+const FAILURE_THRESHOLD = parseInt(process.env.ACCOUNT_FAILURE_THRESHOLD) || 3;
+// Failure types that say something about the account; validation and interrupted failures are about the post
+const COUNTED_TYPES = ['auth', 'transient'];
+// Statuses a success or a failure may move an account out of; disconnected and pending accounts are left alone
+const TRACKED_STATUSES = ['connected', 'error', 'expired'];
+
+class AccountHealthService {
+  constructor(strapi) {
+    this.strapi = strapi;
+    this.notificationService = new NotificationService(strapi);
+  }
+
+  /**
+   * Record a successful platform call
+   * Clears the failure streak and restores accounts marked error or expired; nothing is written for an
+   * account that is already healthy unless there is rate limit information to store
+   * @param {Object} account - Social media account
+   * @param {Object} options - Options
+   * @param {Object} options.rateLimit - Rate limit reported by the platform (optional)
+   */
+  async recordSuccess(account, { rateLimit = null } = {}) {
+    const data = {};
+
+    if (account.errorCount || account.lastError) {
+      Object.assign(data, { errorCount: 0, lastError: null });
+    }
+
+    if (TRACKED_STATUSES.includes(account.connectionStatus) && account.connectionStatus !== 'connected') {
+      data.connectionStatus = 'connected';
+    }
+
+    if (rateLimit) {
+      data.rateLimitInfo = { ...rateLimit, checkedAt: new Date() };
+    } else if (account.rateLimitInfo?.limitedAt) {
+      // The call went through, so the limit that was hit has reset
+      data.rateLimitInfo = { ...account.rateLimitInfo, remaining: null, usagePercent: null, limitedAt: null };
+    }
+
+    if (Object.keys(data).length === 0) return;
+
+    try {
+      await this.strapi.documents(ACCOUNT_UID).update({ documentId: account.documentId, data });
+    } catch (error) {
+      logger.error('Failed to record account success', { accountId: account.documentId, error: error.message });
+    }
+  }
+
+  /**
+   * Record a failed platform call
+   * Rate limits are stored in rateLimitInfo without counting as failures. Auth and transient failures extend the
+   * streak; once it reaches the threshold the account is marked expired (auth) or error, and its owner is told
+   * @param {Object} account - Social media account
+   * @param {Error} error - Error thrown by the platform call
+   * @param {string} source - What failed, e.g. "Publish"
+   * @returns {Object|null} - { type, errorCount, connectionStatus, transitioned }, or null when not recorded
+   */
+  async recordFailure(account, error, source) {
+    const { type } = classifyError(error);
+    const lastError = `${source} failed: ${error.message}`;
+
+    try {
+      if (type === 'rate_limit') {
+        await this.strapi.documents(ACCOUNT_UID).update({
+          documentId: account.documentId,
+          data: {
+            lastError,
+            rateLimitInfo: {
+              ...account.rateLimitInfo,
+              ...getErrorRateLimit(error),
+              remaining: 0,
+              limitedAt: new Date(),
+            },
+          },
+        });
+
+        return {
+          type,
+          errorCount: account.errorCount || 0,
+          connectionStatus: account.connectionStatus,
+          transitioned: false,
+        };
+      }
+
+      if (!COUNTED_TYPES.includes(type)) {
+        return null;
+      }
+
+      const errorCount = (account.errorCount || 0) + 1;
+      const failingStatus = type === 'auth' ? 'expired' : 'error';
+      const transitioned = errorCount >= FAILURE_THRESHOLD
+        && TRACKED_STATUSES.includes(account.connectionStatus)
+        && account.connectionStatus !== failingStatus
+        && account.connectionStatus !== 'expired';
+      const connectionStatus = transitioned ? failingStatus : account.connectionStatus;
+
+      await this.strapi.documents(ACCOUNT_UID).update({
+        documentId: account.documentId,
+        data: { lastError, errorCount, connectionStatus },
+      });
+
+      if (transitioned) {
+        logger.warn('Account marked unhealthy after consecutive failures', {
+          accountId: account.documentId,
+          platform: account.platform,
+          connectionStatus,
+          errorCount,
+        });
+
+        await this.notificationService.notifyAccountOwner(account, `account-${connectionStatus}`, {
+          subject: `Your ${account.platform} account ${account.name} needs attention`,
+          message: `${account.name} (${account.platform}) was marked ${connectionStatus} after ${errorCount} `
+            + `consecutive failures. Last error: ${lastError}. Posts are not published to it until it is `
+            + `${connectionStatus === 'expired' ? 'reconnected' : 'checked or reconnected'}.`,
+          details: { connectionStatus, errorCount, lastError },
+        });
+      }
+
+      return { type, errorCount, connectionStatus, transitioned };
+    } catch (updateError) {
+      logger.error('Failed to record account failure', {
+        accountId: account.documentId,
+        error: updateError.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Get why an account must not be published to
+   * @param {Object} account - Social media account
+   * @param {Date} now - Reference time
+   * @returns {string|null} - Reason starting with "Account excluded from publishing", or null when healthy
+   */
+  getExclusionReason(account, now = new Date()) {
+    let reason = null;
+
+    if (!account.isActive) {
+      reason = 'account is deactivated';
+    } else if (account.connectionStatus !== 'connected') {
+      reason = `account is ${account.connectionStatus || 'not connected'}`
+        + `${account.lastError ? ` (${account.lastError})` : ''}; reconnect it`;
+    } else if (account.tokenExpiry && new Date(account.tokenExpiry) <= now) {
+      reason = `access token expired at ${new Date(account.tokenExpiry).toISOString()}; refresh or reconnect the account`;
+    }
+
+    return reason ? `Account excluded from publishing: ${reason}` : null;
+  }
+
+  /**
+   * Run a live health check of an account
+   * Calls the platform to validate the token, compares granted and required scopes and reports the rate limit
+   * headroom. The outcome is recorded like any other platform call
+   * @param {Object} account - Social media account (tokens encrypted)
+   * @returns {Object} - Health report
+   */
+  async checkAccount(account) {
+    const adapter = platformRegistry.get(account.platform);
+    const now = new Date();
+    const issues = [];
+    let live = {};
+    let failure = null;
+
+    try {
+      live = await adapter.checkHealth(account, encryptionService.decrypt(account.accessToken));
+    } catch (error) {
+      failure = error;
+      issues.push(`Live check failed: ${error.message}`);
+    }
+
+    const required = adapter.getRequiredScopes(account);
+    const granted = live.scopes || (account.scopes?.length > 0 ? account.scopes : null);
+    const missing = granted ? required.filter(scope => !granted.includes(scope)) : null;
+
+    if (missing?.length > 0) {
+      issues.push(`Missing required scopes: ${missing.join(', ')}; reconnect the account to grant them`);
+    }
+
+    // The schema default (all zeros) is not a reading; only stored values from a call or a rate limit error are
+    const stored = account.rateLimitInfo?.checkedAt || account.rateLimitInfo?.limitedAt ? account.rateLimitInfo : null;
+    const rateLimit = live.rateLimit || stored;
+    const headroom = getHeadroom(rateLimit, now);
+
+    if (headroom === 'exhausted') {
+      issues.push('Rate limit exhausted; posts are retried after it resets');
+    } else if (headroom === 'low') {
+      issues.push('Rate limit almost used up');
+    }
+
+    let current;
+
+    if (failure) {
+      const recorded = await this.recordFailure(account, failure, 'Health check');
+      current = {
+        ...account,
+        ...(recorded && {
+          errorCount: recorded.errorCount,
+          connectionStatus: recorded.connectionStatus,
+          lastError: `Health check failed: ${failure.message}`,
+        }),
+      };
+    } else {
+      await this.recordSuccess(account, { rateLimit: live.rateLimit });
+      current = {
+        ...account,
+        errorCount: 0,
+        lastError: null,
+        connectionStatus: TRACKED_STATUSES.includes(account.connectionStatus) ? 'connected' : account.connectionStatus,
+      };
+    }
+
+    const exclusion = this.getExclusionReason(current, now);
+
+    if (exclusion) {
+      issues.push(exclusion);
+    }
+
+    const tokenExpiry = live.expiresAt || account.tokenExpiry || null;
+
+    return {
+      accountId: account.documentId,
+      platform: account.platform,
+      name: account.name,
+      healthy: !failure && !exclusion && !(missing?.length > 0) && headroom !== 'exhausted',
+      connectionStatus: current.connectionStatus,
+      errorCount: current.errorCount || 0,
+      lastError: current.lastError || null,
+      token: {
+        valid: !failure,
+        expiresAt: tokenExpiry ? new Date(tokenExpiry).toISOString() : null,
+        refreshable: adapter.canRefresh(account),
+      },
+      scopes: { required, granted, missing },
+      rateLimit: {
+        ...(rateLimit && {
+          limit: rateLimit.limit ?? null,
+          remaining: rateLimit.remaining ?? null,
+          resetTime: rateLimit.resetTime || null,
+          usagePercent: rateLimit.usagePercent ?? null,
+        }),
+        headroom,
+      },
+      publishable: !exclusion,
+      issues,
+      checkedAt: now.toISOString(),
+    };
+  }
+}
+
+module.exports = AccountHealthService;
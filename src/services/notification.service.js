@@ -0,0 +1,119 @@
+/**
+ * Notification Service
+ * Notifies account owners by email and through the account webhook, via the notification queue
+ */
+
+const axios = require('axios');
+const queueService = require('./queue/queue.service');
+const { queueLogger: logger } = require('../utils/logger');
+
+const ACCOUNT_UID = 'api::social-media-account.social-media-account';
+const WEBHOOK_TIMEOUT = 10000;
+// notificationSettings flag that turns each event off
+const EVENT_SETTINGS = {
+  'token-expiring': 'onError',
+  'token-expired': 'onError',
+  'account-error': 'onError',
+  'account-expired': 'onError',
+};
+
+class NotificationService {
+  constructor(strapi) {
+    this.strapi = strapi;
+  }
+
+  /**
+   * Queue a notification to the owner of an account
+   * @param {Object} account - Social media account
+   * @param {string} event - Event name, e.g. "token-expiring"
+   * @param {Object} notification - { subject, message, details }
+   * @returns {Job|null} - Queued job, or null when the account turned the event off
+   */
+  async notifyAccountOwner(account, event, { subject, message, details = {} }) {
+    const setting = EVENT_SETTINGS[event];
+
+    if (setting && account.notificationSettings?.[setting] === false) {
+      logger.info('Account notification turned off, skipping', { accountId: account.documentId, event });
+      return null;
+    }
+
+    return await queueService.addJob('notification-queue', {
+      type: 'account-notification',
+      event,
+      accountId: account.documentId,
+      subject,
+      message,
+      details,
+    });
+  }
+
+  /**
+   * Deliver a queued account notification
+   * The owner is the admin user who connected the account (its creator for accounts connected before owners
+   * were recorded); the webhook gets the event as JSON
+   * @param {Object} data - Job data from notifyAccountOwner
+   * @returns {Object} - { email, webhook } flags for the channels that were reached
+   */
+  async deliver({ event, accountId, subject, message, details = {} }) {
+    const account = await this.strapi.documents(ACCOUNT_UID).findOne({
+      documentId: accountId,
+      populate: ['owner', 'createdBy'],
+    });
+
+    if (!account) {
+      throw new Error(`Account not found: ${accountId}`);
+    }
+
+    const sent = { email: false, webhook: false };
+    const errors = [];
+    const owner = account.owner || account.createdBy;
+
+    if (owner?.email) {
+      try {
+        await this.strapi.plugin('email').service('email').send({
+          to: owner.email,
+          subject,
+          text: message,
+        });
+        sent.email = true;
+      } catch (error) {
+        errors.push(`email: ${error.message}`);
+      }
+    }
+
+    if (account.webhookUrl) {
+      try {
+        await axios.post(account.webhookUrl, {
+          event,
+          account: {
+            id: account.documentId,
+            name: account.name,
+            platform: account.platform,
+            username: account.username,
+          },
+          subject,
+          message,
+          details,
+          sentAt: new Date().toISOString(),
+        }, { timeout: WEBHOOK_TIMEOUT });
+        sent.webhook = true;
+      } catch (error) {
+        errors.push(`webhook: ${error.message}`);
+      }
+    }
+
+    if (errors.length > 0 && !sent.email && !sent.webhook) {
+      throw new Error(`Failed to deliver ${event} notification (${errors.join('; ')})`);
+    }
+
+    if (errors.length > 0) {
+      logger.warn('Account notification partly delivered', { accountId, event, errors });
+    } else if (!sent.email && !sent.webhook) {
+      logger.warn('Account has no owner email or webhook, notification dropped', { accountId, event });
+    }
+
+    return sent;
+  }
+}
+
+module.exports = NotificationService;
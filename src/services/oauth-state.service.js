@@ -0,0 +1,110 @@
+/**
+ * OAuth State Service
+ * Keeps the state and PKCE verifier of each OAuth flow on the server, bound to the admin user who started it,
+ * and the accounts a login granted until that user picks the ones to import
+ */
+
+const crypto = require('crypto');
+const queueService = require('./queue/queue.service');
+
+const STATE_KEY_PREFIX = 'social-oauth-state:';
+const SELECTION_KEY_PREFIX = 'social-oauth-selection:';
+// Time allowed between starting a connection and the platform redirecting back
+const STATE_TTL = 10 * 60;
+// Time allowed to pick the accounts to import after the redirect
+const SELECTION_TTL = 15 * 60;
+const STATE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+class OAuthStateService {
+  /**
+   * Store a new OAuth flow under its state
+   * @param {string} state - State sent to the platform
+   * @param {Object} flow - { platform, userId, redirectUri, codeVerifier, params }
+   * @returns {Date} - When the flow expires
+   */
+  async save(state, flow) {
+    if (typeof state !== 'string' || !STATE_PATTERN.test(state)) {
+      throw new Error(`Invalid OAuth state generated for ${flow.platform}`);
+    }
+
+    const stored = await queueService.redisConnection.set(
+      `${STATE_KEY_PREFIX}${state}`,
+      JSON.stringify({ ...flow, createdAt: new Date().toISOString() }),
+      'EX',
+      STATE_TTL,
+      'NX'
+    );
+
+    if (!stored) {
+      throw new Error('OAuth state is already in use');
+    }
+
+    return new Date(Date.now() + STATE_TTL * 1000);
+  }
+
+  /**
+   * Take the OAuth flow stored under a state
+   * The flow is deleted as it is read, so each state is accepted once
+   * @param {string} state - State returned by the platform
+   * @returns {Object|null} - Flow, or null when the state is malformed, unknown, used or expired
+   */
+  async consume(state) {
+    if (typeof state !== 'string' || !STATE_PATTERN.test(state)) {
+      return null;
+    }
+
+    const key = `${STATE_KEY_PREFIX}${state}`;
+    const [[error, stored]] = await queueService.redisConnection.multi().get(key).del(key).exec();
+
+    if (error) {
+      throw error;
+    }
+
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  /**
+   * Store the accounts a login granted until the admin user picks the ones to import
+   * @param {Object} selection - { platform, userId, accounts } with encrypted account tokens
+   * @returns {Object} - { selectionId, expiresAt }
+   */
+  async saveSelection(selection) {
+    const selectionId = crypto.randomBytes(16).toString('hex');
+
+    await queueService.redisConnection.set(
+      `${SELECTION_KEY_PREFIX}${selectionId}`,
+      JSON.stringify({ ...selection, createdAt: new Date().toISOString() }),
+      'EX',
+      SELECTION_TTL
+    );
+
+    return { selectionId, expiresAt: new Date(Date.now() + SELECTION_TTL * 1000) };
+  }
+
+  /**
+   * Get a pending account selection of an admin user
+   * @param {string} selectionId - Selection ID
+   * @param {number} userId - Admin user requesting it
+   * @returns {Object|null} - Selection, or null when unknown, expired or started by another user
+   */
+  async getSelection(selectionId, userId) {
+    if (typeof selectionId !== 'string' || !STATE_PATTERN.test(selectionId)) {
+      return null;
+    }
+
+    const stored = await queueService.redisConnection.get(`${SELECTION_KEY_PREFIX}${selectionId}`);
+    const selection = stored ? JSON.parse(stored) : null;
+
+    return selection && selection.userId === userId ? selection : null;
+  }
+
+  /**
+   * Remove a pending account selection once it has been imported
+   * @param {string} selectionId - Selection ID
+   */
+  async deleteSelection(selectionId) {
+    await queueService.redisConnection.del(`${SELECTION_KEY_PREFIX}${selectionId}`);
+  }
+}
+
+module.exports = new OAuthStateService();
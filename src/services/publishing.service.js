@@ -3,300 +3,1257 @@
  * Orchestrates posting to multiple social media platforms
  */
 
-const facebookService = require('./social-platforms/facebook.service');
-const twitterService = require('./social-platforms/twitter.service');
-const linkedinService = require('./social-platforms/linkedin.service');
+const crypto = require('crypto');
+const platformRegistry = require('./social-platforms/platform-registry');
 const queueService = require('./queue/queue.service');
+const validationService = require('./validation.service');
+const AccountHealthService = require('./account-health.service');
 const encryptionService = require('../utils/encryption');
+const { classifyError } = require('../utils/error-classifier');
+const { parseRecurrence, getOccurrences, getNextOccurrence } = require('../utils/recurrence');
+const { isValidTimezone, formatInTimezone } = require('../utils/timezone');
 const { apiLogger: logger } = require('../utils/logger');
 
+const DEFAULT_MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 60 * 1000; // 1 minute, doubled on every retry
+const RATE_LIMIT_RETRY_DELAY = 15 * 60 * 1000; // 15 minutes
+const PUBLISH_LOCK_TTL = 30 * 60; // 30 minutes, long enough for video uploads
+const OCCURRENCE_BUSY_DELAY = 5 * 60 * 1000; // 5 minutes
+
 class PublishingService {
   constructor(strapi) {
     this.strapi = strapi;
+    this.accountHealthService = new AccountHealthService(strapi);
+  }
+
+  /**
+   * Publish post to multiple platforms
+   * Accounts whose delivery is already published are not published to again, and accounts that are not healthy
+   * (inactive, not connected, token expired) are skipped with the reason recorded on their delivery.
+   * The post is locked and in `publishing` status while it runs, and each attempt is
+   * recorded with its idempotency key before the platform is called
+   * @param {Object} post - Social media post entity
+   * @param {Object} options - Publishing options
+   * @param {Array} options.accountIds - Only publish to these account document IDs (optional)
+   * @param {boolean} options.retry - Count this run as a retry of the post
+   * @returns {Object} - Publishing results
+   */
+  async publishPost(post, { accountIds = [], retry = false } = {}) {
+    post = this.applyCaptionVariation(post);
+
+    const retryCount = (post.retryCount || 0) + (retry ? 1 : 0);
+    const results = {
+      success: [],
+      failed: [],
+      platformPostIds: {},
+      platformUrls: {},
+      deliveries: [],
+    };
+
+    const lockToken = await queueService.acquireLock(this.getPublishLockName(post), PUBLISH_LOCK_TTL);
+
+    if (!lockToken) {
+      throw new Error('Post is already being published');
+    }
+
+    try {
+      await this.updatePostStatus(post.documentId, { status: 'publishing' });
+
+      // Get connected social media accounts
+      const accounts = await this.getPostAccounts(post);
+
+      if (!accounts || accounts.length === 0) {
+        throw new Error('No social media accounts connected to this post');
+      }
+
+      const deliveries = this.getDeliveries(post, accounts);
+
+      // Publish to each account
+      for (const account of accounts) {
+        const delivery = deliveries.find(d => d.accountId === account.documentId);
+
+        if (delivery.state === 'published') continue;
+        if (accountIds.length > 0 && !accountIds.includes(account.documentId)) continue;
+
+        // An attempt left in flight, or one that failed on the network, may have posted anyway
+        const uncertain = delivery.state === 'publishing'
+          || (delivery.state === 'failed' && delivery.errorType === 'transient');
+
+        // Uncertain deliveries keep their state so they are reconciled once the account is healthy again
+        const exclusion = uncertain ? null : this.accountHealthService.getExclusionReason(account);
+
+        if (exclusion) {
+          logger.warn(`Skipping unhealthy ${account.platform} account`, {
+            postId: post.id,
+            accountId: account.documentId,
+            reason: exclusion,
+          });
+
+          Object.assign(delivery, {
+            state: 'failed',
+            error: exclusion,
+            errorType: 'account',
+            retryable: false,
+          });
+
+          results.failed.push({
+            accountId: account.documentId,
+            platform: account.platform,
+            accountName: account.name,
+            error: exclusion,
+            errorType: 'account',
+            retryable: false,
+            excluded: true,
+          });
+          continue;
+        }
+
+        try {
+          const found = uncertain ? await this.reconcileDelivery(post, account, delivery) : null;
+
+          if (found?.partial) {
+            delivery.thread = found.thread;
+            throw new Error(
+              `Previous attempt was interrupted after ${found.thread.length} posts of the thread; delete them before retrying`
+            );
+          }
+
+          let result = found;
+
+          if (!result) {
+            Object.assign(delivery, {
+              state: 'publishing',
+              attempts: delivery.attempts + 1,
+              lastAttemptAt: new Date().toISOString(),
+              idempotencyKey: delivery.idempotencyKey || crypto.randomUUID(),
+            });
+
+            // Persist the attempt first so a crash during the platform call leaves it marked as in flight
+            await this.saveDeliveries(post, deliveries);
+
+            result = await this.publishToPlatform(post, account, { idempotencyKey: delivery.idempotencyKey });
+          }
+
+          Object.assign(delivery, {
+            state: 'published',
+            platformPostId: result.id,
+            url: result.url,
+            thread: result.thread || null,
+            attachments: result.attachments || null,
+            text: this.getRenderedText(post, account.platform),
+            error: null,
+            errorType: null,
+            retryable: null,
+            reconciled: Boolean(found),
+            publishedAt: delivery.publishedAt || new Date().toISOString(),
+          });
+
+          await this.updateAccountLastPublished(account, delivery.publishedAt);
+          await this.accountHealthService.recordSuccess(account);
+
+          results.success.push({
+            accountId: account.documentId,
+            platform: account.platform,
+            accountName: account.name,
+            postId: result.id,
+            url: result.url,
+            ...(result.thread && { thread: result.thread }),
+            ...(found && { reconciled: true }),
+          });
+        } catch (error) {
+          logger.error(`Failed to publish to ${account.platform}`, {
+            postId: post.id,
+            accountId: account.documentId,
+            error: error.message,
+          });
+
+          const { type, retryable } = classifyError(error);
+
+          // Counted toward the account's failure streak unless the error is about the post itself
+          await this.accountHealthService.recordFailure(account, error, 'Publish');
+
+          Object.assign(delivery, {
+            state: 'failed',
+            error: error.message,
+            errorType: type,
+            retryable,
+          });
+
+          results.failed.push({
+            accountId: account.documentId,
+            platform: account.platform,
+            accountName: account.name,
+            error: error.message,
+            errorType: type,
+            retryable,
+          });
+        }
+      }
+
+      Object.assign(results, this.getSummaryMaps(deliveries));
+      results.deliveries = deliveries;
+
+      const newStatus = this.getOverallStatus(deliveries, accounts);
+      results.status = newStatus;
+      results.retryCount = retryCount;
+
+      await this.updatePostStatus(post.documentId, {
+        status: newStatus,
+        ...(newStatus !== 'failed' && { actualPublishDate: post.actualPublishDate || new Date() }),
+        platformPostIds: results.platformPostIds,
+        platformUrls: results.platformUrls,
+        deliveries,
+        retryCount,
+        errorLog: results.failed,
+      });
+
+      logger.info('Post publishing completed', {
+        postId: post.id,
+        status: newStatus,
+        retry,
+        successCount: results.success.length,
+        failedCount: results.failed.length,
+      });
+
+      return results;
+    } catch (error) {
+      logger.error('Post publishing failed', {
+        postId: post.id,
+        error: error.message,
+      });
+
+      await this.updatePostStatus(post.documentId, {
+        status: 'failed',
+        errorLog: [{ error: error.message, timestamp: new Date() }],
+      });
+
+      throw error;
+    } finally {
+      await queueService.releaseLock(this.getPublishLockName(post), lockToken);
+    }
+  }
+
+  /**
+   * Check the platform for a post left by an earlier attempt whose outcome is unknown
+   * @param {Object} post - Post entity
+   * @param {Object} account - Social media account
+   * @param {Object} delivery - Delivery record of the account
+   * @returns {Object|null} - Post found on the platform ({ id, url, thread, partial }), or null when publishing is safe
+   */
+  async reconcileDelivery(post, account, delivery) {
+    const adapter = platformRegistry.get(account.platform);
+
+    // Repeating the call with the same idempotency key returns the earlier post instead of a new one
+    if (adapter.capabilities.idempotent) {
+      return null;
+    }
+
+    if (!adapter.capabilities.reconcile) {
+      if (delivery.state === 'publishing') {
+        throw new Error(
+          `Previous attempt was interrupted and ${account.platform} posts cannot be looked up; check the account and retry manually`
+        );
+      }
+      return null;
+    }
+
+    const accessToken = encryptionService.decrypt(account.accessToken);
+    const found = await adapter.findPublished(account, accessToken, this.preparePostData(post, account.platform), {
+      since: delivery.lastAttemptAt,
+    });
+
+    logger.info('Delivery reconciled', {
+      postId: post.id,
+      accountId: account.documentId,
+      found: Boolean(found),
+    });
+
+    return found;
+  }
+
+  /**
+   * Persist delivery records without touching the post status
+   * Unlike updatePostStatus, failures are thrown so nothing is published unrecorded
+   * @param {Object} post - Post entity
+   * @param {Array} deliveries - Delivery records
+   */
+  async saveDeliveries(post, deliveries) {
+    await this.strapi.documents('api::social-media-post.social-media-post').update({
+      documentId: post.documentId,
+      data: { deliveries },
+    });
+  }
+
+  /**
+   * Check whether a post is being published right now
+   * A post left in `publishing` status without a lock was interrupted
+   * @param {Object} post - Post entity
+   * @returns {boolean} - True while a publishing run holds the post's lock
+   */
+  async isPublishing(post) {
+    return await queueService.isLocked(this.getPublishLockName(post));
+  }
+
+  /**
+   * Get the name of a post's publishing lock
+   * @param {Object} post - Post entity
+   * @returns {string} - Lock name
+   */
+  getPublishLockName(post) {
+    return `post-publish:${post.documentId}`;
+  }
+
+  /**
+   * Get the delivery records of a post for its accounts
+   * Records of published accounts that were since removed from the post are kept
+   * @param {Object} post - Post entity
+   * @param {Array} accounts - Social media accounts
+   * @returns {Array} - Delivery records
+   */
+  getDeliveries(post, accounts) {
+    const existing = post.deliveries || [];
+
+    const deliveries = accounts.map(account => ({
+      accountId: account.documentId,
+      accountName: account.name,
+      platform: account.platform,
+      state: 'pending',
+      attempts: 0,
+      platformPostId: null,
+      url: null,
+      thread: null,
+      attachments: null,
+      text: null,
+      error: null,
+      errorType: null,
+      retryable: null,
+      idempotencyKey: null,
+      reconciled: false,
+      lastAttemptAt: null,
+      publishedAt: null,
+      ...existing.find(delivery => delivery.accountId === account.documentId),
+    }));
+
+    const removed = existing.filter(delivery =>
+      delivery.state === 'published' && !accounts.some(account => account.documentId === delivery.accountId)
+    );
+
+    return [...deliveries, ...removed];
+  }
+
+  /**
+   * Build the per-platform summary maps from the deliveries
+   * They keep the first published post per platform; deliveries are per account
+   * @param {Array} deliveries - Delivery records
+   * @returns {Object} - { platformPostIds, platformUrls }
+   */
+  getSummaryMaps(deliveries) {
+    const platformPostIds = {};
+    const platformUrls = {};
+
+    deliveries
+      .filter(delivery => delivery.state === 'published')
+      .forEach(delivery => {
+        platformPostIds[delivery.platform] = platformPostIds[delivery.platform] || delivery.platformPostId;
+        platformUrls[delivery.platform] = platformUrls[delivery.platform] || delivery.url;
+      });
+
+    return { platformPostIds, platformUrls };
+  }
+
+  /**
+   * Derive the overall post status from the deliveries of its accounts
+   * @param {Array} deliveries - Delivery records
+   * @param {Array} accounts - Social media accounts
+   * @returns {string} - published, partially_published or failed
+   */
+  getOverallStatus(deliveries, accounts) {
+    const current = deliveries.filter(delivery =>
+      accounts.some(account => account.documentId === delivery.accountId)
+    );
+    const publishedCount = current.filter(delivery => delivery.state === 'published').length;
+
+    if (publishedCount === current.length) return 'published';
+    if (publishedCount > 0) return 'partially_published';
+    return 'failed';
+  }
+
+  /**
+   * Get the accounts whose delivery failed
+   * @param {Object} post - Post entity
+   * @param {Object} options - Options
+   * @param {boolean} options.retryableOnly - Leave out accounts that failed with a permanent error
+   * @returns {Array} - Account document IDs
+   */
+  getFailedAccountIds(post, { retryableOnly = false } = {}) {
+    return (post.deliveries || [])
+      .filter(delivery => delivery.state === 'failed')
+      .filter(delivery => !retryableOnly || classifyError(delivery).retryable)
+      .map(delivery => delivery.accountId);
+  }
+
+  /**
+   * Check whether a post has retries left
+   * @param {Object} post - Post entity
+   * @param {number} retryCount - Retries made so far (default: the post's retryCount)
+   * @returns {boolean} - True when another retry is allowed
+   */
+  hasRetriesLeft(post, retryCount = post.retryCount || 0) {
+    return retryCount < (post.maxRetries ?? DEFAULT_MAX_RETRIES);
+  }
+
+  /**
+   * Retry the accounts that failed
+   * Automatic retries take the failures that are retryable and schedule the next retry; retries requested
+   * through the API carry their accounts, which may include permanent failures, and schedule nothing
+   * @param {Object} post - Post entity
+   * @param {Object} options - Options
+   * @param {Array} options.accountIds - Account document IDs requested (optional)
+   * @returns {Object} - Publishing results, or { skipped, reason } when there is nothing to retry
+   */
+  async retryFailedAccounts(post, { accountIds: requestedIds = null } = {}) {
+    const requested = Array.isArray(requestedIds);
+    const failedIds = this.getFailedAccountIds(post, { retryableOnly: !requested });
+    const accountIds = requested ? requestedIds.filter(id => failedIds.includes(id)) : failedIds;
+
+    if (!['partially_published', 'failed'].includes(post.status) || accountIds.length === 0) {
+      return { skipped: true, reason: 'Nothing to retry' };
+    }
+
+    if (!this.hasRetriesLeft(post)) {
+      return { skipped: true, reason: 'Retry limit reached' };
+    }
+
+    if (await this.isPublishing(post)) {
+      return { skipped: true, reason: 'Post is already being published' };
+    }
+
+    const result = await this.publishPost(post, { accountIds, retry: true });
+
+    if (!requested) {
+      await this.scheduleRetry(post, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Schedule an automatic retry of the accounts that failed with a retryable error
+   * Backs off exponentially, and waits longer when a platform rate limited the post
+   * @param {Object} post - Post entity
+   * @param {Object} results - Results of the publishing run
+   * @returns {Object|null} - Job data, or null when no retry is scheduled
+   */
+  async scheduleRetry(post, results) {
+    const retryable = results.failed.filter(failure => failure.retryable);
+
+    if (retryable.length === 0 || !this.hasRetriesLeft(post, results.retryCount)) {
+      return null;
+    }
+
+    const rateLimited = retryable.some(failure => failure.errorType === 'rate_limit');
+    const delay = Math.max(
+      RETRY_BASE_DELAY * 2 ** results.retryCount,
+      rateLimited ? RATE_LIMIT_RETRY_DELAY : 0
+    );
+
+    try {
+      const job = await queueService.addJob(
+        'social-post-scheduled',
+        {
+          type: 'retry-failed-accounts',
+          postId: post.documentId,
+          postTitle: post.title,
+        },
+        {
+          delay,
+          attempts: 1,
+          priority: this.getPriority(post.priority),
+        }
+      );
+
+      logger.info('Post retry scheduled', {
+        postId: post.id,
+        jobId: job.id,
+        retryCount: results.retryCount,
+        accounts: retryable.map(failure => failure.accountId),
+        retryAt: new Date(Date.now() + delay).toISOString(),
+      });
+
+      return {
+        jobId: job.id,
+        retryAt: new Date(Date.now() + delay),
+      };
+    } catch (error) {
+      logger.error('Failed to schedule post retry', {
+        postId: post.id,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Validate a post against the constraints of its accounts
+   * @param {Object} post - Post entity with media
+   * @param {Array} accountIds - Limit validation to these account document IDs (optional)
+   * @returns {Object} - { valid, errors, warnings, accounts }
+   */
+  async validatePost(post, accountIds = []) {
+    const accounts = (await this.getPostAccounts(post))
+      .filter(account => accountIds.length === 0 || accountIds.includes(account.documentId));
+    return await validationService.validatePost(this.applyCaptionVariation(post), accounts);
+  }
+
+  /**
+   * Publish to specific platform
+   * @param {Object} post - Post data
+   * @param {Object} account - Social media account
+   * @param {Object} options - Options
+   * @param {string} options.idempotencyKey - Key of the delivery, passed to platforms that deduplicate on it
+   * @returns {Object} - Platform response
+   */
+  async publishToPlatform(post, account, { idempotencyKey } = {}) {
+    const adapter = platformRegistry.get(account.platform);
+    const accessToken = encryptionService.decrypt(account.accessToken);
+    
+    // Prepare post data based on platform
+    const postData = {
+      ...this.preparePostData(post, account.platform),
+      ...(idempotencyKey && { idempotencyKey }),
+    };
+
+    return await adapter.publish(account, accessToken, postData);
+  }
+
+  /**
+   * Prepare post data for specific platform
+   * @param {Object} post - Post entity
+   * @param {string} platform - Platform name
+   * @returns {Object} - Platform-specific post data
+   */
+  preparePostData(post, platform) {
+    return platformRegistry.get(platform).prepare(post, this.getPlatformConfig(post, platform));
+  }
+
+  /**
+   * Get platform-specific configuration of a post
+   * @param {Object} post - Post entity
+   * @param {string} platform - Platform name
+   * @returns {Object} - Entry from `post.platforms`, or an empty object
+   */
+  getPlatformConfig(post, platform) {
+    return post.platforms?.find(p => p.platform === platform) || {};
+  }
+
+  /**
+   * Get the text of a post as a platform displays it
+   * @param {Object} post - Post entity
+   * @param {string} platform - Platform name
+   * @returns {string} - Rendered text
+   */
+  getRenderedText(post, platform) {
+    return platformRegistry.get(platform).render(post, this.getPlatformConfig(post, platform)).text;
+  }
+
+  /**
+   * Preview the rendered text of a post for each of its accounts
+   * @param {Object} post - Post entity
+   * @param {Array} accountIds - Limit the preview to these account document IDs (optional)
+   * @returns {Array} - Previews per account
+   */
+  async previewPost(post, accountIds = []) {
+    const accounts = (await this.getPostAccounts(post))
+      .filter(account => accountIds.length === 0 || accountIds.includes(account.documentId));
+
+    const previews = [];
+
+    for (const account of accounts) {
+      const entry = {
+        accountId: account.documentId,
+        accountName: account.name,
+        platform: account.platform,
+      };
+
+      try {
+        const preview = await platformRegistry.get(account.platform)
+          .preview(account, post, this.getPlatformConfig(post, account.platform));
+
+        previews.push({ ...entry, ...preview });
+      } catch (error) {
+        logger.error(`Failed to preview post for ${account.platform}`, {
+          postId: post.id,
+          error: error.message,
+        });
+
+        previews.push({ ...entry, valid: false, errors: [error.message] });
+      }
+    }
+
+    return previews;
+  }
+
+  /**
+   * Get the platform post IDs an account published, every post of a thread in order
+   * @param {Object} post - Post entity
+   * @param {Object} account - Social media account
+   * @returns {Array} - Platform post IDs
+   */
+  getPlatformPostIds(post, account) {
+    const delivery = (post.deliveries || []).find(d => d.accountId === account.documentId);
+
+    if (delivery) {
+      if (delivery.state !== 'published') return [];
+      if (delivery.thread && delivery.thread.length > 0) return delivery.thread.map(item => item.id);
+      return [delivery.platformPostId];
+    }
+
+    // Posts published before delivery records only know one post per platform
+    const platformPostId = post.platformPostIds?.[account.platform];
+    return platformPostId ? [platformPostId] : [];
+  }
+
+  /**
+   * Fetch engagement metrics for a published post, summed across a thread
+   * @param {Object} post - Post entity
+   * @param {Object} account - Social media account
+   * @returns {Object|null} - Analytics data, or null when nothing was published
+   */
+  async fetchPostMetrics(post, account) {
+    const platformPostIds = this.getPlatformPostIds(post, account);
+
+    if (platformPostIds.length === 0) {
+      return null;
+    }
+
+    const adapter = platformRegistry.get(account.platform);
+    const accessToken = encryptionService.decrypt(account.accessToken);
+    const totals = {};
+
+    for (const platformPostId of platformPostIds) {
+      const metrics = await adapter.fetchMetrics(account, accessToken, platformPostId);
+
+      Object.entries(metrics || {}).forEach(([metric, value]) => {
+        if (typeof value === 'number') {
+          totals[metric] = (totals[metric] || 0) + value;
+        }
+      });
+    }
+
+    return totals;
+  }
+
+  /**
+   * Delete a published post from a platform, removing a whole thread or album as a unit
+   * Replies are deleted before the post they answer, last first; album photos after their post
+   * @param {Object} post - Post entity
+   * @param {Object} account - Social media account
+   * @returns {Array} - Deleted platform post IDs
+   */
+  async deleteFromPlatform(post, account) {
+    if (!platformRegistry.supports(account.platform, 'delete')) {
+      throw new Error(`Deleting posts not supported for ${account.platform}`);
+    }
+
+    const adapter = platformRegistry.get(account.platform);
+    const accessToken = encryptionService.decrypt(account.accessToken);
+    const delivery = (post.deliveries || []).find(d => d.accountId === account.documentId);
+    const deleted = [];
+
+    for (const platformPostId of this.getPlatformPostIds(post, account).reverse()) {
+      await adapter.delete(account, accessToken, platformPostId);
+      deleted.push(platformPostId);
+    }
+
+    for (const attachmentId of delivery?.attachments || []) {
+      try {
+        await adapter.delete(account, accessToken, attachmentId);
+        deleted.push(attachmentId);
+      } catch (error) {
+        // Some platforms remove attachments together with their post
+        logger.warn('Failed to delete post attachment', {
+          postId: post.id,
+          platform: account.platform,
+          attachmentId,
+          error: error.message,
+        });
+      }
+    }
+
+    logger.info('Post deleted from platform', {
+      postId: post.id,
+      platform: account.platform,
+      deletedCount: deleted.length,
+    });
+
+    return deleted;
+  }
+
+  /**
+   * Remove a post from every platform it was published to and archive it
+   * The post stays in its current status when a deletion fails, so unpublishing can be repeated
+   * @param {Object} post - Post entity
+   * @returns {Object} - { status, results, deliveries }
+   */
+  async unpublishPost(post) {
+    const lockToken = await queueService.acquireLock(this.getPublishLockName(post), PUBLISH_LOCK_TTL);
+
+    if (!lockToken) {
+      throw new Error('Post is being published');
+    }
+
+    try {
+      const accounts = await this.getPostAccounts(post);
+      const deliveries = this.getDeliveries(post, accounts);
+
+      // Posts published before delivery records only know one post per platform
+      if (!post.deliveries || post.deliveries.length === 0) {
+        Object.entries(post.platformPostIds || {}).forEach(([platform, platformPostId]) => {
+          const delivery = deliveries.find(d => d.platform === platform && d.state === 'pending');
+
+          if (delivery && platformPostId) {
+            Object.assign(delivery, {
+              state: 'published',
+              platformPostId,
+              url: post.platformUrls?.[platform] || null,
+            });
+          }
+        });
+      }
+
+      const results = [];
+
+      for (const delivery of deliveries.filter(d => d.state === 'published')) {
+        const entry = {
+          accountId: delivery.accountId,
+          accountName: delivery.accountName,
+          platform: delivery.platform,
+        };
+
+        if (!platformRegistry.supports(delivery.platform, 'delete')) {
+          results.push({ ...entry, state: 'unsupported', error: `Deleting posts not supported for ${delivery.platform}; remove it on the platform` });
+          continue;
+        }
+
+        try {
+          const account = accounts.find(a => a.documentId === delivery.accountId)
+            || await this.strapi.documents('api::social-media-account.social-media-account').findOne({
+              documentId: delivery.accountId,
+            });
+
+          if (!account) {
+            throw new Error('Account no longer exists');
+          }
+
+          const deleted = await this.deleteFromPlatform({ ...post, deliveries }, account);
+
+          Object.assign(delivery, {
+            state: 'deleted',
+            deleteError: null,
+            deletedAt: new Date().toISOString(),
+          });
+
+          results.push({ ...entry, state: 'deleted', deleted });
+        } catch (error) {
+          logger.error(`Failed to delete post from ${delivery.platform}`, {
+            postId: post.id,
+            accountId: delivery.accountId,
+            error: error.message,
+          });
+
+          delivery.deleteError = error.message;
+          results.push({ ...entry, state: 'failed', error: error.message });
+        }
+      }
+
+      const status = results.some(result => result.state === 'failed') ? post.status : 'archived';
+
+      await this.updatePostStatus(post.documentId, {
+        status,
+        deliveries,
+        scheduledUnpublishDate: null,
+      });
+
+      logger.info('Post unpublished', {
+        postId: post.id,
+        status,
+        deletedCount: results.filter(result => result.state === 'deleted').length,
+        failedCount: results.filter(result => result.state === 'failed').length,
+      });
+
+      return { status, results, deliveries };
+    } finally {
+      await queueService.releaseLock(this.getPublishLockName(post), lockToken);
+    }
+  }
+
+  /**
+   * Push edits of a published post to the live copies
+   * Platforms that allow edits are updated in place; others are deleted and reposted when the
+   * post's platform settings set `repostOnEdit`, otherwise they are left unchanged
+   * @param {Object} post - Post entity with its edits saved
+   * @param {Object} options - Options
+   * @param {Array} options.accountIds - Only update these account document IDs (optional)
+   * @returns {Object} - { results, deliveries, editHistory }
+   */
+  async updateLivePost(post, { accountIds = [] } = {}) {
+    post = this.applyCaptionVariation(post);
+
+    const lockToken = await queueService.acquireLock(this.getPublishLockName(post), PUBLISH_LOCK_TTL);
+
+    if (!lockToken) {
+      throw new Error('Post is being published');
+    }
+
+    try {
+      const accounts = await this.getPostAccounts(post);
+      const deliveries = this.getDeliveries(post, accounts);
+      const editedAt = new Date().toISOString();
+      const results = [];
+
+      for (const account of accounts) {
+        const delivery = deliveries.find(d => d.accountId === account.documentId);
+
+        if (delivery.state !== 'published') continue;
+        if (accountIds.length > 0 && !accountIds.includes(account.documentId)) continue;
+
+        const adapter = platformRegistry.get(account.platform);
+        const platformConfig = this.getPlatformConfig(post, account.platform);
+        const text = this.getRenderedText(post, account.platform);
+        const entry = {
+          editedAt,
+          accountId: account.documentId,
+          accountName: account.name,
+          platform: account.platform,
+          previousText: delivery.text,
+          text,
+          previousPlatformPostId: delivery.platformPostId,
+        };
+
+        if (text === delivery.text) {
+          results.push({ ...entry, action: 'unchanged' });
+          continue;
+        }
+
+        const canRepost = Boolean(platformConfig.repostOnEdit) && adapter.capabilities.delete;
+        let editError = null;
+
+        try {
+          if (adapter.capabilities.edit) {
+            try {
+              const accessToken = encryptionService.decrypt(account.accessToken);
+              const result = await adapter.edit(
+                account,
+                accessToken,
+                this.getPlatformPostIds({ ...post, deliveries }, account),
+                this.preparePostData(post, account.platform)
+              );
+
+              Object.assign(delivery, {
+                platformPostId: result.id || delivery.platformPostId,
+                url: result.url || delivery.url,
+                thread: result.thread || delivery.thread,
+                text,
+                editedAt,
+              });
+
+              results.push({ ...entry, action: 'edited', platformPostId: delivery.platformPostId });
+              continue;
+            } catch (error) {
+              if (!canRepost) throw error;
+              editError = error.message;
+            }
+          }
+
+          if (!canRepost) {
+            results.push({
+              ...entry,
+              action: 'unsupported',
+              error: adapter.capabilities.delete
+                ? `${account.platform} posts cannot be edited; set repostOnEdit to delete and repost them`
+                : `${account.platform} posts cannot be edited or deleted through its API`,
+            });
+            continue;
+          }
+
+          // Delete and repost; engagement on the old post is lost
+          await this.deleteFromPlatform({ ...post, deliveries }, account);
+          Object.assign(delivery, { state: 'deleted', deletedAt: new Date().toISOString() });
+
+          const result = await this.publishToPlatform(post, account);
+
+          Object.assign(delivery, {
+            state: 'published',
+            platformPostId: result.id,
+            url: result.url,
+            thread: result.thread || null,
+            attachments: result.attachments || null,
+            text,
+            editedAt,
+            publishedAt: new Date().toISOString(),
+          });
+
+          results.push({
+            ...entry,
+            action: 'reposted',
+            platformPostId: result.id,
+            ...(editError && { editError }),
+          });
+        } catch (error) {
+          logger.error(`Failed to update live post on ${account.platform}`, {
+            postId: post.id,
+            accountId: account.documentId,
+            error: error.message,
+          });
+
+          // A deleted post that could not be reposted is left for the retry endpoint
+          if (delivery.state === 'deleted') {
+            const { type, retryable } = classifyError(error);
+            Object.assign(delivery, { state: 'failed', error: error.message, errorType: type, retryable });
+          }
+
+          results.push({ ...entry, action: 'failed', error: error.message });
+        }
+      }
+
+      const editHistory = [
+        ...(post.editHistory || []),
+        ...results.filter(result => result.action !== 'unchanged'),
+      ];
+
+      await this.updatePostStatus(post.documentId, {
+        status: this.getOverallStatus(deliveries, accounts),
+        deliveries,
+        ...this.getSummaryMaps(deliveries),
+        editHistory,
+      });
+
+      logger.info('Live post updated', {
+        postId: post.id,
+        editedCount: results.filter(result => result.action === 'edited').length,
+        repostedCount: results.filter(result => result.action === 'reposted').length,
+        failedCount: results.filter(result => result.action === 'failed').length,
+      });
+
+      return { results, deliveries, editHistory };
+    } finally {
+      await queueService.releaseLock(this.getPublishLockName(post), lockToken);
+    }
+  }
+
+  /**
+   * Schedule the removal of a published post
+   * @param {Object} post - Post entity
+   * @param {Date} scheduledTime - When to unpublish
+   * @returns {Object} - Job data
+   */
+  async scheduleUnpublish(post, scheduledTime) {
+    try {
+      const job = await queueService.addScheduledJob(
+        'social-post-scheduled',
+        {
+          type: 'unpublish-post',
+          postId: post.documentId,
+          postTitle: post.title,
+          scheduledTime: scheduledTime.toISOString(),
+        },
+        scheduledTime,
+        {
+          priority: this.getPriority(post.priority),
+        }
+      );
+
+      await this.updatePostStatus(post.documentId, {
+        scheduledUnpublishDate: scheduledTime,
+      });
+
+      logger.info('Post removal scheduled', {
+        postId: post.id,
+        scheduledTime: scheduledTime.toISOString(),
+        jobId: job.id,
+      });
+
+      return {
+        jobId: job.id,
+        scheduledTime,
+        timezone: this.getTimezone(post),
+        localTime: formatInTimezone(scheduledTime, this.getTimezone(post)),
+      };
+    } catch (error) {
+      logger.error('Failed to schedule post removal', {
+        postId: post.id,
+        error: error.message,
+      });
+      throw error;
+    }
   }
 
   /**
-   * Publish post to multiple platforms
-   * @param {Object} post - Social media post entity
-   * @returns {Object} - Publishing results
+   * Start or replace the recurrence of a post and schedule its next occurrence
+   * The series starts now unless the recurrence has a start date, and is read in the post's timezone
+   * unless the recurrence names its own
+   * @param {Object} post - Post entity
+   * @param {Object} recurrence - { cron | rrule, timezone, startDate, endDate, count, minGapMinutes }
+   * @param {Array} captionVariations - Alternative captions to rotate (optional)
+   * @returns {Object} - { recurrence, jobId, nextOccurrenceAt }
    */
-  async publishPost(post) {
-    const results = {
-      success: [],
-      failed: [],
-      platformPostIds: {},
-      platformUrls: {},
-    };
+  async setRecurrence(post, recurrence, captionVariations) {
+    const normalised = parseRecurrence({ timezone: this.getTimezone(post), ...recurrence });
+    normalised.startDate = normalised.startDate || new Date().toISOString();
 
-    try {
-      // Get connected social media accounts
-      const accounts = await this.getPostAccounts(post);
+    const nextOccurrenceAt = getNextOccurrence(normalised);
 
-      if (!accounts || accounts.length === 0) {
-        throw new Error('No social media accounts connected to this post');
-      }
+    if (!nextOccurrenceAt) {
+      throw new Error('Recurrence has no upcoming occurrences');
+    }
 
-      // Publish to each platform
-      for (const account of accounts) {
-        try {
-          const result = await this.publishToPlatform(post, account);
-          
-          results.success.push({
-            platform: account.platform,
-            accountName: account.name,
-            postId: result.id,
-            url: result.url,
-          });
+    await this.updatePostStatus(post.documentId, {
+      recurrence: normalised,
+      ...(captionVariations && { captionVariations }),
+    });
 
-          results.platformPostIds[account.platform] = result.id;
-          results.platformUrls[account.platform] = result.url;
-        } catch (error) {
-          logger.error(`Failed to publish to ${account.platform}`, {
-            postId: post.id,
-            error: error.message,
-          });
+    const { jobId } = await this.scheduleOccurrence(post, nextOccurrenceAt);
 
-          results.failed.push({
-            platform: account.platform,
-            accountName: account.name,
-            error: error.message,
-          });
-        }
-      }
+    return {
+      recurrence: normalised,
+      jobId,
+      nextOccurrenceAt,
+      nextOccurrenceLocalTime: formatInTimezone(nextOccurrenceAt, normalised.timezone),
+    };
+  }
 
-      // Update post status
-      const newStatus = results.failed.length > 0 
-        ? (results.success.length > 0 ? 'published' : 'failed')
-        : 'published';
+  /**
+   * Stop the recurrence of a post
+   * The pending occurrence job is skipped when it runs
+   * @param {Object} post - Post entity
+   */
+  async stopRecurrence(post) {
+    await this.updatePostStatus(post.documentId, {
+      recurrence: null,
+      nextOccurrenceAt: null,
+    });
+
+    logger.info('Post recurrence stopped', { postId: post.id });
+  }
+
+  /**
+   * Schedule the next occurrence of a recurring post
+   * @param {Object} post - Post entity
+   * @param {Date} scheduledTime - When to publish the occurrence
+   * @returns {Object} - Job data
+   */
+  async scheduleOccurrence(post, scheduledTime) {
+    try {
+      const job = await queueService.addScheduledJob(
+        'social-post-scheduled',
+        {
+          type: 'recurring-post',
+          postId: post.documentId,
+          postTitle: post.title,
+          scheduledTime: scheduledTime.toISOString(),
+        },
+        scheduledTime,
+        {
+          attempts: 1,
+          priority: this.getPriority(post.priority),
+        }
+      );
 
       await this.updatePostStatus(post.documentId, {
-        status: newStatus,
-        actualPublishDate: new Date(),
-        platformPostIds: results.platformPostIds,
-        platformUrls: results.platformUrls,
-        errorLog: results.failed,
+        nextOccurrenceAt: scheduledTime,
       });
 
-      logger.info('Post publishing completed', {
+      logger.info('Post occurrence scheduled', {
         postId: post.id,
-        successCount: results.success.length,
-        failedCount: results.failed.length,
+        scheduledTime: scheduledTime.toISOString(),
+        jobId: job.id,
       });
 
-      return results;
+      return {
+        jobId: job.id,
+        scheduledTime,
+      };
     } catch (error) {
-      logger.error('Post publishing failed', {
+      logger.error('Failed to schedule post occurrence', {
         postId: post.id,
         error: error.message,
       });
-
-      await this.updatePostStatus(post.documentId, {
-        status: 'failed',
-        errorLog: [{ error: error.message, timestamp: new Date() }],
-      });
-
       throw error;
     }
   }
 
   /**
-   * Publish to specific platform
-   * @param {Object} post - Post data
-   * @param {Object} account - Social media account
-   * @returns {Object} - Platform response
+   * Publish the next occurrence of a recurring post and schedule the one after it
+   * The occurrence is postponed while the post is being published or while an account
+   * is still within its minimum gap since its last post
+   * @param {Object} post - Post entity with accounts
+   * @returns {Object} - Publishing results, or { deferred, until }
    */
-  async publishToPlatform(post, account) {
-    const accessToken = encryptionService.decrypt(account.accessToken);
-    
-    // Prepare post data based on platform
-    const postData = this.preparePostData(post, account.platform);
-
-    switch (account.platform) {
-      case 'facebook':
-        return await facebookService.publishToFacebook(
-          account.platformAccountId,
-          accessToken,
-          postData
-        );
+  async publishOccurrence(post) {
+    const accounts = await this.getPostAccounts(post);
+    const busy = await this.isPublishing(post);
+    const until = busy ? new Date(Date.now() + OCCURRENCE_BUSY_DELAY) : this.getMinGapEnd(post, accounts);
 
-      case 'instagram':
-        return await facebookService.publishToInstagram(
-          account.platformAccountId,
-          accessToken,
-          postData
-        );
+    if (until) {
+      await this.scheduleOccurrence(post, until);
 
-      case 'twitter':
-        // Handle Twitter threads if content is too long
-        if (postData.text.length > 280) {
-          const tweets = twitterService.splitIntoTweets(postData.text);
-          const threadResults = await twitterService.postThread(
-            accessToken,
-            tweets,
-            postData.mediaIds
-          );
-          return threadResults[0]; // Return first tweet
-        }
-        return await twitterService.postTweet(accessToken, postData);
-
-      case 'linkedin':
-        if (account.accountType === 'business') {
-          return await linkedinService.shareOrganizationContent(
-            accessToken,
-            account.platformAccountId,
-            postData
-          );
-        }
-        return await linkedinService.shareContent(
-          accessToken,
-          account.platformAccountId,
-          postData
-        );
+      logger.info('Post occurrence deferred', {
+        postId: post.id,
+        reason: busy ? 'publishing' : 'minimum gap',
+        until: until.toISOString(),
+      });
 
-      default:
-        throw new Error(`Platform ${account.platform} not supported`);
+      return { deferred: true, until };
     }
-  }
 
-  /**
-   * Prepare post data for specific platform
-   * @param {Object} post - Post entity
-   * @param {string} platform - Platform name
-   * @returns {Object} - Platform-specific post data
-   */
-  preparePostData(post, platform) {
-    const baseData = {
-      title: post.title,
-      content: post.content,
-      shortContent: post.shortContent,
-      hashtags: post.hashtags || [],
-      mentions: post.mentions || [],
-    };
+    const occurrence = (post.occurrenceCount || 0) + 1;
+    const occurrenceHistory = [...(post.occurrenceHistory || [])];
 
-    // Get platform-specific configuration
-    const platformConfig = post.platforms?.find(p => p.platform === platform) || {};
+    // The previous occurrence (or the original publication) is archived before its deliveries are reset
+    if (post.deliveries?.length > 0) {
+      occurrenceHistory.push({
+        occurrence: occurrence - 1,
+        status: post.status,
+        publishedAt: post.actualPublishDate || null,
+        deliveries: post.deliveries.map(({ accountId, platform, state, platformPostId, url, text, error, publishedAt }) => ({
+          accountId, platform, state, platformPostId, url, text, error, publishedAt,
+        })),
+      });
+    }
 
-    switch (platform) {
-      case 'facebook':
-        return {
-          message: platformConfig.customContent || post.content,
-          link: platformConfig.link,
-          mediaUrls: this.getMediaUrls(post.media),
-        };
+    const occurrencePost = {
+      ...post,
+      occurrenceCount: occurrence,
+      occurrenceHistory,
+      deliveries: [],
+      platformPostIds: {},
+      platformUrls: {},
+      actualPublishDate: null,
+      retryCount: 0,
+    };
 
-      case 'instagram':
-        return {
-          caption: this.formatInstagramCaption(
-            platformConfig.customContent || post.content,
-            post.hashtags
-          ),
-          mediaUrls: this.getMediaUrls(post.media),
-          mediaType: this.getInstagramMediaType(post.media),
-        };
+    try {
+      await this.updatePostStatus(post.documentId, {
+        occurrenceCount: occurrence,
+        occurrenceHistory,
+        deliveries: [],
+        actualPublishDate: null,
+        retryCount: 0,
+      });
 
-      case 'twitter':
-        return {
-          text: this.formatTwitterText(
-            platformConfig.customContent || post.shortContent || post.content,
-            post.hashtags,
-            post.mentions
-          ),
-          mediaIds: [], // Will be uploaded separately
-        };
+      const result = await this.publishPost(occurrencePost);
 
-      case 'linkedin':
-        return {
-          text: platformConfig.customContent || post.content,
-          title: post.title,
-          description: post.shortContent,
-          url: platformConfig.link,
-          mediaUrls: this.getMediaUrls(post.media),
-        };
+      logger.info('Post occurrence published', {
+        postId: post.id,
+        occurrence,
+        status: result.status,
+      });
 
-      default:
-        return baseData;
+      return { ...result, occurrence };
+    } finally {
+      // A failed occurrence does not end the series
+      const nextOccurrenceAt = getNextOccurrence(post.recurrence);
+
+      if (nextOccurrenceAt) {
+        await this.scheduleOccurrence(post, nextOccurrenceAt);
+      } else {
+        await this.updatePostStatus(post.documentId, { nextOccurrenceAt: null });
+        logger.info('Post recurrence finished', { postId: post.id, occurrences: occurrence });
+      }
     }
   }
 
   /**
-   * Format Instagram caption with hashtags
-   * @param {string} content - Content
-   * @param {Array} hashtags - Hashtags
-   * @returns {string} - Formatted caption
+   * Get the upcoming occurrences of a recurring post
+   * @param {Object} post - Post entity
+   * @param {Object} options - Options
+   * @param {number} options.limit - Max occurrences (default: 10)
+   * @returns {Array} - [{ occurrence, scheduledAt, localTime, variation, content }]
    */
-  formatInstagramCaption(content, hashtags = []) {
-    let caption = content;
-    
-    if (hashtags && hashtags.length > 0) {
-      const hashtagString = hashtags
-        .map(tag => tag.startsWith('#') ? tag : `#${tag}`)
-        .join(' ');
-      caption += `\n\n${hashtagString}`;
-    }
+  getUpcomingOccurrences(post, { limit = 10 } = {}) {
+    if (!post.recurrence) return [];
+
+    // The pending occurrence may have been deferred past its nominal time
+    const pending = post.nextOccurrenceAt ? new Date(post.nextOccurrenceAt) : null;
+    const dates = [
+      ...(pending ? [pending] : []),
+      ...getOccurrences(post.recurrence, { after: pending || new Date(), limit: pending ? limit - 1 : limit }),
+    ].slice(0, limit);
 
-    return caption;
+    return dates.map((date, index) => {
+      const occurrence = (post.occurrenceCount || 0) + index + 1;
+      const { variation, content } = this.getCaptionVariation(post, occurrence);
+
+      return {
+        occurrence,
+        scheduledAt: date.toISOString(),
+        localTime: formatInTimezone(date, post.recurrence.timezone || 'UTC'),
+        variation,
+        content,
+      };
+    });
   }
 
   /**
-   * Format Twitter text with mentions and hashtags
-   * @param {string} content - Content
-   * @param {Array} hashtags - Hashtags
-   * @param {Array} mentions - Mentions
-   * @returns {string} - Formatted text
+   * Get the caption of an occurrence of a recurring post
+   * Occurrences rotate through the caption variations; without variations the content is used
+   * @param {Object} post - Post entity
+   * @param {number} occurrence - Occurrence number, from 1
+   * @returns {Object} - { variation (index or null), content }
    */
-  formatTwitterText(content, hashtags = [], mentions = []) {
-    let text = content;
+  getCaptionVariation(post, occurrence) {
+    const variations = (post.captionVariations || []).filter(caption => typeof caption === 'string' && caption.trim());
 
-    // Add mentions
-    if (mentions && mentions.length > 0) {
-      const mentionString = mentions
-        .map(mention => mention.startsWith('@') ? mention : `@${mention}`)
-        .join(' ');
-      text = `${mentionString} ${text}`;
-    }
-
-    // Add hashtags (if space allows)
-    if (hashtags && hashtags.length > 0) {
-      const hashtagString = hashtags
-        .map(tag => tag.startsWith('#') ? tag : `#${tag}`)
-        .join(' ');
-      
-      if ((text + ' ' + hashtagString).length <= 280) {
-        text += ` ${hashtagString}`;
-      }
+    if (!post.recurrence || occurrence < 1 || variations.length === 0) {
+      return { variation: null, content: post.content };
     }
 
-    return text;
+    const variation = (occurrence - 1) % variations.length;
+    return { variation, content: variations[variation] };
   }
 
   /**
-   * Get media URLs from Strapi media field
-   * @param {Array} media - Media array
-   * @returns {Array} - Media URLs
+   * Apply the caption variation of the current occurrence to a post
+   * The variation replaces the content and short content; platform custom content still takes precedence
+   * @param {Object} post - Post entity
+   * @returns {Object} - Post to publish
    */
-  getMediaUrls(media) {
-    if (!media || media.length === 0) return [];
-    
-    return media.map(item => {
-      if (typeof item === 'string') return item;
-      return item.url || item.formats?.large?.url || item.formats?.medium?.url;
-    }).filter(Boolean);
+  applyCaptionVariation(post) {
+    const { variation, content } = this.getCaptionVariation(post, post.occurrenceCount || 0);
+
+    if (variation === null) return post;
+
+    return {
+      ...post,
+      content,
+      shortContent: null,
+    };
   }
 
   /**
-   * Determine Instagram media type
-   * @param {Array} media - Media array
-   * @returns {string} - Media type
+   * Get when every account of a recurring post is past its minimum gap since its last post
+   * The gap is the larger of the recurrence's minGapMinutes and the account's publishingDefaults.minGapMinutes
+   * @param {Object} post - Post entity
+   * @param {Array} accounts - Social media accounts
+   * @returns {Date|null} - End of the gap, or null when publishing is allowed now
    */
-  getInstagramMediaType(media) {
-    if (!media || media.length === 0) return 'IMAGE';
-    
-    const firstItem = media[0];
-    const mimeType = typeof firstItem === 'string' ? '' : (firstItem.mime || '');
-    
-    if (mimeType.startsWith('video/')) return 'VIDEO';
-    if (media.length > 1) return 'CAROUSEL';
-    return 'IMAGE';
+  getMinGapEnd(post, accounts) {
+    const now = new Date();
+    let until = null;
+
+    for (const account of accounts) {
+      const gap = Math.max(post.recurrence?.minGapMinutes || 0, account.publishingDefaults?.minGapMinutes || 0);
+
+      if (!gap || !account.lastPublishedAt) continue;
+
+      const gapEnd = new Date(new Date(account.lastPublishedAt).getTime() + gap * 60 * 1000);
+
+      if (gapEnd > now && (!until || gapEnd > until)) {
+        until = gapEnd;
+      }
+    }
+
+    return until;
   }
 
   /**
@@ -328,9 +1285,11 @@ class PublishingService {
    */
   async updatePostStatus(documentId, updates) {
     try {
+      // Publishing manages the scheduled job itself
       await this.strapi.documents('api::social-media-post.social-media-post').update({
         documentId,
         data: updates,
+        skipScheduleSync: true,
       });
 
       logger.info('Post status updated', { documentId, status: updates.status });
@@ -342,8 +1301,145 @@ class PublishingService {
     }
   }
 
+  /**
+   * Record when an account was last published to
+   * @param {Object} account - Social media account
+   * @param {string} publishedAt - Publish time
+   */
+  async updateAccountLastPublished(account, publishedAt) {
+    try {
+      await this.strapi.documents('api::social-media-account.social-media-account').update({
+        documentId: account.documentId,
+        data: { lastPublishedAt: publishedAt },
+      });
+    } catch (error) {
+      logger.error('Failed to update account last published time', {
+        accountId: account.documentId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Queue a post for immediate publishing
+   * @param {Object} post - Post entity
+   * @returns {Object} - Job data
+   */
+  async enqueuePost(post) {
+    try {
+      const { data, options } = this.getPublishJob(post);
+      const job = await queueService.addJob('social-post-immediate', data, options);
+
+      logger.info('Post queued for publishing', {
+        postId: post.id,
+        jobId: job.id,
+      });
+
+      return {
+        jobId: job.id,
+        postId: post.documentId,
+      };
+    } catch (error) {
+      logger.error('Failed to queue post', {
+        postId: post.id,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Queue several posts for immediate publishing as one batch
+   * @param {Array} posts - Post entities
+   * @returns {Object} - { batchId, jobs: [{ jobId, postId }] }
+   */
+  async enqueuePosts(posts) {
+    try {
+      const { batchId, jobs } = await queueService.addBatch(
+        'social-post-immediate',
+        posts.map(post => this.getPublishJob(post))
+      );
+
+      logger.info('Posts queued for publishing', {
+        batchId,
+        postCount: posts.length,
+      });
+
+      return {
+        batchId,
+        jobs: jobs.map(job => ({ jobId: job.id, postId: job.data.postId })),
+      };
+    } catch (error) {
+      logger.error('Failed to queue posts', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a retry of the accounts that failed, to run now
+   * Runs with the immediate posts so the job can be polled like a publish job
+   * @param {Object} post - Post entity
+   * @param {Array} accountIds - Account document IDs to retry
+   * @returns {Object} - { jobId, postId }
+   */
+  async enqueueRetry(post, accountIds) {
+    try {
+      const job = await queueService.addJob(
+        'social-post-immediate',
+        {
+          type: 'retry-failed-accounts',
+          postId: post.documentId,
+          postTitle: post.title,
+          accountIds,
+        },
+        {
+          attempts: 1,
+          priority: this.getPriority(post.priority),
+        }
+      );
+
+      logger.info('Post retry queued', {
+        postId: post.id,
+        jobId: job.id,
+        accounts: accountIds,
+      });
+
+      return {
+        jobId: job.id,
+        postId: post.documentId,
+      };
+    } catch (error) {
+      logger.error('Failed to queue post retry', {
+        postId: post.id,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Build the immediate publishing job of a post
+   * Not retried by the queue; failed accounts are retried through the retry policy
+   * @param {Object} post - Post entity
+   * @returns {Object} - { data, options }
+   */
+  getPublishJob(post) {
+    return {
+      data: {
+        type: 'publish-immediate-post',
+        postId: post.documentId,
+        postTitle: post.title,
+      },
+      options: {
+        attempts: 1,
+        priority: this.getPriority(post.priority),
+      },
+    };
+  }
+
   /**
    * Schedule post for publishing
+   * The job ID is stored on the post, and a pending job from an earlier schedule is replaced
    * @param {Object} post - Post entity
    * @returns {Object} - Job data
    */
@@ -359,6 +1455,8 @@ class PublishingService {
         throw new Error('Scheduled time must be in the future');
       }
 
+      const previousJobId = await this.getScheduledJobId(post);
+
       // Add to scheduled posts queue
       const job = await queueService.addScheduledJob(
         'social-post-scheduled',
@@ -366,6 +1464,7 @@ class PublishingService {
           type: 'publish-scheduled-post',
           postId: post.documentId,
           postTitle: post.title,
+          scheduledTime: scheduledTime.toISOString(),
         },
         scheduledTime,
         {
@@ -376,17 +1475,32 @@ class PublishingService {
       // Update post status
       await this.updatePostStatus(post.documentId, {
         status: 'scheduled',
+        scheduledPublishDate: scheduledTime,
+        scheduledJobId: String(job.id),
       });
 
+      // The old job is removed last; if that fails, the worker skips it as superseded
+      if (previousJobId && previousJobId !== String(job.id)) {
+        await queueService.removePendingJob('social-post-scheduled', previousJobId);
+      }
+
+      const timezone = this.getTimezone(post);
+      const localTime = formatInTimezone(scheduledTime, timezone);
+
       logger.info('Post scheduled successfully', {
         postId: post.id,
         scheduledTime: scheduledTime.toISOString(),
+        localTime,
+        timezone,
         jobId: job.id,
       });
 
       return {
         jobId: job.id,
         scheduledTime,
+        timezone,
+        localTime,
+        previousJobId: previousJobId || null,
       };
     } catch (error) {
       logger.error('Failed to schedule post', {
@@ -397,17 +1511,30 @@ class PublishingService {
     }
   }
 
+  /**
+   * Move a scheduled post to a new time
+   * @param {Object} post - Post entity
+   * @param {Date} scheduledTime - New publish time
+   * @returns {Object} - Job data with the replaced job ID
+   */
+  async reschedulePost(post, scheduledTime) {
+    return await this.schedulePost({ ...post, scheduledPublishDate: scheduledTime });
+  }
+
   /**
    * Cancel scheduled post
    * @param {Object} post - Post entity
-   * @param {string} jobId - Queue job ID
+   * @param {string} jobId - Queue job ID (default: the job stored on the post)
    */
-  async cancelScheduledPost(post, jobId) {
+  async cancelScheduledPost(post, jobId = post.scheduledJobId) {
     try {
-      await queueService.removeJob('social-post-scheduled', jobId);
+      if (jobId) {
+        await queueService.removeJob('social-post-scheduled', jobId);
+      }
 
       await this.updatePostStatus(post.documentId, {
         status: 'draft',
+        scheduledJobId: null,
       });
 
       logger.info('Scheduled post cancelled', { postId: post.id, jobId });
@@ -420,6 +1547,35 @@ class PublishingService {
     }
   }
 
+  /**
+   * Get the scheduled job ID currently stored for a post
+   * Read from the database, since the entity passed in may predate a change made by the schedule sync
+   * @param {Object} post - Post entity
+   * @returns {string|null} - Job ID
+   */
+  async getScheduledJobId(post) {
+    try {
+      const current = await this.strapi.documents('api::social-media-post.social-media-post').findOne({
+        documentId: post.documentId,
+        fields: ['scheduledJobId'],
+      });
+
+      return current?.scheduledJobId || null;
+    } catch (error) {
+      logger.error('Failed to get scheduled job ID', { documentId: post.documentId, error: error.message });
+      return post.scheduledJobId || null;
+    }
+  }
+
+  /**
+   * Get the timezone of a post
+   * @param {Object} post - Post entity
+   * @returns {string} - IANA timezone, UTC when unset or invalid
+   */
+  getTimezone(post) {
+    return isValidTimezone(post.timezone) ? post.timezone : 'UTC';
+  }
+
   /**
    * Get priority number from priority enum
    * @param {string} priority - Priority string
@@ -3,10 +3,16 @@
  * Manages job queues for scheduled posting, analytics sync, and other async tasks
  */
 
+const crypto = require('crypto');
 const { Queue, Worker, QueueScheduler } = require('bullmq');
 const IORedis = require('ioredis');
 const { queueLogger: logger } = require('../../utils/logger');
 
+const BATCH_KEY_PREFIX = 'social-batch:';
+const LOCK_KEY_PREFIX = 'social-lock:';
+const BATCH_TTL = 24 * 3600; // Same as completed job retention
+const PENDING_STATES = ['delayed', 'waiting', 'prioritized', 'waiting-children'];
+
 class QueueService {
   constructor() {
     // Redis connection configuration
@@ -248,6 +254,144 @@ class QueueService {
     }
   }
 
+  /**
+   * Get the state and result of a job
+   * @param {string} queueName - Queue name
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} - Job status, or null when the job does not exist
+   */
+  async getJobStatus(queueName, jobId) {
+    const job = await this.getJob(queueName, jobId);
+
+    if (!job) {
+      return null;
+    }
+
+    return {
+      jobId: job.id,
+      queue: queueName,
+      data: job.data,
+      state: await job.getState(),
+      progress: job.progress,
+      attemptsMade: job.attemptsMade,
+      result: job.returnvalue ?? null,
+      error: job.failedReason || null,
+      createdAt: new Date(job.timestamp),
+      processedAt: job.processedOn ? new Date(job.processedOn) : null,
+      finishedAt: job.finishedOn ? new Date(job.finishedOn) : null,
+    };
+  }
+
+  /**
+   * Add a batch of jobs that can be tracked together
+   * @param {string} queueName - Queue name
+   * @param {Array} jobs - Jobs as { data, options }
+   * @returns {Object} - { batchId, jobs }
+   */
+  async addBatch(queueName, jobs) {
+    try {
+      const batchId = crypto.randomUUID();
+      const added = [];
+
+      for (const { data, options } of jobs) {
+        added.push(await this.addJob(queueName, { ...data, batchId }, options));
+      }
+
+      await this.redisConnection.set(
+        `${BATCH_KEY_PREFIX}${batchId}`,
+        JSON.stringify({
+          queueName,
+          jobIds: added.map(job => job.id),
+          createdAt: new Date().toISOString(),
+        }),
+        'EX',
+        BATCH_TTL
+      );
+
+      logger.info(`Batch added to ${queueName}`, { batchId, jobCount: added.length });
+
+      return { batchId, jobs: added };
+    } catch (error) {
+      logger.error(`Failed to add batch to ${queueName}`, { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the progress of a batch and the status of each of its jobs
+   * @param {string} batchId - Batch ID
+   * @returns {Object|null} - Batch progress, or null when the batch is unknown or expired
+   */
+  async getBatchStatus(batchId) {
+    const stored = await this.redisConnection.get(`${BATCH_KEY_PREFIX}${batchId}`);
+
+    if (!stored) {
+      return null;
+    }
+
+    const { queueName, jobIds, createdAt } = JSON.parse(stored);
+    const jobs = await Promise.all(jobIds.map(async (jobId) => (
+      await this.getJobStatus(queueName, jobId) || { jobId, state: 'unknown' }
+    )));
+
+    const counts = jobs.reduce((totals, job) => {
+      totals[job.state] = (totals[job.state] || 0) + 1;
+      return totals;
+    }, {});
+    const finished = (counts.completed || 0) + (counts.failed || 0);
+
+    return {
+      batchId,
+      queue: queueName,
+      createdAt,
+      total: jobs.length,
+      finished,
+      done: finished === jobs.length,
+      counts,
+      jobs,
+    };
+  }
+
+  /**
+   * Acquire a lock that expires on its own if the holder dies
+   * @param {string} name - Lock name
+   * @param {number} ttl - Expiry in seconds
+   * @returns {string|null} - Lock token for releasing, or null when the lock is held
+   */
+  async acquireLock(name, ttl) {
+    const token = crypto.randomUUID();
+    const acquired = await this.redisConnection.set(`${LOCK_KEY_PREFIX}${name}`, token, 'EX', ttl, 'NX');
+
+    return acquired ? token : null;
+  }
+
+  /**
+   * Release a lock, unless it expired and was taken by someone else
+   * @param {string} name - Lock name
+   * @param {string} token - Token returned by acquireLock
+   */
+  async releaseLock(name, token) {
+    try {
+      await this.redisConnection.eval(
+        "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end",
+        1,
+        `${LOCK_KEY_PREFIX}${name}`,
+        token
+      );
+    } catch (error) {
+      logger.error('Failed to release lock', { name, error: error.message });
+    }
+  }
+
+  /**
+   * Check whether a lock is held
+   * @param {string} name - Lock name
+   * @returns {boolean} - True when held
+   */
+  async isLocked(name) {
+    return (await this.redisConnection.exists(`${LOCK_KEY_PREFIX}${name}`)) === 1;
+  }
+
   /**
    * Get queue statistics
    * @param {string} queueName - Queue name
@@ -338,6 +482,48 @@ class QueueService {
     }
   }
 
+  /**
+   * Get a job that has not started yet (delayed, waiting or prioritized)
+   * @param {string} queueName - Queue name
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} - Job, or null when it does not exist or already ran
+   */
+  async getPendingJob(queueName, jobId) {
+    const job = await this.getJob(queueName, jobId);
+
+    if (!job) {
+      return null;
+    }
+
+    const state = await job.getState();
+    return PENDING_STATES.includes(state) ? job : null;
+  }
+
+  /**
+   * Remove a job if it has not started yet
+   * Running and finished jobs are left alone
+   * @param {string} queueName - Queue name
+   * @param {string} jobId - Job ID
+   * @returns {boolean} - Whether the job was removed
+   */
+  async removePendingJob(queueName, jobId) {
+    try {
+      const job = await this.getPendingJob(queueName, jobId);
+
+      if (!job) {
+        return false;
+      }
+
+      await job.remove();
+      logger.info(`Pending job removed from ${queueName}`, { jobId });
+
+      return true;
+    } catch (error) {
+      logger.error(`Failed to remove pending job from ${queueName}`, { error: error.message, jobId });
+      throw error;
+    }
+  }
+
   /**
    * Retry failed job
    * @param {string} queueName - Queue name
@@ -0,0 +1,200 @@
+/**
+ * Schedule Sync Service
+ * Keeps the delayed publishing job of each post in line with its scheduled date, status and accounts
+ */
+
+const queueService = require('./queue/queue.service');
+const PublishingService = require('./publishing.service');
+const { apiLogger: logger } = require('../utils/logger');
+
+const POST_UID = 'api::social-media-post.social-media-post';
+// Changes to these fields can move, cancel or recreate the scheduled job
+const SCHEDULE_FIELDS = ['scheduledPublishDate', 'status', 'socialMediaAccounts'];
+
+class ScheduleSyncService {
+  constructor(strapi) {
+    this.strapi = strapi;
+  }
+
+  /**
+   * Register the document service middleware
+   */
+  register() {
+    this.strapi.documents.use((context, next) => this.handle(context, next));
+  }
+
+  /**
+   * Document service middleware
+   * A write is synced when it moves the post into or out of `scheduled`, or changes the date or accounts of a
+   * scheduled post. Writes that set `scheduledJobId` manage the job themselves, and writes passed with
+   * `skipScheduleSync` (the publishing service's status updates) are not synced
+   * @param {Object} context - Middleware context ({ uid, action, params })
+   * @param {Function} next - Next middleware
+   * @returns {*} - Result of the action
+   */
+  async handle(context, next) {
+    if (context.uid !== POST_UID) {
+      return next();
+    }
+
+    let skip = false;
+
+    if (context.params && 'skipScheduleSync' in context.params) {
+      const { skipScheduleSync, ...params } = context.params;
+      context.params = params;
+      skip = Boolean(skipScheduleSync);
+    }
+
+    if (context.action === 'delete') {
+      const post = await this.strapi.documents(POST_UID).findOne({
+        documentId: context.params.documentId,
+        fields: ['scheduledJobId'],
+      });
+
+      const result = await next();
+
+      if (post?.scheduledJobId) {
+        await this.removeJob(post.scheduledJobId);
+      }
+
+      return result;
+    }
+
+    const data = context.params?.data || {};
+    const relevant = !skip
+      && ['create', 'update'].includes(context.action)
+      && !('scheduledJobId' in data)
+      && SCHEDULE_FIELDS.some(field => field in data);
+
+    const previous = relevant && context.action === 'update' && context.params.documentId
+      ? await this.getPost(context.params.documentId)
+      : null;
+
+    const result = await next();
+
+    if (relevant && result?.documentId) {
+      try {
+        const post = await this.getPost(result.documentId);
+
+        if (post && this.hasScheduleChanged(previous, post)) {
+          await this.syncPost(result.documentId, post);
+        }
+      } catch (error) {
+        // The write itself succeeded; the worker skips jobs that no longer match the post
+        logger.error('Failed to sync scheduled job', { documentId: result.documentId, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Check whether a write changed anything the scheduled job depends on
+   * @param {Object} previous - Post before the write (null for new posts)
+   * @param {Object} post - Post after the write
+   * @returns {boolean} - True when the job must be synced
+   */
+  hasScheduleChanged(previous, post) {
+    if (!previous) {
+      return post.status === 'scheduled';
+    }
+
+    if (previous.status !== post.status) {
+      return previous.status === 'scheduled' || post.status === 'scheduled';
+    }
+
+    if (post.status !== 'scheduled') {
+      return false;
+    }
+
+    const getTime = value => (value ? new Date(value).getTime() : null);
+    const getAccounts = value => (value.socialMediaAccounts || []).map(account => account.documentId).sort().join(',');
+
+    return getTime(previous.scheduledPublishDate) !== getTime(post.scheduledPublishDate)
+      || getAccounts(previous) !== getAccounts(post);
+  }
+
+  /**
+   * Get a post with the fields its scheduled job depends on
+   * @param {string} documentId - Post document ID
+   * @returns {Object|null} - Post
+   */
+  async getPost(documentId) {
+    return await this.strapi.documents(POST_UID).findOne({
+      documentId,
+      populate: ['socialMediaAccounts'],
+    });
+  }
+
+  /**
+   * Bring the scheduled job of a post in line with the post
+   * - scheduled with a future date: a pending job for that date exists (moved or recreated otherwise)
+   * - scheduled without accounts, or with a date that passed without a job: cancelled back to draft
+   * - any other status: the pending job is removed
+   * @param {string} documentId - Post document ID
+   * @param {Object} loaded - Post already loaded with its accounts (optional)
+   */
+  async syncPost(documentId, loaded = null) {
+    const post = loaded || await this.getPost(documentId);
+
+    if (!post) return;
+
+    const publishingService = new PublishingService(this.strapi);
+
+    if (post.status !== 'scheduled') {
+      if (post.scheduledJobId) {
+        await this.removeJob(post.scheduledJobId);
+        await publishingService.updatePostStatus(documentId, { scheduledJobId: null });
+      }
+      return;
+    }
+
+    const scheduledTime = post.scheduledPublishDate ? new Date(post.scheduledPublishDate) : null;
+    const job = post.scheduledJobId
+      ? await queueService.getPendingJob('social-post-scheduled', post.scheduledJobId)
+      : null;
+
+    const accountCount = (post.socialMediaAccounts || []).length;
+    const inSync = job && scheduledTime && job.data.scheduledTime === scheduledTime.toISOString();
+
+    if (inSync && accountCount > 0) return;
+
+    if (accountCount === 0 || !scheduledTime || scheduledTime <= new Date()) {
+      logger.warn('Scheduled post cannot be published as scheduled, moving it back to draft', {
+        documentId,
+        scheduledPublishDate: post.scheduledPublishDate,
+        accountCount,
+      });
+
+      if (job) {
+        await this.removeJob(job.id);
+      }
+
+      await publishingService.updatePostStatus(documentId, { status: 'draft', scheduledJobId: null });
+      return;
+    }
+
+    const result = await publishingService.schedulePost(post);
+
+    logger.info('Scheduled job synced', {
+      documentId,
+      jobId: result.jobId,
+      previousJobId: result.previousJobId,
+      scheduledTime: result.scheduledTime.toISOString(),
+    });
+  }
+
+  /**
+   * Remove a pending scheduled job, logging instead of failing
+   * @param {string} jobId - Job ID
+   */
+  async removeJob(jobId) {
+    try {
+      await queueService.removePendingJob('social-post-scheduled', jobId);
+    } catch (error) {
+      logger.error('Failed to remove scheduled job', { jobId, error: error.message });
+    }
+  }
+}
+
+module.exports = ScheduleSyncService;
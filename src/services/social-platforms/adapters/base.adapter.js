@@ -0,0 +1,412 @@
+/**
+ * Base Platform Adapter
+ * Defines the interface every social platform adapter implements
+ */
+
+const { renderMarkdown } = require('../../../utils/markdown');
+const { splitText } = require('../../../utils/text-splitter');
+
+class BasePlatformAdapter {
+  /**
+   * @param {string} platform - Platform name as listed in the account `platform` enum
+   */
+  constructor(platform) {
+    this.platform = platform;
+  }
+
+  /**
+   * Operations and constraints supported by the platform
+   * @returns {Object} - Capability flags
+   */
+  get capabilities() {
+    return {
+      oauth: true,
+      credentials: false,
+      pkce: false,
+      refresh: false,
+      // Seconds before tokenExpiry at which the token refresh sweep renews the token
+      refreshBefore: 30 * 60,
+      profile: false,
+      // OAuth scopes publishing needs; the health check reports any that were not granted
+      requiredScopes: [],
+      // One login grants several accounts (pages, business accounts) that the admin picks from
+      accountSelection: false,
+      publish: true,
+      delete: false,
+      // Published text can be changed in place
+      edit: false,
+      metrics: false,
+      // After an interrupted publish, findPublished can look the post up on the platform
+      reconcile: false,
+      // Publishing again with the same idempotency key returns the earlier post
+      idempotent: false,
+      // Long text is continued as a reply chain instead of being rejected
+      threads: false,
+      maxTextLength: null,
+      maxHashtags: null,
+      clickableLinks: true,
+      // Media constraints checked before publishing; sizes in bytes, durations in seconds
+      media: {
+        required: false,
+        types: ['image', 'video'],
+        maxItems: null,
+        maxImageSize: null,
+        maxVideoSize: null,
+        aspectRatio: null,
+        videoDuration: null,
+      },
+    };
+  }
+
+  /**
+   * Build the OAuth authorization URL
+   * @param {string} redirectUri - Callback URL
+   * @param {Object} options - Additional options (scopes)
+   * @returns {Object} - { url, state, codeVerifier }
+   */
+  async authorize(redirectUri, options = {}) {
+    throw this.unsupported('authorize');
+  }
+
+  /**
+   * Exchange an authorization code for tokens
+   * @param {Object} params - { code, redirectUri, codeVerifier, query }
+   * @returns {Object} - { accessToken, refreshToken, expiresIn }
+   */
+  async exchangeCode(params) {
+    throw this.unsupported('exchangeCode');
+  }
+
+  /**
+   * Sign in with account credentials, for platforms without OAuth
+   * @param {Object} credentials - Platform-specific credentials
+   * @returns {Object} - { accessToken, refreshToken, expiresIn }
+   */
+  async login(credentials) {
+    throw this.unsupported('login');
+  }
+
+  /**
+   * Refresh the account's access token
+   * @param {Object} credentials - Decrypted { accessToken, refreshToken }
+   * @param {Object} account - Social media account
+   * @returns {Object} - { accessToken, refreshToken, expiresIn }
+   */
+  async refresh(credentials, account) {
+    throw this.unsupported('refresh');
+  }
+
+  /**
+   * Whether the stored account holds what refresh needs
+   * @param {Object} account - Social media account (tokens still encrypted)
+   * @returns {boolean} - Whether the token can be refreshed without reconnecting
+   */
+  canRefresh(account) {
+    return this.capabilities.refresh && Boolean(account.refreshToken);
+  }
+
+  /**
+   * Get the connected account's profile
+   * @param {string} accessToken - Access token
+   * @param {Object} context - Token data or stored account, for platforms that need more than the token
+   * @returns {Object} - Account fields (name, platformAccountId, username, profileUrl, accountMetadata)
+   */
+  async profile(accessToken, context = {}) {
+    throw this.unsupported('profile');
+  }
+
+  /**
+   * Get the OAuth scopes the account needs to publish
+   * @param {Object} account - Social media account
+   * @returns {Array} - Scope names
+   */
+  getRequiredScopes(account) {
+    return this.capabilities.requiredScopes;
+  }
+
+  /**
+   * Check the account's connection live
+   * By default the profile is fetched, which fails when the token is no longer accepted
+   * @param {Object} account - Social media account
+   * @param {string} accessToken - Decrypted access token
+   * @returns {Object} - { scopes, expiresAt, rateLimit }, each null when the platform does not report it
+   */
+  async checkHealth(account, accessToken) {
+    if (!this.capabilities.profile) {
+      throw this.unsupported('checkHealth');
+    }
+
+    await this.profile(accessToken, account);
+    return { scopes: null, expiresAt: null, rateLimit: null };
+  }
+
+  /**
+   * List the accounts a login grants access to, for platforms with account selection
+   * @param {Object} tokenData - Token data from exchangeCode
+   * @returns {Array} - Account fields with their own plain tokens (platform, platformAccountId, name, username,
+   * profileUrl, accountType, accessToken, expiresIn, accountMetadata, businessInfo)
+   */
+  async listAccounts(tokenData) {
+    throw this.unsupported('listAccounts');
+  }
+
+  /**
+   * Prepare platform-specific post data
+   * @param {Object} post - Post entity
+   * @param {Object} platformConfig - Entry from `post.platforms` for this platform
+   * @returns {Object} - Platform-specific post data
+   */
+  prepare(post, platformConfig = {}) {
+    return {
+      title: post.title,
+      content: post.content,
+      shortContent: post.shortContent,
+      hashtags: post.hashtags || [],
+      mentions: post.mentions || [],
+    };
+  }
+
+  /**
+   * Render the post text the way the platform displays it
+   * @param {Object} post - Post entity
+   * @param {Object} platformConfig - Entry from `post.platforms` for this platform
+   * @returns {Object} - { text, link }
+   */
+  render(post, platformConfig = {}) {
+    const { text, links } = renderMarkdown(platformConfig.customContent || post.content);
+    return { text, link: platformConfig.link || links[0] || null };
+  }
+
+  /**
+   * Preview the rendered text for an account and check it against the platform's length limit
+   * @param {Object} account - Social media account
+   * @param {Object} post - Post entity
+   * @param {Object} platformConfig - Entry from `post.platforms` for this platform
+   * @returns {Object} - { text, parts, link, length, maxLength, valid, errors }
+   */
+  async preview(account, post, platformConfig = {}) {
+    const { text, link } = this.render(post, platformConfig);
+    const maxLength = await this.getMaxTextLength(account, platformConfig);
+    const parts = maxLength ? this.split(text, maxLength, platformConfig) : [text];
+    const errors = [];
+
+    parts.forEach((part, index) => {
+      const length = this.measure(part);
+
+      if (maxLength && length > maxLength) {
+        const label = parts.length > 1 ? `Part ${index + 1}` : 'Text';
+        errors.push(`${label} is ${length} characters, over the ${this.platform} limit of ${maxLength}`);
+      }
+    });
+
+    return {
+      text,
+      parts,
+      link,
+      length: this.measure(text),
+      maxLength,
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Publish prepared post data
+   * @param {Object} account - Social media account
+   * @param {string} accessToken - Decrypted access token
+   * @param {Object} postData - Output of prepare()
+   * @returns {Object} - { id, url, thread } where `thread` lists every post of a multi-post thread in order
+   */
+  async publish(account, accessToken, postData) {
+    throw this.unsupported('publish');
+  }
+
+  /**
+   * Look up a post published by an earlier attempt
+   * @param {Object} account - Social media account
+   * @param {string} accessToken - Decrypted access token
+   * @param {Object} postData - Output of prepare()
+   * @param {Object} options - { since } - ISO date of the earlier attempt
+   * @returns {Object|null} - { id, url, thread, partial }, or null when nothing was published
+   */
+  async findPublished(account, accessToken, postData, options = {}) {
+    throw this.unsupported('findPublished');
+  }
+
+  /**
+   * Replace the text of a published post
+   * @param {Object} account - Social media account
+   * @param {string} accessToken - Decrypted access token
+   * @param {Array} platformPostIds - IDs of the published post, every post of a thread in order
+   * @param {Object} postData - Output of prepare() for the edited post
+   * @returns {Object} - { id, url, thread }; omitted fields keep their published values
+   */
+  async edit(account, accessToken, platformPostIds, postData) {
+    throw this.unsupported('edit');
+  }
+
+  /**
+   * Delete a published post
+   * @param {Object} account - Social media account
+   * @param {string} accessToken - Decrypted access token
+   * @param {string} platformPostId - Platform post ID
+   * @returns {boolean} - Success status
+   */
+  async delete(account, accessToken, platformPostId) {
+    throw this.unsupported('delete');
+  }
+
+  /**
+   * Fetch engagement metrics for a published post
+   * @param {Object} account - Social media account
+   * @param {string} accessToken - Decrypted access token
+   * @param {string} platformPostId - Platform post ID
+   * @returns {Object} - Analytics data
+   */
+  async fetchMetrics(account, accessToken, platformPostId) {
+    throw this.unsupported('fetchMetrics');
+  }
+
+  /**
+   * Helper: Measure text the way the platform counts it against its limit
+   * @param {string} text - Text
+   * @returns {number} - Length
+   */
+  measure(text) {
+    return text.length;
+  }
+
+  /**
+   * Helper: Get the maximum text length for an account
+   * @param {Object} account - Social media account
+   * @param {Object} platformConfig - Entry from `post.platforms` for this platform
+   * @returns {number|null} - Max length, or null when unlimited
+   */
+  async getMaxTextLength(account, platformConfig = {}) {
+    return this.capabilities.maxTextLength;
+  }
+
+  /**
+   * Helper: Split text into a reply chain on platforms that support threads
+   * @param {string} text - Rendered text
+   * @param {number} maxLength - Max length per post
+   * @param {Object} platformConfig - Entry from `post.platforms` for this platform
+   * @returns {Array} - Post texts
+   */
+  split(text, maxLength, platformConfig = {}) {
+    if (!this.capabilities.threads) {
+      return [text];
+    }
+
+    return splitText(text, maxLength, {
+      measure: value => this.measure(value),
+      numbered: Boolean(platformConfig.threadNumbering),
+    });
+  }
+
+  /**
+   * Helper: Get media URLs from Strapi media field
+   * @param {Array} media - Media array
+   * @returns {Array} - Media URLs
+   */
+  getMediaUrls(media) {
+    if (!media || media.length === 0) return [];
+
+    return media.map(item => {
+      if (typeof item === 'string') return item;
+      return item.url || item.formats?.large?.url || item.formats?.medium?.url;
+    }).filter(Boolean);
+  }
+
+  /**
+   * Helper: Get media items of a given MIME family (image, video)
+   * @param {Array} media - Media array
+   * @param {string} family - MIME type prefix, e.g. 'video'
+   * @returns {Array} - Matching media items
+   */
+  getMediaByType(media, family) {
+    return (media || []).filter(item =>
+      typeof item !== 'string' && (item.mime || '').startsWith(`${family}/`)
+    );
+  }
+
+  /**
+   * Helper: Resolve a Strapi media URL to an absolute URL
+   * Local upload provider URLs are relative to the Strapi server
+   * @param {string} url - Media URL
+   * @returns {string} - Absolute URL
+   */
+  resolveMediaUrl(url) {
+    if (!url || /^https?:\/\//.test(url)) return url;
+    return `${process.env.API_URL || ''}${url}`;
+  }
+
+  /**
+   * Helper: Find the posts of a thread among recently published posts
+   * URLs are ignored when comparing, since platforms shorten or rewrite them
+   * @param {Array} parts - Post texts, in thread order
+   * @param {Array} recent - Recently published posts ({ id, url, text })
+   * @returns {Object|null} - { id, url, thread, partial }, or null when the first post is missing
+   */
+  matchPublished(parts, recent) {
+    const normalize = value => (value || '')
+      .replace(/https?:\/\/\S+/g, '')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    const thread = [];
+
+    for (const part of parts) {
+      const match = recent.find(item => !thread.includes(item) && normalize(item.text) === normalize(part));
+      if (!match) break;
+      thread.push(match);
+    }
+
+    if (thread.length === 0) {
+      return null;
+    }
+
+    return {
+      id: thread[0].id,
+      url: thread[0].url,
+      ...(parts.length > 1 && { thread: thread.map(({ id, url }) => ({ id, url })) }),
+      partial: thread.length < parts.length,
+    };
+  }
+
+  /**
+   * Helper: Format hashtags with a leading #
+   * @param {Array} hashtags - Hashtags
+   * @returns {string} - Space-separated hashtags
+   */
+  formatHashtags(hashtags = []) {
+    return (hashtags || [])
+      .map(tag => tag.startsWith('#') ? tag : `#${tag}`)
+      .join(' ');
+  }
+
+  /**
+   * Helper: Format mentions with a leading @
+   * @param {Array} mentions - Mentions
+   * @returns {string} - Space-separated mentions
+   */
+  formatMentions(mentions = []) {
+    return (mentions || [])
+      .map(mention => mention.startsWith('@') ? mention : `@${mention}`)
+      .join(' ');
+  }
+
+  /**
+   * Helper: Build an error for an unsupported operation
+   * @param {string} operation - Operation name
+   * @returns {Error} - Error instance
+   */
+  unsupported(operation) {
+    return new Error(`Operation ${operation} not supported for platform ${this.platform}`);
+  }
+}
+
+module.exports = BasePlatformAdapter;
@@ -0,0 +1,235 @@
+/**
+ * Bluesky Platform Adapter
+ * Adapts BlueskyService to the platform adapter interface
+ */
+
+const BasePlatformAdapter = require('./base.adapter');
+const blueskyService = require('../bluesky.service');
+const { stripMarkdown, trimUrl } = require('../../../utils/markdown');
+
+const MAX_GRAPHEMES = 300;
+const MAX_IMAGES = 4;
+const MB = 1024 * 1024;
+
+const LINK_PATTERN = /https?:\/\/[^\s]+/g;
+const MENTION_PATTERN = /(^|\s)@([a-zA-Z0-9-]+(?:\.[a-zA-Z0-9-]+)+)/g;
+const TAG_PATTERN = /(^|\s)#([^\s#]+)/g;
+const TRAILING_PUNCTUATION = /[.,;:!?)'"]+$/;
+
+const graphemeSegmenter = new Intl.Segmenter();
+
+class BlueskyAdapter extends BasePlatformAdapter {
+  constructor() {
+    super('bluesky');
+  }
+
+  get capabilities() {
+    return {
+      ...super.capabilities,
+      oauth: false,
+      credentials: true,
+      refresh: true,
+      profile: true,
+      delete: true,
+      metrics: true,
+      reconcile: true,
+      threads: true,
+      maxTextLength: MAX_GRAPHEMES,
+      media: {
+        ...super.capabilities.media,
+        types: ['image'],
+        maxItems: MAX_IMAGES,
+        maxImageSize: MB,
+      },
+    };
+  }
+
+  /**
+   * Create a session from an app password
+   * @param {Object} credentials - { identifier, password, service }
+   * @returns {Object} - Token data
+   */
+  async login({ identifier, password, service }) {
+    if (!identifier || !password) {
+      const error = new Error('Bluesky identifier and app password are required');
+      error.status = 400;
+      throw error;
+    }
+
+    // The app password is only sent to an allowed PDS
+    return await blueskyService.createSession(identifier, password, blueskyService.resolveServiceUrl(service));
+  }
+
+  async refresh({ refreshToken }, account) {
+    return await blueskyService.refreshSession(refreshToken, this.getServiceUrl(account));
+  }
+
+  async profile(accessToken, context = {}) {
+    const serviceUrl = this.getServiceUrl(context);
+    const actor = context.did || context.platformAccountId;
+    const profile = await blueskyService.getProfile(serviceUrl, accessToken, actor);
+
+    return {
+      name: profile.displayName || `@${profile.handle}`,
+      platformAccountId: profile.did,
+      username: profile.handle,
+      profileUrl: `https://bsky.app/profile/${profile.handle}`,
+      accountMetadata: {
+        followersCount: profile.metrics.followersCount,
+        followingCount: profile.metrics.followingCount,
+        postsCount: profile.metrics.postsCount,
+        avatarUrl: profile.avatar,
+        serviceUrl,
+      },
+    };
+  }
+
+  render(post, platformConfig = {}) {
+    let text = stripMarkdown(platformConfig.customContent || post.shortContent || post.content);
+
+    if (post.mentions && post.mentions.length > 0) {
+      text = `${this.formatMentions(post.mentions)} ${text}`;
+    }
+
+    if (post.hashtags && post.hashtags.length > 0) {
+      text += `\n\n${this.formatHashtags(post.hashtags)}`;
+    }
+
+    return { text: text.trim(), link: null };
+  }
+
+  prepare(post, platformConfig = {}) {
+    const images = this.getMediaByType(post.media, 'image').slice(0, MAX_IMAGES);
+
+    return {
+      posts: this.split(this.render(post, platformConfig).text, MAX_GRAPHEMES, platformConfig),
+      images: images.map(image => ({
+        url: this.resolveMediaUrl(image.url),
+        mime: image.mime,
+        alt: image.alternativeText,
+      })),
+      langs: platformConfig.langs,
+    };
+  }
+
+  async publish(account, accessToken, postData) {
+    const serviceUrl = this.getServiceUrl(account);
+    const posts = [];
+
+    for (const text of postData.posts) {
+      posts.push({ text, facets: await this.buildFacets(serviceUrl, text) });
+    }
+
+    return await blueskyService.publishThread(serviceUrl, accessToken, account.platformAccountId, {
+      ...postData,
+      posts,
+      handle: account.username,
+    });
+  }
+
+  async findPublished(account, accessToken, postData, { since } = {}) {
+    const posts = await blueskyService.getAuthorPosts(this.getServiceUrl(account), accessToken, account.platformAccountId, {
+      since,
+    });
+
+    return this.matchPublished(postData.posts, posts.map(post => ({
+      id: post.uri,
+      text: post.text,
+      url: blueskyService.getPostUrl(account.username || account.platformAccountId, post.uri),
+    })));
+  }
+
+  async delete(account, accessToken, platformPostId) {
+    return await blueskyService.deletePost(this.getServiceUrl(account), accessToken, platformPostId);
+  }
+
+  async fetchMetrics(account, accessToken, platformPostId) {
+    return await blueskyService.getPostAnalytics(this.getServiceUrl(account), accessToken, platformPostId);
+  }
+
+  /**
+   * Build rich-text facets for links, mentions and hashtags
+   * Facet indices are UTF-8 byte offsets into the text
+   * @param {string} serviceUrl - PDS URL
+   * @param {string} text - Post text
+   * @returns {Array} - Facets
+   */
+  async buildFacets(serviceUrl, text) {
+    const facets = [];
+
+    for (const match of text.matchAll(LINK_PATTERN)) {
+      const uri = trimUrl(match[0]);
+      facets.push(this.createFacet(text, match.index, uri, {
+        $type: 'app.bsky.richtext.facet#link',
+        uri,
+      }));
+    }
+
+    for (const match of text.matchAll(MENTION_PATTERN)) {
+      const handle = match[2].replace(TRAILING_PUNCTUATION, '');
+      const did = await blueskyService.resolveHandle(serviceUrl, handle);
+
+      // Unresolvable handles stay plain text
+      if (!did) continue;
+
+      facets.push(this.createFacet(text, match.index + match[1].length, `@${handle}`, {
+        $type: 'app.bsky.richtext.facet#mention',
+        did,
+      }));
+    }
+
+    for (const match of text.matchAll(TAG_PATTERN)) {
+      const tag = match[2].replace(TRAILING_PUNCTUATION, '');
+
+      // Purely numeric tags are not hashtags
+      if (!tag || /^\d+$/.test(tag)) continue;
+
+      facets.push(this.createFacet(text, match.index + match[1].length, `#${tag}`, {
+        $type: 'app.bsky.richtext.facet#tag',
+        tag,
+      }));
+    }
+
+    return facets;
+  }
+
+  /**
+   * Create a facet covering a substring
+   * @param {string} text - Post text
+   * @param {number} index - String index where the substring starts
+   * @param {string} value - Substring
+   * @param {Object} feature - Facet feature
+   * @returns {Object} - Facet
+   */
+  createFacet(text, index, value, feature) {
+    const byteStart = Buffer.byteLength(text.slice(0, index), 'utf8');
+
+    return {
+      index: {
+        byteStart,
+        byteEnd: byteStart + Buffer.byteLength(value, 'utf8'),
+      },
+      features: [feature],
+    };
+  }
+
+  /**
+   * Count graphemes, which is how Bluesky limits post length
+   * @param {string} text - Post text
+   * @returns {number} - Grapheme count
+   */
+  measure(text) {
+    return [...graphemeSegmenter.segment(text)].length;
+  }
+
+  /**
+   * Get the PDS URL of an account or session
+   * @param {Object} context - Account or token data
+   * @returns {string} - PDS URL
+   */
+  getServiceUrl(context = {}) {
+    return context.serviceUrl || context.accountMetadata?.serviceUrl || blueskyService.defaultServiceUrl;
+  }
+}
+
+module.exports = BlueskyAdapter;
@@ -0,0 +1,151 @@
+/**
+ * Facebook Platform Adapter
+ * Adapts FacebookService to the platform adapter interface for Facebook pages
+ */
+
+const BasePlatformAdapter = require('./base.adapter');
+const facebookService = require('../facebook.service');
+
+const MB = 1024 * 1024;
+const DAY = 24 * 60 * 60;
+
+class FacebookAdapter extends BasePlatformAdapter {
+  constructor(platform = 'facebook') {
+    super(platform);
+  }
+
+  get capabilities() {
+    return {
+      ...super.capabilities,
+      refresh: true,
+      refreshBefore: 7 * DAY,
+      accountSelection: true,
+      requiredScopes: ['pages_manage_posts', 'pages_read_engagement'],
+      delete: true,
+      edit: true,
+      metrics: true,
+      maxTextLength: 63206,
+      media: {
+        ...super.capabilities.media,
+        maxItems: 10,
+        maxImageSize: 10 * MB,
+        maxVideoSize: 1024 * MB,
+      },
+    };
+  }
+
+  async authorize(redirectUri, options = {}) {
+    return facebookService.getAuthorizationUrl(redirectUri, options.scopes);
+  }
+
+  async exchangeCode({ code, redirectUri }) {
+    const tokenData = await facebookService.getAccessToken(code, redirectUri);
+    return await facebookService.getLongLivedToken(tokenData.accessToken);
+  }
+
+  async refresh({ accessToken }) {
+    const { accessToken: newAccessToken, expiresIn } = await facebookService.refreshAccessToken(accessToken);
+    return { accessToken: newAccessToken, expiresIn };
+  }
+
+  canRefresh(account) {
+    // The long-lived token itself is exchanged
+    return this.capabilities.refresh && Boolean(account.accessToken);
+  }
+
+  async listAccounts({ accessToken }) {
+    const pages = await facebookService.getUserPages(accessToken);
+    const accounts = [];
+
+    // Page tokens obtained with a long-lived user token do not expire
+    for (const page of pages) {
+      accounts.push({
+        platform: 'facebook',
+        platformAccountId: page.id,
+        name: page.name,
+        username: page.username || page.name,
+        profileUrl: page.link || `https://www.facebook.com/${page.id}`,
+        accountType: 'business',
+        accessToken: page.access_token,
+        accountMetadata: {
+          followersCount: page.fan_count || 0,
+          avatarUrl: page.picture?.data?.url || null,
+        },
+        businessInfo: { category: page.category || null },
+      });
+
+      if (!page.instagram_business_account) continue;
+
+      const instagram = await facebookService.getInstagramAccount(page.id, page.access_token);
+
+      if (!instagram) continue;
+
+      accounts.push({
+        platform: 'instagram',
+        platformAccountId: instagram.id,
+        name: instagram.name || `@${instagram.username}`,
+        username: instagram.username,
+        profileUrl: `https://www.instagram.com/${instagram.username}`,
+        accountType: 'business',
+        // Instagram Graph API calls are made with the token of the linked page
+        accessToken: page.access_token,
+        accountMetadata: {
+          followersCount: instagram.followers_count || 0,
+          followingCount: instagram.follows_count || 0,
+          postsCount: instagram.media_count || 0,
+          avatarUrl: instagram.profile_picture_url || null,
+        },
+        businessInfo: { pageId: page.id, pageName: page.name },
+      });
+    }
+
+    return accounts;
+  }
+
+  async checkHealth(account, accessToken) {
+    const token = await facebookService.debugToken(accessToken);
+
+    if (!token.valid) {
+      throw new Error(`Facebook access token is invalid (${token.error || 'no reason given'}); reconnect the account`);
+    }
+
+    return {
+      scopes: token.scopes,
+      expiresAt: token.expiresAt,
+      rateLimit: await facebookService.getRateLimitUsage(account.platformAccountId, accessToken),
+    };
+  }
+
+  prepare(post, platformConfig = {}) {
+    const { text, link } = this.render(post, platformConfig);
+
+    return {
+      message: text,
+      link,
+      mediaUrls: this.getMediaUrls(post.media),
+    };
+  }
+
+  async publish(account, accessToken, postData) {
+    return await facebookService.publishToFacebook(
+      account.platformAccountId,
+      accessToken,
+      postData
+    );
+  }
+
+  async edit(account, accessToken, [platformPostId], postData) {
+    await facebookService.updatePost(platformPostId, accessToken, postData.message);
+    return { id: platformPostId };
+  }
+
+  async delete(account, accessToken, platformPostId) {
+    return await facebookService.deleteObject(platformPostId, accessToken);
+  }
+
+  async fetchMetrics(account, accessToken, platformPostId) {
+    return await facebookService.getPostAnalytics(platformPostId, accessToken);
+  }
+}
+
+module.exports = FacebookAdapter;
@@ -0,0 +1,99 @@
+/**
+ * Instagram Platform Adapter
+ * Adapts FacebookService to the platform adapter interface for Instagram business accounts
+ */
+
+const FacebookAdapter = require('./facebook.adapter');
+const facebookService = require('../facebook.service');
+const { renderMarkdown } = require('../../../utils/markdown');
+
+const MB = 1024 * 1024;
+
+class InstagramAdapter extends FacebookAdapter {
+  constructor() {
+    super('instagram');
+  }
+
+  get capabilities() {
+    return {
+      ...super.capabilities,
+      // The Instagram Graph API can neither delete published media nor edit its caption
+      delete: false,
+      edit: false,
+      requiredScopes: ['instagram_basic', 'instagram_content_publish'],
+      maxTextLength: 2200,
+      maxHashtags: 30,
+      clickableLinks: false,
+      media: {
+        ...super.capabilities.media,
+        required: true,
+        maxItems: 10,
+        maxImageSize: 8 * MB,
+        maxVideoSize: 100 * MB,
+        // Feed images must be between 4:5 portrait and 1.91:1 landscape
+        aspectRatio: { min: 0.8, max: 1.91 },
+        videoDuration: { min: 3, max: 90 },
+      },
+    };
+  }
+
+  render(post, platformConfig = {}) {
+    // Links are not clickable in captions, so they stay inline
+    const { text } = renderMarkdown(platformConfig.customContent || post.content, { preserveBlankLines: true });
+    return { text: this.formatCaption(text, post.hashtags), link: null };
+  }
+
+  prepare(post, platformConfig = {}) {
+    return {
+      caption: this.render(post, platformConfig).text,
+      mediaUrls: this.getMediaUrls(post.media),
+      mediaType: this.getMediaType(post.media),
+    };
+  }
+
+  async publish(account, accessToken, postData) {
+    return await facebookService.publishToInstagram(
+      account.platformAccountId,
+      accessToken,
+      postData
+    );
+  }
+
+  async fetchMetrics(account, accessToken, platformPostId) {
+    return await facebookService.getInstagramInsights(platformPostId, accessToken);
+  }
+
+  /**
+   * Format Instagram caption with hashtags
+   * @param {string} content - Content
+   * @param {Array} hashtags - Hashtags
+   * @returns {string} - Formatted caption
+   */
+  formatCaption(content, hashtags = []) {
+    let caption = content;
+
+    if (hashtags && hashtags.length > 0) {
+      caption += `\n\n${this.formatHashtags(hashtags)}`;
+    }
+
+    return caption;
+  }
+
+  /**
+   * Determine Instagram media type
+   * @param {Array} media - Media array
+   * @returns {string} - Media type
+   */
+  getMediaType(media) {
+    if (!media || media.length === 0) return 'IMAGE';
+
+    const firstItem = media[0];
+    const mimeType = typeof firstItem === 'string' ? '' : (firstItem.mime || '');
+
+    if (mimeType.startsWith('video/')) return 'VIDEO';
+    if (media.length > 1) return 'CAROUSEL';
+    return 'IMAGE';
+  }
+}
+
+module.exports = InstagramAdapter;
@@ -0,0 +1,191 @@
+/**
+ * LinkedIn Platform Adapter
+ * Adapts LinkedInService to the platform adapter interface
+ */
+
+const BasePlatformAdapter = require('./base.adapter');
+const linkedinService = require('../linkedin.service');
+const { renderMarkdown } = require('../../../utils/markdown');
+
+const MB = 1024 * 1024;
+const DAY = 24 * 60 * 60;
+
+class LinkedInAdapter extends BasePlatformAdapter {
+  constructor() {
+    super('linkedin');
+  }
+
+  get capabilities() {
+    return {
+      ...super.capabilities,
+      refresh: true,
+      refreshBefore: 7 * DAY,
+      accountSelection: true,
+      profile: true,
+      delete: true,
+      edit: true,
+      metrics: true,
+      maxTextLength: 3000,
+      media: {
+        ...super.capabilities.media,
+        types: ['image'],
+        maxItems: 9,
+        maxImageSize: 8 * MB,
+      },
+    };
+  }
+
+  async authorize(redirectUri, options = {}) {
+    return linkedinService.getAuthorizationUrl(redirectUri, options.scopes);
+  }
+
+  async exchangeCode({ code, redirectUri }) {
+    return await linkedinService.getAccessToken(code, redirectUri);
+  }
+
+  async refresh({ refreshToken }) {
+    if (!refreshToken) {
+      throw new Error('LinkedIn did not issue a refresh token for this account; reconnect it before the token expires');
+    }
+
+    const { accessToken, refreshToken: newRefreshToken, expiresIn } =
+      await linkedinService.refreshAccessToken(refreshToken);
+    return { accessToken, refreshToken: newRefreshToken, expiresIn };
+  }
+
+  async profile(accessToken, context = {}) {
+    if (context.accountType === 'business') {
+      const organization = await linkedinService.getOrganization(accessToken, context.platformAccountId);
+      return this.toOrganizationAccount(organization);
+    }
+
+    const userInfo = await linkedinService.getUserProfile(accessToken);
+    const name = userInfo.name || `${userInfo.firstName} ${userInfo.lastName}`;
+
+    return {
+      name,
+      platformAccountId: userInfo.id,
+      username: name,
+      accountMetadata: {
+        avatarUrl: userInfo.picture || null,
+      },
+    };
+  }
+
+  getRequiredScopes(account) {
+    // Organization posts also read the member's roles before publishing
+    return account.accountType === 'business'
+      ? ['w_organization_social', 'r_organization_admin']
+      : ['w_member_social'];
+  }
+
+  async checkHealth(account, accessToken) {
+    const token = await linkedinService.introspectToken(accessToken);
+
+    if (!token.active) {
+      throw new Error(`LinkedIn access token is ${token.status || 'inactive'}; reconnect the account`);
+    }
+
+    if (account.accountType === 'business') {
+      await linkedinService.verifyOrganizationRole(accessToken, account.platformAccountId);
+    }
+
+    return { scopes: token.scopes, expiresAt: token.expiresAt, rateLimit: null };
+  }
+
+  async listAccounts({ accessToken, refreshToken, expiresIn, scopes }) {
+    const member = await this.profile(accessToken);
+    const organizations = await linkedinService.getAdministeredOrganizations(accessToken);
+
+    // Organization pages are posted to with the member's token, so they share its expiry and refresh token
+    const tokens = { accessToken, refreshToken, expiresIn, scopes };
+
+    return [
+      {
+        ...member,
+        platform: 'linkedin',
+        accountType: 'personal',
+        ...tokens,
+      },
+      ...organizations.map(organization => ({
+        ...this.toOrganizationAccount(organization),
+        platform: 'linkedin',
+        accountType: 'business',
+        businessInfo: {
+          organizationUrn: `urn:li:organization:${organization.id}`,
+          roles: organization.roles,
+          memberId: member.platformAccountId,
+        },
+        ...tokens,
+      })),
+    ];
+  }
+
+  /**
+   * Map organization details to account fields
+   * @param {Object} organization - From LinkedInService.getOrganization
+   * @returns {Object} - Account fields
+   */
+  toOrganizationAccount(organization) {
+    return {
+      name: organization.name,
+      platformAccountId: organization.id,
+      username: organization.vanityName || organization.name,
+      profileUrl: `https://www.linkedin.com/company/${organization.vanityName || organization.id}`,
+      accountMetadata: {
+        followersCount: organization.followersCount,
+        avatarUrl: organization.logoUrl,
+      },
+    };
+  }
+
+  render(post, platformConfig = {}) {
+    // LinkedIn has no rich text, so emphasis is rendered with Unicode bold and italic letters
+    const { text, links } = renderMarkdown(platformConfig.customContent || post.content, { emphasis: 'unicode' });
+    return { text, link: platformConfig.link || links[0] || null };
+  }
+
+  prepare(post, platformConfig = {}) {
+    const { text, link } = this.render(post, platformConfig);
+
+    return {
+      text,
+      title: post.title,
+      description: post.shortContent,
+      url: link,
+      mediaUrls: this.getMediaUrls(post.media),
+    };
+  }
+
+  async publish(account, accessToken, postData) {
+    if (account.accountType === 'business') {
+      // Roles can be revoked after the page was connected
+      await linkedinService.verifyOrganizationRole(accessToken, account.platformAccountId);
+      return await linkedinService.shareOrganizationContent(
+        accessToken,
+        account.platformAccountId,
+        postData
+      );
+    }
+    return await linkedinService.shareContent(
+      accessToken,
+      account.platformAccountId,
+      postData
+    );
+  }
+
+  async edit(account, accessToken, [platformPostId], postData) {
+    await linkedinService.updatePost(accessToken, platformPostId, postData.text);
+    return { id: platformPostId };
+  }
+
+  async delete(account, accessToken, platformPostId) {
+    return await linkedinService.deletePost(accessToken, platformPostId);
+  }
+
+  async fetchMetrics(account, accessToken, platformPostId) {
+    return await linkedinService.getPostStatistics(accessToken, platformPostId);
+  }
+}
+
+module.exports = LinkedInAdapter;
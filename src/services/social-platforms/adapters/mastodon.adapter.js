@@ -0,0 +1,197 @@
+/**
+ * Mastodon Platform Adapter
+ * Adapts MastodonService to the platform adapter interface
+ */
+
+const BasePlatformAdapter = require('./base.adapter');
+const mastodonService = require('../mastodon.service');
+const { stripMarkdown } = require('../../../utils/markdown');
+
+const MAX_ATTACHMENTS = 4;
+const DEFAULT_MAX_CHARACTERS = 500;
+// Mastodon counts every URL as 23 characters regardless of length
+const URL_LENGTH = 23;
+const URL_PATTERN = /https?:\/\/\S+/g;
+const MB = 1024 * 1024;
+
+class MastodonAdapter extends BasePlatformAdapter {
+  constructor() {
+    super('mastodon');
+  }
+
+  get capabilities() {
+    return {
+      ...super.capabilities,
+      profile: true,
+      requiredScopes: ['write'],
+      delete: true,
+      metrics: true,
+      edit: true,
+      // Mastodon deduplicates statuses posted with the same Idempotency-Key for an hour
+      idempotent: true,
+      threads: true,
+      // Instances may raise this; the actual limit is read from the instance
+      maxTextLength: DEFAULT_MAX_CHARACTERS,
+      media: {
+        ...super.capabilities.media,
+        maxItems: MAX_ATTACHMENTS,
+        maxImageSize: 16 * MB,
+        maxVideoSize: 99 * MB,
+      },
+    };
+  }
+
+  async authorize(redirectUri, options = {}) {
+    const instance = await mastodonService.resolveInstance(options.instance);
+    const authorization = await mastodonService.getAuthorizationUrl(
+      instance,
+      this.getRedirectUri(redirectUri, instance),
+      options.scopes
+    );
+
+    return { ...authorization, instance };
+  }
+
+  async exchangeCode({ code, redirectUri, query = {} }) {
+    const instance = mastodonService.normalizeInstance(query.instance);
+    return await mastodonService.getAccessToken(instance, code, this.getRedirectUri(redirectUri, instance));
+  }
+
+  async profile(accessToken, context = {}) {
+    const instance = this.getInstance(context);
+    const user = await mastodonService.verifyCredentials(instance, accessToken);
+    const host = new URL(instance).host;
+
+    return {
+      name: user.displayName || `@${user.username}@${host}`,
+      // Account IDs are only unique per instance
+      platformAccountId: `${user.id}@${host}`,
+      username: `${user.username}@${host}`,
+      profileUrl: user.url,
+      accountMetadata: {
+        followersCount: user.metrics.followersCount,
+        followingCount: user.metrics.followingCount,
+        postsCount: user.metrics.statusesCount,
+        avatarUrl: user.avatar,
+        instance,
+        accountId: user.id,
+      },
+    };
+  }
+
+  render(post, platformConfig = {}) {
+    let text = stripMarkdown(platformConfig.customContent || post.content);
+
+    if (post.mentions && post.mentions.length > 0) {
+      text = `${this.formatMentions(post.mentions)} ${text}`;
+    }
+
+    if (post.hashtags && post.hashtags.length > 0) {
+      text += `\n\n${this.formatHashtags(post.hashtags)}`;
+    }
+
+    return { text: text.trim(), link: null };
+  }
+
+  prepare(post, platformConfig = {}) {
+    const [video] = this.getMediaByType(post.media, 'video');
+    const attachments = video ? [video] : this.getMediaByType(post.media, 'image').slice(0, MAX_ATTACHMENTS);
+
+    return {
+      text: this.render(post, platformConfig).text,
+      media: attachments.map(item => ({
+        url: this.resolveMediaUrl(item.url),
+        mime: item.mime,
+        name: item.name,
+        description: item.alternativeText,
+      })),
+      spoilerText: platformConfig.contentWarning,
+      visibility: platformConfig.visibility,
+      sensitive: platformConfig.sensitive,
+      language: platformConfig.language,
+      threadNumbering: platformConfig.threadNumbering,
+    };
+  }
+
+  async publish(account, accessToken, postData) {
+    const instance = this.getInstance(account);
+    const defaults = account.publishingDefaults || {};
+    const spoilerText = postData.spoilerText || defaults.contentWarning;
+    const statusLength = await this.getMaxTextLength(account, { contentWarning: spoilerText });
+
+    return await mastodonService.postStatus(instance, accessToken, {
+      ...postData,
+      statuses: this.split(postData.text, statusLength, postData),
+      spoilerText,
+      visibility: postData.visibility || defaults.visibility,
+      language: postData.language || defaults.language,
+    });
+  }
+
+  async edit(account, accessToken, platformPostIds, postData) {
+    const defaults = account.publishingDefaults || {};
+    const spoilerText = postData.spoilerText || defaults.contentWarning;
+    const statusLength = await this.getMaxTextLength(account, { contentWarning: spoilerText });
+
+    return await mastodonService.editStatuses(this.getInstance(account), accessToken, platformPostIds, {
+      ...postData,
+      statuses: this.split(postData.text, statusLength, postData),
+      spoilerText,
+      language: postData.language || defaults.language,
+    });
+  }
+
+  async delete(account, accessToken, platformPostId) {
+    return await mastodonService.deleteStatus(this.getInstance(account), accessToken, platformPostId);
+  }
+
+  async fetchMetrics(account, accessToken, platformPostId) {
+    return await mastodonService.getStatusAnalytics(this.getInstance(account), accessToken, platformPostId);
+  }
+
+  async getMaxTextLength(account, platformConfig = {}) {
+    const maxCharacters = await mastodonService.getMaxCharacters(this.getInstance(account));
+    const contentWarning = platformConfig.contentWarning || account.publishingDefaults?.contentWarning;
+
+    // The content warning counts towards the status length
+    return maxCharacters - (contentWarning ? contentWarning.length : 0);
+  }
+
+  /**
+   * Count status length the way Mastodon does
+   * @param {string} text - Status text
+   * @returns {number} - Length
+   */
+  measure(text) {
+    return text.replace(URL_PATTERN, 'x'.repeat(URL_LENGTH)).length;
+  }
+
+  /**
+   * Get the instance URL of an account or token response
+   * @param {Object} context - Account or token data
+   * @returns {string} - Instance URL
+   */
+  getInstance(context = {}) {
+    const instance = context.instance || context.accountMetadata?.instance;
+
+    if (!instance) {
+      throw new Error('Mastodon account is missing its instance');
+    }
+
+    return instance;
+  }
+
+  /**
+   * Append the instance to the callback URL so the callback can find the app registration
+   * @param {string} redirectUri - Callback URL
+   * @param {string} instance - Instance URL
+   * @returns {string} - Instance-specific callback URL
+   */
+  getRedirectUri(redirectUri, instance) {
+    const url = new URL(redirectUri);
+    url.searchParams.set('instance', instance);
+    return url.toString();
+  }
+}
+
+module.exports = MastodonAdapter;
@@ -0,0 +1,133 @@
+/**
+ * Pinterest Platform Adapter
+ * Adapts PinterestService to the platform adapter interface
+ */
+
+const BasePlatformAdapter = require('./base.adapter');
+const pinterestService = require('../pinterest.service');
+const { renderMarkdown } = require('../../../utils/markdown');
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_ALT_TEXT_LENGTH = 500;
+const MB = 1024 * 1024;
+const DAY = 24 * 60 * 60;
+
+class PinterestAdapter extends BasePlatformAdapter {
+  constructor() {
+    super('pinterest');
+  }
+
+  get capabilities() {
+    return {
+      ...super.capabilities,
+      refresh: true,
+      refreshBefore: 3 * DAY,
+      profile: true,
+      requiredScopes: ['boards:read', 'pins:write'],
+      delete: true,
+      metrics: true,
+      boards: true,
+      maxTextLength: MAX_DESCRIPTION_LENGTH,
+      maxHashtags: 20,
+      media: {
+        ...super.capabilities.media,
+        required: true,
+        maxItems: 5,
+        maxImageSize: 20 * MB,
+        maxVideoSize: 2048 * MB,
+        videoDuration: { min: 4, max: 900 },
+      },
+    };
+  }
+
+  async authorize(redirectUri, options = {}) {
+    return pinterestService.getAuthorizationUrl(redirectUri, options.scopes);
+  }
+
+  async exchangeCode({ code, redirectUri }) {
+    return await pinterestService.getAccessToken(code, redirectUri);
+  }
+
+  async refresh({ refreshToken }) {
+    return await pinterestService.refreshAccessToken(refreshToken);
+  }
+
+  async profile(accessToken) {
+    const user = await pinterestService.getUserAccount(accessToken);
+
+    return {
+      name: user.username,
+      platformAccountId: user.id,
+      username: user.username,
+      profileUrl: `https://www.pinterest.com/${user.username}/`,
+      accountType: user.accountType === 'BUSINESS' ? 'business' : 'personal',
+      accountMetadata: {
+        followersCount: user.metrics.followersCount,
+        followingCount: user.metrics.followingCount,
+        postsCount: user.metrics.pinCount,
+        monthlyViews: user.metrics.monthlyViews,
+        avatarUrl: user.profileImage,
+      },
+    };
+  }
+
+  /**
+   * List boards pins can be published to
+   * @param {string} accessToken - Access token
+   * @returns {Array} - Boards
+   */
+  async listBoards(accessToken) {
+    return await pinterestService.listBoards(accessToken);
+  }
+
+  render(post, platformConfig = {}) {
+    const { text, links } = renderMarkdown(platformConfig.customContent || post.shortContent || post.content);
+    let description = text;
+
+    if (post.hashtags && post.hashtags.length > 0) {
+      description += ` ${this.formatHashtags(post.hashtags)}`;
+    }
+
+    // The first link in the content becomes the pin's destination
+    return { text: description, link: platformConfig.link || links[0] || null };
+  }
+
+  prepare(post, platformConfig = {}) {
+    const images = this.getMediaByType(post.media, 'image');
+    const [video] = this.getMediaByType(post.media, 'video');
+    const altText = (video || images[0])?.alternativeText;
+
+    const { text: description, link } = this.render(post, platformConfig);
+
+    return {
+      boardId: platformConfig.boardId,
+      title: (platformConfig.title || post.title || '').substring(0, MAX_TITLE_LENGTH),
+      description: description.substring(0, MAX_DESCRIPTION_LENGTH),
+      link,
+      altText: altText ? altText.substring(0, MAX_ALT_TEXT_LENGTH) : undefined,
+      images: images.map(image => ({
+        url: this.resolveMediaUrl(image.url),
+        title: image.caption,
+      })),
+      video: video ? { url: this.resolveMediaUrl(video.url), mime: video.mime } : null,
+    };
+  }
+
+  async publish(account, accessToken, postData) {
+    return await pinterestService.createPin(accessToken, {
+      ...postData,
+      boardId: postData.boardId || account.publishingDefaults?.boardId,
+    });
+  }
+
+  async delete(account, accessToken, platformPostId) {
+    return await pinterestService.deletePin(accessToken, platformPostId);
+  }
+
+  async fetchMetrics(account, accessToken, platformPostId) {
+    return await pinterestService.getPinAnalytics(accessToken, platformPostId);
+  }
+}
+
+module.exports = PinterestAdapter;
@@ -0,0 +1,112 @@
+/**
+ * Threads Platform Adapter
+ * Adapts ThreadsService to the platform adapter interface
+ */
+
+const BasePlatformAdapter = require('./base.adapter');
+const threadsService = require('../threads.service');
+const { stripMarkdown } = require('../../../utils/markdown');
+
+const MAX_TEXT_LENGTH = 500;
+const MAX_CAROUSEL_ITEMS = 20;
+const MB = 1024 * 1024;
+const DAY = 24 * 60 * 60;
+
+class ThreadsAdapter extends BasePlatformAdapter {
+  constructor() {
+    super('threads');
+  }
+
+  get capabilities() {
+    return {
+      ...super.capabilities,
+      refresh: true,
+      refreshBefore: 7 * DAY,
+      profile: true,
+      requiredScopes: ['threads_basic', 'threads_content_publish'],
+      delete: true,
+      metrics: true,
+      threads: true,
+      maxTextLength: MAX_TEXT_LENGTH,
+      media: {
+        ...super.capabilities.media,
+        maxItems: MAX_CAROUSEL_ITEMS,
+        maxImageSize: 8 * MB,
+        maxVideoSize: 1024 * MB,
+        videoDuration: { min: 0, max: 300 },
+      },
+    };
+  }
+
+  async authorize(redirectUri, options = {}) {
+    return threadsService.getAuthorizationUrl(redirectUri, options.scopes);
+  }
+
+  async exchangeCode({ code, redirectUri }) {
+    const tokenData = await threadsService.getAccessToken(code, redirectUri);
+    return await threadsService.getLongLivedToken(tokenData.accessToken);
+  }
+
+  async refresh({ accessToken }) {
+    // Threads refreshes the unexpired long-lived token itself
+    return await threadsService.refreshAccessToken(accessToken);
+  }
+
+  canRefresh(account) {
+    return this.capabilities.refresh && Boolean(account.accessToken);
+  }
+
+  async profile(accessToken) {
+    const user = await threadsService.getUserProfile(accessToken);
+
+    return {
+      name: user.name || `@${user.username}`,
+      platformAccountId: user.id,
+      username: user.username,
+      profileUrl: `https://www.threads.net/@${user.username}`,
+      accountMetadata: {
+        avatarUrl: user.profilePictureUrl,
+        biography: user.biography,
+      },
+    };
+  }
+
+  render(post, platformConfig = {}) {
+    let text = stripMarkdown(platformConfig.customContent || post.content);
+
+    if (post.hashtags && post.hashtags.length > 0) {
+      text += `\n\n${this.formatHashtags(post.hashtags)}`;
+    }
+
+    return { text: text.trim(), link: null };
+  }
+
+  prepare(post, platformConfig = {}) {
+    const media = (post.media || [])
+      .filter(item => typeof item !== 'string' && /^(image|video)\//.test(item.mime || ''))
+      .slice(0, MAX_CAROUSEL_ITEMS)
+      .map(item => ({
+        url: this.resolveMediaUrl(item.url),
+        type: item.mime.startsWith('video/') ? 'video' : 'image',
+      }));
+
+    return {
+      posts: this.split(this.render(post, platformConfig).text, MAX_TEXT_LENGTH, platformConfig),
+      media,
+    };
+  }
+
+  async publish(account, accessToken, postData) {
+    return await threadsService.publishPost(account.platformAccountId, accessToken, postData);
+  }
+
+  async delete(account, accessToken, platformPostId) {
+    return await threadsService.deletePost(platformPostId, accessToken);
+  }
+
+  async fetchMetrics(account, accessToken, platformPostId) {
+    return await threadsService.getPostInsights(platformPostId, accessToken);
+  }
+}
+
+module.exports = ThreadsAdapter;
@@ -0,0 +1,130 @@
+/**
+ * TikTok Platform Adapter
+ * Adapts TikTokService to the platform adapter interface
+ */
+
+const BasePlatformAdapter = require('./base.adapter');
+const tiktokService = require('../tiktok.service');
+const { stripMarkdown } = require('../../../utils/markdown');
+
+const MAX_CAPTION_LENGTH = 2200;
+const MB = 1024 * 1024;
+
+class TikTokAdapter extends BasePlatformAdapter {
+  constructor() {
+    super('tiktok');
+  }
+
+  get capabilities() {
+    return {
+      ...super.capabilities,
+      refresh: true,
+      profile: true,
+      requiredScopes: ['video.publish'],
+      metrics: true,
+      maxTextLength: MAX_CAPTION_LENGTH,
+      clickableLinks: false,
+      media: {
+        ...super.capabilities.media,
+        required: true,
+        types: ['video'],
+        maxItems: 1,
+        maxVideoSize: 4096 * MB,
+        videoDuration: { min: 3, max: 600 },
+      },
+    };
+  }
+
+  async authorize(redirectUri, options = {}) {
+    return tiktokService.getAuthorizationUrl(redirectUri, options.scopes);
+  }
+
+  async exchangeCode({ code, redirectUri }) {
+    return await tiktokService.getAccessToken(code, redirectUri);
+  }
+
+  async refresh({ refreshToken }) {
+    return await tiktokService.refreshAccessToken(refreshToken);
+  }
+
+  async profile(accessToken) {
+    const userInfo = await tiktokService.getUserInfo(accessToken);
+
+    return {
+      name: userInfo.name || `@${userInfo.username}`,
+      platformAccountId: userInfo.id,
+      username: userInfo.username,
+      profileUrl: userInfo.profileUrl || `https://www.tiktok.com/@${userInfo.username}`,
+      accountMetadata: {
+        followersCount: userInfo.metrics.followersCount,
+        followingCount: userInfo.metrics.followingCount,
+        postsCount: userInfo.metrics.videoCount,
+        verified: userInfo.verified,
+        avatarUrl: userInfo.avatarUrl,
+      },
+    };
+  }
+
+  render(post, platformConfig = {}) {
+    const caption = this.formatCaption(
+      stripMarkdown(platformConfig.customContent || post.shortContent || post.content),
+      post.hashtags,
+      post.mentions
+    );
+    return { text: caption, link: null };
+  }
+
+  prepare(post, platformConfig = {}) {
+    const [video] = this.getMediaByType(post.media, 'video');
+
+    return {
+      caption: this.render(post, platformConfig).text.substring(0, MAX_CAPTION_LENGTH),
+      videoUrl: video ? this.resolveMediaUrl(video.url) : null,
+      privacyLevel: platformConfig.privacyLevel,
+      disableComment: platformConfig.disableComment,
+      disableDuet: platformConfig.disableDuet,
+      disableStitch: platformConfig.disableStitch,
+      videoCoverTimestampMs: platformConfig.videoCoverTimestampMs,
+    };
+  }
+
+  async publish(account, accessToken, postData) {
+    const defaults = account.publishingDefaults || {};
+
+    return await tiktokService.publishVideo(accessToken, {
+      ...postData,
+      privacyLevel: postData.privacyLevel || defaults.privacyLevel,
+      disableComment: postData.disableComment ?? defaults.disableComment,
+      disableDuet: postData.disableDuet ?? defaults.disableDuet,
+      disableStitch: postData.disableStitch ?? defaults.disableStitch,
+      username: account.username,
+    });
+  }
+
+  async fetchMetrics(account, accessToken, platformPostId) {
+    return await tiktokService.getVideoAnalytics(accessToken, platformPostId);
+  }
+
+  /**
+   * Format TikTok caption with mentions and hashtags
+   * @param {string} content - Content
+   * @param {Array} hashtags - Hashtags
+   * @param {Array} mentions - Mentions
+   * @returns {string} - Formatted caption
+   */
+  formatCaption(content, hashtags = [], mentions = []) {
+    const parts = [content];
+
+    if (mentions && mentions.length > 0) {
+      parts.push(this.formatMentions(mentions));
+    }
+
+    if (hashtags && hashtags.length > 0) {
+      parts.push(this.formatHashtags(hashtags));
+    }
+
+    return parts.join(' ');
+  }
+}
+
+module.exports = TikTokAdapter;
@@ -0,0 +1,179 @@
+/**
+ * Twitter/X Platform Adapter
+ * Adapts TwitterService to the platform adapter interface
+ */
+
+const BasePlatformAdapter = require('./base.adapter');
+const twitterService = require('../twitter.service');
+const { stripMarkdown } = require('../../../utils/markdown');
+
+const MAX_TWEET_LENGTH = 280;
+const MB = 1024 * 1024;
+
+class TwitterAdapter extends BasePlatformAdapter {
+  constructor() {
+    super('twitter');
+  }
+
+  get capabilities() {
+    return {
+      ...super.capabilities,
+      pkce: true,
+      refresh: true,
+      profile: true,
+      requiredScopes: ['tweet.read', 'tweet.write', 'users.read'],
+      delete: true,
+      metrics: true,
+      reconcile: true,
+      threads: true,
+      maxTextLength: MAX_TWEET_LENGTH,
+      media: {
+        ...super.capabilities.media,
+        maxImageSize: 5 * MB,
+        maxVideoSize: 512 * MB,
+        videoDuration: { min: 0.5, max: 140 },
+      },
+    };
+  }
+
+  async authorize(redirectUri, options = {}) {
+    return await twitterService.getAuthorizationUrl(redirectUri, options.scopes);
+  }
+
+  async exchangeCode({ code, redirectUri, codeVerifier }) {
+    const { accessToken, refreshToken, expiresIn, scopes } = await twitterService.getAccessToken(
+      code,
+      codeVerifier,
+      redirectUri
+    );
+    return { accessToken, refreshToken, expiresIn, scopes };
+  }
+
+  async refresh({ refreshToken }) {
+    const { accessToken, refreshToken: newRefreshToken, expiresIn } =
+      await twitterService.refreshAccessToken(refreshToken);
+    return { accessToken, refreshToken: newRefreshToken, expiresIn };
+  }
+
+  async profile(accessToken) {
+    const userInfo = await twitterService.getUserInfo(accessToken);
+
+    return {
+      name: `@${userInfo.username}`,
+      platformAccountId: userInfo.id,
+      username: userInfo.username,
+      profileUrl: `https://twitter.com/${userInfo.username}`,
+      accountMetadata: {
+        followersCount: userInfo.metrics?.followers_count || 0,
+        followingCount: userInfo.metrics?.following_count || 0,
+        postsCount: userInfo.metrics?.tweet_count || 0,
+        verified: userInfo.verified,
+      },
+    };
+  }
+
+  async checkHealth(account, accessToken) {
+    const { rateLimit } = await twitterService.checkToken(accessToken);
+    return { scopes: null, expiresAt: null, rateLimit };
+  }
+
+  render(post, platformConfig = {}) {
+    const text = this.formatText(
+      stripMarkdown(platformConfig.customContent || post.shortContent || post.content),
+      post.hashtags,
+      post.mentions
+    );
+    return { text, link: null };
+  }
+
+  prepare(post, platformConfig = {}) {
+    const { text } = this.render(post, platformConfig);
+
+    return {
+      text,
+      // Long content is posted as a thread
+      tweets: this.split(text, MAX_TWEET_LENGTH, platformConfig),
+      media: (post.media || [])
+        .filter(item => typeof item !== 'string' && /^(image|video)\//.test(item.mime || ''))
+        .map(item => ({
+          url: this.resolveMediaUrl(item.url),
+          mime: item.mime,
+          alt: item.alternativeText,
+        })),
+    };
+  }
+
+  async publish(account, accessToken, postData) {
+    const tweets = postData.tweets;
+
+    // Attachments beyond what the first tweet holds go to the following tweets
+    const mediaIds = await twitterService.uploadMediaForTweets(accessToken, postData.media, tweets.length);
+
+    if (tweets.length > 1) {
+      const threadResults = await twitterService.postThread(accessToken, tweets, mediaIds);
+      return {
+        ...threadResults[0],
+        platform: 'twitter',
+        thread: threadResults.map(({ id, url }) => ({ id, url })),
+      };
+    }
+    return await twitterService.postTweet(accessToken, {
+      text: tweets[0],
+      mediaIds: mediaIds[0] || [],
+    });
+  }
+
+  async findPublished(account, accessToken, postData, { since } = {}) {
+    // The API rejects fractional seconds in start_time
+    const tweets = await twitterService.getUserTweets(accessToken, account.platformAccountId, 100, {
+      startTime: since && new Date(since).toISOString().replace(/\.\d{3}Z$/, 'Z'),
+    });
+
+    return this.matchPublished(postData.tweets, tweets.map(tweet => ({
+      id: tweet.id,
+      text: tweet.text,
+      url: `https://twitter.com/i/web/status/${tweet.id}`,
+    })));
+  }
+
+  async delete(account, accessToken, platformPostId) {
+    return await twitterService.deleteTweet(accessToken, platformPostId);
+  }
+
+  async fetchMetrics(account, accessToken, platformPostId) {
+    return await twitterService.getTweetAnalytics(accessToken, platformPostId);
+  }
+
+  measure(text) {
+    return twitterService.getTweetLength(text);
+  }
+
+  /**
+   * Format Twitter text with mentions and hashtags
+   * @param {string} content - Content
+   * @param {Array} hashtags - Hashtags
+   * @param {Array} mentions - Mentions
+   * @returns {string} - Formatted text
+   */
+  formatText(content, hashtags = [], mentions = []) {
+    let text = content;
+
+    // Add mentions
+    if (mentions && mentions.length > 0) {
+      text = `${this.formatMentions(mentions)} ${text}`;
+    }
+
+    // Add hashtags (if space allows)
+    if (hashtags && hashtags.length > 0) {
+      const hashtagString = this.formatHashtags(hashtags);
+
+      if (twitterService.getTweetLength(`${text} ${hashtagString}`) <= MAX_TWEET_LENGTH) {
+        text += ` ${hashtagString}`;
+      }
+    }
+
+    return text;
+  }
+}
+
+module.exports = TwitterAdapter;
@@ -0,0 +1,183 @@
+/**
+ * YouTube Platform Adapter
+ * Adapts YouTubeService to the platform adapter interface
+ */
+
+const BasePlatformAdapter = require('./base.adapter');
+const youtubeService = require('../youtube.service');
+const { stripMarkdown } = require('../../../utils/markdown');
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_TAGS_LENGTH = 500;
+const SHORTS_TAG = '#Shorts';
+
+class YouTubeAdapter extends BasePlatformAdapter {
+  constructor() {
+    super('youtube');
+  }
+
+  get capabilities() {
+    return {
+      ...super.capabilities,
+      refresh: true,
+      profile: true,
+      requiredScopes: ['https://www.googleapis.com/auth/youtube.upload'],
+      delete: true,
+      metrics: true,
+      maxTextLength: MAX_DESCRIPTION_LENGTH,
+      // YouTube ignores every hashtag of a description with more than 15
+      maxHashtags: 15,
+      media: {
+        ...super.capabilities.media,
+        required: true,
+        types: ['video'],
+        maxItems: 1,
+      },
+    };
+  }
+
+  async authorize(redirectUri, options = {}) {
+    return youtubeService.getAuthorizationUrl(redirectUri, options.scopes);
+  }
+
+  async exchangeCode({ code, redirectUri }) {
+    return await youtubeService.getAccessToken(code, redirectUri);
+  }
+
+  async refresh({ refreshToken }) {
+    return await youtubeService.refreshAccessToken(refreshToken);
+  }
+
+  async profile(accessToken) {
+    const channel = await youtubeService.getChannelInfo(accessToken);
+
+    return {
+      name: channel.title,
+      platformAccountId: channel.id,
+      username: channel.customUrl || channel.title,
+      profileUrl: channel.customUrl
+        ? `https://www.youtube.com/${channel.customUrl}`
+        : `https://www.youtube.com/channel/${channel.id}`,
+      accountMetadata: {
+        followersCount: channel.metrics.subscriberCount,
+        postsCount: channel.metrics.videoCount,
+        viewCount: channel.metrics.viewCount,
+        avatarUrl: channel.thumbnailUrl,
+      },
+    };
+  }
+
+  render(post, platformConfig = {}) {
+    const description = this.formatDescription(
+      stripMarkdown(platformConfig.customContent || post.content),
+      post.hashtags
+    );
+    return { text: description, link: null };
+  }
+
+  prepare(post, platformConfig = {}) {
+    const [video] = this.getMediaByType(post.media, 'video');
+    const isShort = this.isShort(video, platformConfig);
+
+    return {
+      videoUrl: video ? this.resolveMediaUrl(video.url) : null,
+      mimeType: video?.mime,
+      title: this.formatTitle(platformConfig.title || post.title, isShort),
+      description: this.render(post, platformConfig).text.substring(0, MAX_DESCRIPTION_LENGTH),
+      tags: this.formatTags(post.hashtags),
+      categoryId: platformConfig.categoryId,
+      privacyStatus: platformConfig.privacyStatus,
+      publishAt: platformConfig.publishAt,
+      madeForKids: platformConfig.madeForKids,
+      isShort,
+    };
+  }
+
+  async publish(account, accessToken, postData) {
+    const defaults = account.publishingDefaults || {};
+
+    return await youtubeService.uploadVideo(accessToken, {
+      ...postData,
+      categoryId: postData.categoryId || defaults.categoryId,
+      privacyStatus: postData.privacyStatus || defaults.privacyStatus,
+      madeForKids: postData.madeForKids ?? defaults.madeForKids,
+    });
+  }
+
+  async delete(account, accessToken, platformPostId) {
+    return await youtubeService.deleteVideo(accessToken, platformPostId);
+  }
+
+  async fetchMetrics(account, accessToken, platformPostId) {
+    return await youtubeService.getVideoAnalytics(accessToken, platformPostId);
+  }
+
+  /**
+   * Decide whether a video is published as a Short
+   * An explicit `format` of 'short' or 'long' wins; otherwise vertical videos are Shorts
+   * @param {Object} video - Strapi media item
+   * @param {Object} platformConfig - Platform configuration
+   * @returns {boolean} - Whether the video is a Short
+   */
+  isShort(video, platformConfig = {}) {
+    if (platformConfig.format) {
+      return platformConfig.format === 'short';
+    }
+
+    return Boolean(video?.width && video?.height && video.height > video.width);
+  }
+
+  /**
+   * Format video title within YouTube's limits
+   * @param {string} title - Post title
+   * @param {boolean} isShort - Whether the video is a Short
+   * @returns {string} - Formatted title
+   */
+  formatTitle(title = '', isShort = false) {
+    // Angle brackets are rejected in titles
+    let formatted = title.replace(/[<>]/g, '').trim();
+
+    if (isShort && !/#shorts/i.test(formatted)) {
+      formatted = `${formatted.substring(0, MAX_TITLE_LENGTH - SHORTS_TAG.length - 1)} ${SHORTS_TAG}`;
+    }
+
+    return formatted.substring(0, MAX_TITLE_LENGTH);
+  }
+
+  /**
+   * Format video description with hashtags
+   * @param {string} content - Content
+   * @param {Array} hashtags - Hashtags
+   * @returns {string} - Formatted description
+   */
+  formatDescription(content = '', hashtags = []) {
+    let description = content.replace(/[<>]/g, '');
+
+    if (hashtags && hashtags.length > 0) {
+      description += `\n\n${this.formatHashtags(hashtags)}`;
+    }
+
+    return description;
+  }
+
+  /**
+   * Convert hashtags into video tags within the total length limit
+   * @param {Array} hashtags - Hashtags
+   * @returns {Array} - Tags
+   */
+  formatTags(hashtags = []) {
+    const tags = [];
+    let length = 0;
+
+    for (const tag of (hashtags || []).map(t => t.replace(/^#/, ''))) {
+      if (length + tag.length > MAX_TAGS_LENGTH) break;
+      tags.push(tag);
+      length += tag.length + 1;
+    }
+
+    return tags;
+  }
+}
+
+module.exports = YouTubeAdapter;
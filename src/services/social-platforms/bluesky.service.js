@@ -0,0 +1,384 @@
+/**
+ * Bluesky Integration Service
+ * Handles app-password sessions, rich-text posts, image embeds, and analytics via the AT Protocol
+ */
+
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { socialPlatformLogger: logger } = require('../../utils/logger');
+
+const POST_COLLECTION = 'app.bsky.feed.post';
+const MAX_IMAGES = 4;
+
+class BlueskyService {
+  constructor() {
+    this.defaultServiceUrl = process.env.BLUESKY_SERVICE_URL || 'https://bsky.social';
+    // Hosts app passwords may be sent to: the default PDS and any self-hosted ones listed
+    this.allowedServiceUrls = [this.defaultServiceUrl, ...(process.env.BLUESKY_ALLOWED_SERVICES || '').split(',')]
+      .map(url => url.trim())
+      .filter(Boolean)
+      .map(url => this.getOrigin(url));
+  }
+
+  /**
+   * Get the PDS URL to sign in with
+   * @param {string} serviceUrl - PDS URL requested by the caller (optional)
+   * @returns {string} - Allowed PDS URL
+   */
+  resolveServiceUrl(serviceUrl) {
+    if (!serviceUrl) {
+      return this.defaultServiceUrl;
+    }
+
+    const origin = this.getOrigin(serviceUrl);
+
+    if (!origin || !this.allowedServiceUrls.includes(origin)) {
+      const error = new Error(`Bluesky service ${serviceUrl} is not allowed; add it to BLUESKY_ALLOWED_SERVICES`);
+      error.status = 400;
+      throw error;
+    }
+
+    return origin;
+  }
+
+  /**
+   * Helper: Get the origin of an https URL
+   * @param {string} url - URL
+   * @returns {string|null} - Origin, or null for invalid or non-https URLs
+   */
+  getOrigin(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'https:' ? parsed.origin : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Create a session with an app password
+   * @param {string} identifier - Handle or email
+   * @param {string} password - App password
+   * @param {string} serviceUrl - PDS URL
+   * @returns {Object} - Session data
+   */
+  async createSession(identifier, password, serviceUrl = this.defaultServiceUrl) {
+    try {
+      const response = await axios.post(`${serviceUrl}/xrpc/com.atproto.server.createSession`, {
+        identifier,
+        password,
+      });
+
+      logger.info('Bluesky session created successfully', { handle: response.data.handle });
+
+      return this.mapSession(response.data, serviceUrl);
+    } catch (error) {
+      logger.error('Failed to create Bluesky session', { error: error.message });
+      throw new Error(`Bluesky auth error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Refresh a session
+   * @param {string} refreshJwt - Refresh JWT
+   * @param {string} serviceUrl - PDS URL
+   * @returns {Object} - Session data
+   */
+  async refreshSession(refreshJwt, serviceUrl = this.defaultServiceUrl) {
+    try {
+      const response = await axios.post(`${serviceUrl}/xrpc/com.atproto.server.refreshSession`, null, {
+        headers: { Authorization: `Bearer ${refreshJwt}` },
+      });
+
+      logger.info('Bluesky session refreshed successfully');
+
+      return this.mapSession(response.data, serviceUrl);
+    } catch (error) {
+      logger.error('Failed to refresh Bluesky session', { error: error.message });
+      throw new Error(`Bluesky session refresh error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Get an actor profile
+   * @param {string} serviceUrl - PDS URL
+   * @param {string} accessJwt - Access JWT
+   * @param {string} actor - DID or handle
+   * @returns {Object} - Profile data
+   */
+  async getProfile(serviceUrl, accessJwt, actor) {
+    try {
+      const response = await axios.get(`${serviceUrl}/xrpc/app.bsky.actor.getProfile`, {
+        params: { actor },
+        headers: { Authorization: `Bearer ${accessJwt}` },
+      });
+
+      const data = response.data;
+
+      return {
+        did: data.did,
+        handle: data.handle,
+        displayName: data.displayName,
+        avatar: data.avatar,
+        metrics: {
+          followersCount: data.followersCount || 0,
+          followingCount: data.followsCount || 0,
+          postsCount: data.postsCount || 0,
+        },
+      };
+    } catch (error) {
+      logger.error('Failed to get Bluesky profile', { error: error.message, actor });
+      throw new Error(`Bluesky profile error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Resolve a handle to a DID
+   * @param {string} serviceUrl - PDS URL
+   * @param {string} handle - Handle without @
+   * @returns {string|null} - DID, or null when the handle does not resolve
+   */
+  async resolveHandle(serviceUrl, handle) {
+    try {
+      const response = await axios.get(`${serviceUrl}/xrpc/com.atproto.identity.resolveHandle`, {
+        params: { handle },
+      });
+      return response.data.did;
+    } catch (error) {
+      logger.warn('Failed to resolve Bluesky handle', { handle, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Upload an image blob
+   * @param {string} serviceUrl - PDS URL
+   * @param {string} accessJwt - Access JWT
+   * @param {Object} image - Image ({ url, mime })
+   * @returns {Object} - Blob reference
+   */
+  async uploadBlob(serviceUrl, accessJwt, image) {
+    const imageResponse = await axios.get(image.url, { responseType: 'arraybuffer' });
+
+    const response = await axios.post(
+      `${serviceUrl}/xrpc/com.atproto.repo.uploadBlob`,
+      Buffer.from(imageResponse.data),
+      {
+        headers: {
+          Authorization: `Bearer ${accessJwt}`,
+          'Content-Type': image.mime,
+        },
+        maxBodyLength: Infinity,
+      }
+    );
+
+    return response.data.blob;
+  }
+
+  /**
+   * Publish posts as a thread
+   * @param {string} serviceUrl - PDS URL
+   * @param {string} accessJwt - Access JWT
+   * @param {string} did - Author DID
+   * @param {Object} postData - { posts: [{ text, facets }], images, langs }
+   * @returns {Object} - Published post data (root of the thread)
+   */
+  async publishThread(serviceUrl, accessJwt, did, postData) {
+    try {
+      const { posts = [], images = [], langs, handle } = postData;
+
+      if (posts.length === 0) {
+        throw new Error('Bluesky posts require text');
+      }
+
+      let embed;
+      if (images.length > 0) {
+        const uploaded = [];
+        for (const image of images.slice(0, MAX_IMAGES)) {
+          uploaded.push({
+            image: await this.uploadBlob(serviceUrl, accessJwt, image),
+            alt: image.alt || '',
+          });
+        }
+        embed = { $type: 'app.bsky.embed.images', images: uploaded };
+      }
+
+      const published = [];
+      let root = null;
+      let parent = null;
+
+      for (let i = 0; i < posts.length; i++) {
+        const record = {
+          $type: POST_COLLECTION,
+          text: posts[i].text,
+          createdAt: new Date().toISOString(),
+          ...(posts[i].facets?.length > 0 && { facets: posts[i].facets }),
+          // Images are embedded in the first post only
+          ...(i === 0 && embed && { embed }),
+          ...(langs && { langs }),
+          ...(root && { reply: { root, parent } }),
+        };
+
+        const response = await axios.post(
+          `${serviceUrl}/xrpc/com.atproto.repo.createRecord`,
+          { repo: did, collection: POST_COLLECTION, record },
+          { headers: { Authorization: `Bearer ${accessJwt}` } }
+        );
+
+        const ref = { uri: response.data.uri, cid: response.data.cid };
+        published.push(ref);
+        root = root || ref;
+        parent = ref;
+      }
+
+      logger.info('Successfully published to Bluesky', {
+        uri: published[0].uri,
+        threadLength: published.length,
+      });
+
+      return {
+        id: published[0].uri,
+        platform: 'bluesky',
+        url: this.getPostUrl(handle || did, published[0].uri),
+        thread: published.map(ref => ({ id: ref.uri, url: this.getPostUrl(handle || did, ref.uri) })),
+      };
+    } catch (error) {
+      logger.error('Failed to publish to Bluesky', { error: error.message });
+      throw new Error(`Bluesky publish error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Get recent posts and replies of an author
+   * @param {string} serviceUrl - PDS URL
+   * @param {string} accessJwt - Access JWT
+   * @param {string} actor - DID or handle
+   * @param {Object} options - { limit, since } where since is an ISO date
+   * @returns {Array} - Posts ({ uri, text, createdAt })
+   */
+  async getAuthorPosts(serviceUrl, accessJwt, actor, { limit = 50, since } = {}) {
+    try {
+      const response = await axios.get(`${serviceUrl}/xrpc/app.bsky.feed.getAuthorFeed`, {
+        params: { actor, limit, filter: 'posts_with_replies' },
+        headers: { Authorization: `Bearer ${accessJwt}` },
+      });
+
+      return (response.data.feed || [])
+        .map(item => item.post)
+        // Reposts of other authors also appear in the feed
+        .filter(post => post.author?.did === actor || post.author?.handle === actor)
+        .map(post => ({
+          uri: post.uri,
+          text: post.record?.text || '',
+          createdAt: post.record?.createdAt,
+        }))
+        .filter(post => !since || new Date(post.createdAt) >= new Date(since));
+    } catch (error) {
+      logger.error('Failed to get Bluesky author feed', { error: error.message, actor });
+      throw new Error(`Bluesky feed error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Delete a post
+   * @param {string} serviceUrl - PDS URL
+   * @param {string} accessJwt - Access JWT
+   * @param {string} uri - Post AT URI
+   * @returns {boolean} - Success status
+   */
+  async deletePost(serviceUrl, accessJwt, uri) {
+    try {
+      const { repo, rkey } = this.parseUri(uri);
+
+      await axios.post(
+        `${serviceUrl}/xrpc/com.atproto.repo.deleteRecord`,
+        { repo, collection: POST_COLLECTION, rkey },
+        { headers: { Authorization: `Bearer ${accessJwt}` } }
+      );
+
+      logger.info('Successfully deleted Bluesky post', { uri });
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to delete Bluesky post', { error: error.message, uri });
+      throw new Error(`Bluesky delete error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Get post analytics
+   * @param {string} serviceUrl - PDS URL
+   * @param {string} accessJwt - Access JWT
+   * @param {string} uri - Post AT URI
+   * @returns {Object} - Analytics data
+   */
+  async getPostAnalytics(serviceUrl, accessJwt, uri) {
+    try {
+      const response = await axios.get(`${serviceUrl}/xrpc/app.bsky.feed.getPosts`, {
+        params: { uris: uri },
+        headers: { Authorization: `Bearer ${accessJwt}` },
+      });
+
+      const post = response.data.posts?.[0] || {};
+
+      return {
+        likes: post.likeCount || 0,
+        shares: (post.repostCount || 0) + (post.quoteCount || 0),
+        comments: post.replyCount || 0,
+      };
+    } catch (error) {
+      logger.error('Failed to get Bluesky post analytics', { error: error.message, uri });
+      throw error;
+    }
+  }
+
+  /**
+   * Helper: Build public web URL for a post
+   * @param {string} actor - Handle or DID
+   * @param {string} uri - Post AT URI
+   * @returns {string} - Post URL
+   */
+  getPostUrl(actor, uri) {
+    return `https://bsky.app/profile/${actor}/post/${this.parseUri(uri).rkey}`;
+  }
+
+  /**
+   * Helper: Parse an AT URI (at://did/collection/rkey)
+   * @param {string} uri - AT URI
+   * @returns {Object} - { repo, collection, rkey }
+   */
+  parseUri(uri) {
+    const [repo, collection, rkey] = uri.replace('at://', '').split('/');
+    return { repo, collection, rkey };
+  }
+
+  /**
+   * Helper: Normalize session response
+   * @param {Object} data - Session response
+   * @param {string} serviceUrl - PDS URL
+   * @returns {Object} - Token data
+   */
+  mapSession(data, serviceUrl) {
+    const decoded = jwt.decode(data.accessJwt);
+
+    return {
+      accessToken: data.accessJwt,
+      refreshToken: data.refreshJwt,
+      expiresIn: decoded?.exp ? decoded.exp - Math.floor(Date.now() / 1000) : null,
+      did: data.did,
+      handle: data.handle,
+      serviceUrl,
+    };
+  }
+
+  /**
+   * Helper: Extract error message from XRPC error
+   * @param {Error} error - Axios error
+   * @returns {string} - Error message
+   */
+  getErrorMessage(error) {
+    return error.response?.data?.message || error.response?.data?.error || error.message;
+  }
+}
+
+module.exports = new BlueskyService();
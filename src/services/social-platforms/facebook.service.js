@@ -4,8 +4,10 @@
  */
 
 const axios = require('axios');
+const crypto = require('crypto');
 const { socialPlatformLogger: logger } = require('../../utils/logger');
 const encryptionService = require('../../utils/encryption');
+const { parseRateLimitHeaders } = require('../../utils/rate-limit');
 
 class FacebookService {
   constructor() {
@@ -19,7 +21,7 @@ class FacebookService {
    * Get OAuth authorization URL
    * @param {string} redirectUri - Callback URL
    * @param {Array} scopes - Required permissions
-   * @returns {string} - Authorization URL
+   * @returns {Object} - Authorization URL and state
    */
   getAuthorizationUrl(redirectUri, scopes = []) {
     const defaultScopes = [
@@ -33,15 +35,20 @@ class FacebookService {
 
     const allScopes = [...new Set([...defaultScopes, ...scopes])];
 
+    const state = this.generateState();
+
     const params = new URLSearchParams({
       client_id: this.appId,
       redirect_uri: redirectUri,
       scope: allScopes.join(','),
       response_type: 'code',
-      state: this.generateState(),
+      state,
     });
 
-    return `https://www.facebook.com/${this.graphApiVersion}/dialog/oauth?${params.toString()}`;
+    return {
+      url: `https://www.facebook.com/${this.graphApiVersion}/dialog/oauth?${params.toString()}`,
+      state,
+    };
   }
 
   /**
@@ -103,15 +110,68 @@ class FacebookService {
     }
   }
 
+  /**
+   * Inspect an access token with the app token
+   * @param {string} accessToken - User or page access token
+   * @returns {Object} - { valid, scopes, expiresAt, error }
+   */
+  async debugToken(accessToken) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/debug_token`, {
+        params: {
+          input_token: accessToken,
+          access_token: `${this.appId}|${this.appSecret}`,
+        },
+      });
+
+      const data = response.data.data;
+
+      return {
+        valid: data.is_valid,
+        scopes: data.scopes || [],
+        // 0 for tokens that do not expire, such as page tokens from a long-lived user token
+        expiresAt: data.expires_at ? new Date(data.expires_at * 1000) : null,
+        error: data.error?.message || null,
+      };
+    } catch (error) {
+      logger.error('Failed to debug Facebook token', { error: error.message });
+      throw new Error(`Facebook token check error: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Get the API usage of a page or Instagram account
+   * Read from the usage headers of a minimal request made with its token
+   * @param {string} objectId - Page or Instagram account ID
+   * @param {string} accessToken - Page access token
+   * @returns {Object|null} - { usagePercent, resetTime }
+   */
+  async getRateLimitUsage(objectId, accessToken) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/${objectId}`, {
+        params: { fields: 'id', access_token: accessToken },
+      });
+
+      return parseRateLimitHeaders(response.headers);
+    } catch (error) {
+      logger.error('Failed to get Facebook API usage', { error: error.message, objectId });
+      throw new Error(`Facebook API error: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
   /**
    * Get user's Facebook pages
    * @param {string} accessToken - User access token
-   * @returns {Array} - List of pages
+   * @returns {Array} - List of pages with their page access token and linked Instagram business account ID
    */
   async getUserPages(accessToken) {
     try {
       const response = await axios.get(`${this.baseUrl}/me/accounts`, {
-        params: { access_token: accessToken },
+        params: {
+          fields: 'id,name,username,link,category,fan_count,access_token,picture{url},instagram_business_account',
+          limit: 100,
+          access_token: accessToken,
+        },
       });
 
       return response.data.data;
@@ -125,13 +185,13 @@ class FacebookService {
    * Get Instagram business account
    * @param {string} pageId - Facebook page ID
    * @param {string} pageAccessToken - Page access token
-   * @returns {Object} - Instagram account info
+   * @returns {Object|undefined} - Instagram account info, undefined when the page has none
    */
   async getInstagramAccount(pageId, pageAccessToken) {
     try {
       const response = await axios.get(`${this.baseUrl}/${pageId}`, {
         params: {
-          fields: 'instagram_business_account',
+          fields: 'instagram_business_account{id,username,name,profile_picture_url,followers_count,follows_count,media_count}',
           access_token: pageAccessToken,
         },
       });
@@ -247,6 +307,8 @@ class FacebookService {
         id: response.data.id,
         platform: 'facebook',
         url: `https://facebook.com/${response.data.id}`,
+        // The album photos are separate objects that outlive the post
+        attachments: photoIds.map(photo => photo.media_fbid),
       };
     } catch (error) {
       logger.error('Failed to publish photo album', { error: error.message });
@@ -421,6 +483,49 @@ class FacebookService {
     }
   }
 
+  /**
+   * Update the message of a page post
+   * @param {string} postId - Post ID
+   * @param {string} accessToken - Page access token
+   * @param {string} message - New message
+   * @returns {boolean} - Success status
+   */
+  async updatePost(postId, accessToken, message) {
+    try {
+      await axios.post(`${this.baseUrl}/${postId}`, null, {
+        params: { message, access_token: accessToken },
+      });
+
+      logger.info('Successfully updated Facebook post', { postId });
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to update Facebook post', { error: error.message, postId });
+      throw new Error(`Facebook update error: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Delete a post, photo or video
+   * @param {string} objectId - Post, photo or video ID
+   * @param {string} accessToken - Page access token
+   * @returns {boolean} - Success status
+   */
+  async deleteObject(objectId, accessToken) {
+    try {
+      await axios.delete(`${this.baseUrl}/${objectId}`, {
+        params: { access_token: accessToken },
+      });
+
+      logger.info('Successfully deleted Facebook object', { objectId });
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to delete Facebook object', { error: error.message, objectId });
+      throw new Error(`Facebook delete error: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
   /**
    * Helper: Extract insight value
    * @param {Array} insights - Insights array
@@ -448,19 +553,21 @@ class FacebookService {
    * @returns {string} - Random state string
    */
   generateState() {
-    return Math.random().toString(36).substring(2, 15);
+    return crypto.randomBytes(16).toString('hex');
   }
 
   /**
    * Refresh access token
-   * @param {string} refreshToken - Refresh token
+   * Facebook has no refresh tokens; a long-lived token that is still valid is exchanged for a new one
+   * @param {string} accessToken - Current long-lived access token
    * @returns {Object} - New token data
    */
-  async refreshAccessToken(refreshToken) {
-    // Facebook tokens don't use traditional refresh tokens
-    // This method is for compatibility with other services
-    logger.warn('Facebook does not support refresh tokens. Use getLongLivedToken instead.');
-    throw new Error('Facebook does not support refresh tokens');
+  async refreshAccessToken(accessToken) {
+    if (!accessToken) {
+      throw new Error('Facebook access token is missing; reconnect the account');
+    }
+
+    return await this.getLongLivedToken(accessToken);
   }
 }
 
@@ -4,29 +4,41 @@
  */
 
 const axios = require('axios');
+const crypto = require('crypto');
 const { socialPlatformLogger: logger } = require('../../utils/logger');
 
+// Scopes of the Community Management API, only granted to apps approved for it
+const ORGANIZATION_SCOPES = ['r_organization_admin', 'r_organization_social', 'w_organization_social'];
+// Organization roles allowed to publish organic posts for the page
+const POSTING_ROLES = ['ADMINISTRATOR', 'CONTENT_ADMINISTRATOR'];
+// Reserved characters of the "little text" format used by post commentary
+const RESERVED_COMMENTARY_PATTERN = /#([\p{L}\p{N}_]+)|[\\|{}@[\]()<>#*_~]/gu;
+
 class LinkedInService {
   constructor() {
     this.clientId = process.env.LINKEDIN_CLIENT_ID;
     this.clientSecret = process.env.LINKEDIN_CLIENT_SECRET;
     this.apiVersion = 'v2';
+    // Versioned REST API (YYYYMM) sent as the LinkedIn-Version header
+    this.restVersion = process.env.LINKEDIN_API_VERSION || '202609';
     this.baseUrl = 'https://api.linkedin.com';
+    // Requesting organization scopes without Community Management approval fails the whole authorization
+    this.organizationAccess = process.env.LINKEDIN_ORGANIZATION_ACCESS === 'true';
   }
 
   /**
    * Get OAuth authorization URL
    * @param {string} redirectUri - Callback URL
    * @param {Array} scopes - Required permissions
-   * @returns {string} - Authorization URL
+   * @returns {Object} - Authorization URL and state
    */
   getAuthorizationUrl(redirectUri, scopes = []) {
     const defaultScopes = [
-      'r_liteprofile',
-      'r_emailaddress',
+      'openid',
+      'profile',
+      'email',
       'w_member_social',
-      'r_organization_social',
-      'w_organization_social',
+      ...(this.organizationAccess ? ORGANIZATION_SCOPES : []),
     ];
 
     const allScopes = [...new Set([...defaultScopes, ...scopes])];
@@ -40,7 +52,10 @@ class LinkedInService {
       scope: allScopes.join(' '),
     });
 
-    return `https://www.linkedin.com/oauth/v2/authorization?${params.toString()}`;
+    return {
+      url: `https://www.linkedin.com/oauth/v2/authorization?${params.toString()}`,
+      state,
+    };
   }
 
   /**
@@ -69,9 +84,13 @@ class LinkedInService {
 
       logger.info('LinkedIn access token obtained successfully');
 
+      // Refresh tokens are only issued to apps with programmatic refresh enabled
       return {
         accessToken: response.data.access_token,
+        refreshToken: response.data.refresh_token,
         expiresIn: response.data.expires_in,
+        refreshTokenExpiresIn: response.data.refresh_token_expires_in,
+        scopes: this.parseScopes(response.data.scope),
       };
     } catch (error) {
       logger.error('Failed to get LinkedIn access token', { error: error.message });
@@ -79,21 +98,94 @@ class LinkedInService {
     }
   }
 
+  /**
+   * Refresh access token
+   * @param {string} refreshToken - Refresh token
+   * @returns {Object} - New token data
+   */
+  async refreshAccessToken(refreshToken) {
+    try {
+      const params = new URLSearchParams({
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken,
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+      });
+
+      const response = await axios.post(
+        'https://www.linkedin.com/oauth/v2/accessToken',
+        params.toString(),
+        {
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        }
+      );
+
+      logger.info('LinkedIn access token refreshed successfully');
+
+      return {
+        accessToken: response.data.access_token,
+        refreshToken: response.data.refresh_token,
+        expiresIn: response.data.expires_in,
+        refreshTokenExpiresIn: response.data.refresh_token_expires_in,
+      };
+    } catch (error) {
+      logger.error('Failed to refresh LinkedIn access token', { error: error.message });
+      throw new Error(`LinkedIn OAuth error: ${error.response?.data?.error_description || error.message}`);
+    }
+  }
+
+  /**
+   * Inspect an access token
+   * @param {string} accessToken - Access token
+   * @returns {Object} - { active, status, scopes, expiresAt }
+   */
+  async introspectToken(accessToken) {
+    try {
+      const params = new URLSearchParams({
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+        token: accessToken,
+      });
+
+      const response = await axios.post(
+        'https://www.linkedin.com/oauth/v2/introspectToken',
+        params.toString(),
+        {
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        }
+      );
+
+      return {
+        active: response.data.active,
+        status: response.data.status,
+        scopes: this.parseScopes(response.data.scope),
+        expiresAt: response.data.expires_at ? new Date(response.data.expires_at * 1000) : null,
+      };
+    } catch (error) {
+      logger.error('Failed to introspect LinkedIn token', { error: error.message });
+      throw new Error(`LinkedIn token check error: ${error.response?.data?.error_description || error.message}`);
+    }
+  }
+
   /**
    * Get user profile
+   * Read from the OpenID Connect userinfo endpoint, which replaced r_liteprofile and /v2/me
    * @param {string} accessToken - Access token
    * @returns {Object} - User profile data
    */
   async getUserProfile(accessToken) {
     try {
-      const response = await axios.get(`${this.baseUrl}/v2/me`, {
+      const response = await axios.get(`${this.baseUrl}/v2/userinfo`, {
         headers: { Authorization: `Bearer ${accessToken}` },
       });
 
       return {
-        id: response.data.id,
-        firstName: response.data.localizedFirstName,
-        lastName: response.data.localizedLastName,
+        id: response.data.sub,
+        firstName: response.data.given_name,
+        lastName: response.data.family_name,
+        name: response.data.name,
+        email: response.data.email,
+        picture: response.data.picture,
       };
     } catch (error) {
       logger.error('Failed to get LinkedIn user profile', { error: error.message });
@@ -102,67 +194,242 @@ class LinkedInService {
   }
 
   /**
-   * Share content on LinkedIn (Personal Profile)
+   * Get the organization roles of the member
    * @param {string} accessToken - Access token
-   * @param {string} userId - LinkedIn user ID
-   * @param {Object} postData - Post content
-   * @returns {Object} - Posted content data
+   * @returns {Array} - Approved roles as { organizationId, role }
    */
-  async shareContent(accessToken, userId, postData) {
+  async getOrganizationRoles(accessToken) {
     try {
-      const { text, title, description, url, mediaUrls = [] } = postData;
-
-      const payload = {
-        author: `urn:li:person:${userId}`,
-        lifecycleState: 'PUBLISHED',
-        specificContent: {
-          'com.linkedin.ugc.ShareContent': {
-            shareCommentary: {
-              text,
-            },
-            shareMediaCategory: mediaUrls.length > 0 ? 'IMAGE' : 'NONE',
-          },
-        },
-        visibility: {
-          'com.linkedin.ugc.MemberNetworkVisibility': 'PUBLIC',
-        },
-      };
+      const response = await axios.get(`${this.baseUrl}/rest/organizationAcls`, {
+        params: { q: 'roleAssignee', state: 'APPROVED', count: 100 },
+        headers: this.getRestHeaders(accessToken),
+      });
 
-      // Add media if provided
-      if (mediaUrls.length > 0) {
-        payload.specificContent['com.linkedin.ugc.ShareContent'].media = mediaUrls.map(url => ({
-          status: 'READY',
-          originalUrl: url,
-        }));
-      }
+      return (response.data.elements || []).map(acl => ({
+        organizationId: String(acl.organization).split(':').pop(),
+        role: acl.role,
+      }));
+    } catch (error) {
+      logger.error('Failed to get LinkedIn organization roles', { error: error.message });
+      const rolesError = new Error(`LinkedIn organization roles error: ${error.response?.data?.message || error.message}`);
+      rolesError.status = error.response?.status;
+      throw rolesError;
+    }
+  }
+
+  /**
+   * Get the organizations the member can post for
+   * Without organization access (turned off, or a 403 for the app or member) only the member profile is available
+   * @param {string} accessToken - Access token
+   * @returns {Array} - Organizations with their details and the member's roles
+   */
+  async getAdministeredOrganizations(accessToken) {
+    if (!this.organizationAccess) {
+      return [];
+    }
 
-      // Add article if URL provided
-      if (url) {
-        payload.specificContent['com.linkedin.ugc.ShareContent'].shareMediaCategory = 'ARTICLE';
-        payload.specificContent['com.linkedin.ugc.ShareContent'].media = [
-          {
-            status: 'READY',
-            description: { text: description || '' },
-            originalUrl: url,
-            title: { text: title || '' },
-          },
-        ];
+    let roles;
+
+    try {
+      roles = await this.getOrganizationRoles(accessToken);
+    } catch (error) {
+      if (error.status === 403) {
+        logger.warn('LinkedIn organization access not granted, skipping organizations');
+        return [];
       }
+      throw error;
+    }
 
-      const response = await axios.post(`${this.baseUrl}/v2/ugcPosts`, payload, {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-          'X-Restli-Protocol-Version': '2.0.0',
-        },
+    const rolesByOrganization = new Map();
+
+    for (const { organizationId, role } of roles) {
+      if (!POSTING_ROLES.includes(role)) continue;
+      rolesByOrganization.set(organizationId, [...(rolesByOrganization.get(organizationId) || []), role]);
+    }
+
+    return await Promise.all([...rolesByOrganization].map(async ([organizationId, organizationRoles]) => ({
+      ...(await this.getOrganization(accessToken, organizationId)),
+      roles: organizationRoles,
+    })));
+  }
+
+  /**
+   * Get organization details with its logo and follower count
+   * @param {string} accessToken - Access token
+   * @param {string} organizationId - LinkedIn organization ID
+   * @returns {Object} - { id, name, vanityName, logoUrl, followersCount }
+   */
+  async getOrganization(accessToken, organizationId) {
+    try {
+      const organizationUrn = `urn:li:organization:${organizationId}`;
+      const response = await axios.get(`${this.baseUrl}/rest/organizations/${organizationId}`, {
+        headers: this.getRestHeaders(accessToken),
       });
 
-      logger.info('Successfully posted to LinkedIn', { postId: response.data.id });
+      const logoUrn = response.data.logoV2?.cropped || response.data.logoV2?.original;
+
+      // Logo and follower count are decoration; the organization is usable without them
+      const [logoUrl, followersCount] = await Promise.all([
+        logoUrn ? this.getImageUrl(accessToken, logoUrn).catch(() => null) : null,
+        axios.get(`${this.baseUrl}/rest/networkSizes/${encodeURIComponent(organizationUrn)}`, {
+          params: { edgeType: 'COMPANY_FOLLOWED_BY_MEMBER' },
+          headers: this.getRestHeaders(accessToken),
+        }).then(sizes => sizes.data.firstDegreeSize || 0).catch(() => 0),
+      ]);
 
       return {
-        id: response.data.id,
-        platform: 'linkedin',
+        id: String(organizationId),
+        name: response.data.localizedName,
+        vanityName: response.data.vanityName,
+        logoUrl,
+        followersCount,
       };
+    } catch (error) {
+      logger.error('Failed to get LinkedIn organization', { error: error.message, organizationId });
+      const organizationError = new Error(`LinkedIn organization error: ${error.response?.data?.message || error.message}`);
+      organizationError.status = error.response?.status;
+      throw organizationError;
+    }
+  }
+
+  /**
+   * Check that the member may post for an organization
+   * @param {string} accessToken - Access token
+   * @param {string} organizationId - LinkedIn organization ID
+   * @returns {Array} - The member's roles for the organization
+   */
+  async verifyOrganizationRole(accessToken, organizationId) {
+    const roles = (await this.getOrganizationRoles(accessToken))
+      .filter(acl => acl.organizationId === String(organizationId))
+      .map(acl => acl.role);
+
+    if (!roles.some(role => POSTING_ROLES.includes(role))) {
+      throw new Error(
+        `LinkedIn member lacks permission to post for organization ${organizationId} `
+        + `(roles: ${roles.join(', ') || 'none'}); ${POSTING_ROLES.join(' or ')} is required`
+      );
+    }
+
+    return roles;
+  }
+
+  /**
+   * Get the download URL of an image
+   * @param {string} accessToken - Access token
+   * @param {string} imageUrn - Image URN
+   * @returns {string} - Download URL
+   */
+  async getImageUrl(accessToken, imageUrn) {
+    const response = await axios.get(`${this.baseUrl}/rest/images/${encodeURIComponent(imageUrn)}`, {
+      headers: this.getRestHeaders(accessToken),
+    });
+
+    return response.data.downloadUrl;
+  }
+
+  /**
+   * Upload an image for use in a post
+   * @param {string} accessToken - Access token
+   * @param {string} ownerUrn - Person or organization URN the post is published as
+   * @param {string} imageUrl - Public URL of the image
+   * @returns {string} - Image URN
+   */
+  async uploadImage(accessToken, ownerUrn, imageUrl) {
+    const initResponse = await axios.post(
+      `${this.baseUrl}/rest/images?action=initializeUpload`,
+      { initializeUploadRequest: { owner: ownerUrn } },
+      { headers: this.getRestHeaders(accessToken, { 'Content-Type': 'application/json' }) }
+    );
+
+    const { uploadUrl, image } = initResponse.data.value;
+    const imageResponse = await axios.get(imageUrl, {
+      responseType: 'arraybuffer',
+      maxContentLength: Infinity,
+    });
+
+    await axios.put(uploadUrl, imageResponse.data, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': imageResponse.headers['content-type'] || 'application/octet-stream',
+      },
+      maxBodyLength: Infinity,
+    });
+
+    return image;
+  }
+
+  /**
+   * Create a post through the Posts API
+   * A URL is shared as an article; otherwise images are uploaded and attached
+   * @param {string} accessToken - Access token
+   * @param {string} authorUrn - Person or organization URN
+   * @param {Object} postData - Post content
+   * @returns {Object} - Posted content data
+   */
+  async createPost(accessToken, authorUrn, postData) {
+    const { text, title, description, url, mediaUrls = [] } = postData;
+
+    const payload = {
+      author: authorUrn,
+      commentary: this.formatCommentary(text),
+      visibility: 'PUBLIC',
+      distribution: {
+        feedDistribution: 'MAIN_FEED',
+        targetEntities: [],
+        thirdPartyDistributionChannels: [],
+      },
+      lifecycleState: 'PUBLISHED',
+      isReshareDisabledByAuthor: false,
+    };
+
+    if (url) {
+      payload.content = {
+        article: {
+          source: url,
+          title: title || url,
+          ...(description && { description }),
+        },
+      };
+    } else if (mediaUrls.length > 0) {
+      const images = [];
+
+      for (const mediaUrl of mediaUrls) {
+        images.push(await this.uploadImage(accessToken, authorUrn, mediaUrl));
+      }
+
+      payload.content = images.length === 1
+        ? { media: { id: images[0] } }
+        : { multiImage: { images: images.map(id => ({ id })) } };
+    }
+
+    const response = await axios.post(`${this.baseUrl}/rest/posts`, payload, {
+      headers: this.getRestHeaders(accessToken, { 'Content-Type': 'application/json' }),
+    });
+
+    // The Posts API answers 201 with the post URN in a header
+    const id = response.headers['x-restli-id'];
+
+    return {
+      id,
+      platform: 'linkedin',
+      url: `https://www.linkedin.com/feed/update/${id}`,
+    };
+  }
+
+  /**
+   * Share content on LinkedIn (Personal Profile)
+   * @param {string} accessToken - Access token
+   * @param {string} userId - LinkedIn user ID
+   * @param {Object} postData - Post content
+   * @returns {Object} - Posted content data
+   */
+  async shareContent(accessToken, userId, postData) {
+    try {
+      const result = await this.createPost(accessToken, `urn:li:person:${userId}`, postData);
+
+      logger.info('Successfully posted to LinkedIn', { postId: result.id });
+
+      return result;
     } catch (error) {
       logger.error('Failed to post to LinkedIn', { error: error.message });
       throw new Error(`LinkedIn post error: ${error.response?.data?.message || error.message}`);
@@ -178,62 +445,65 @@ class LinkedInService {
    */
   async shareOrganizationContent(accessToken, organizationId, postData) {
     try {
-      const { text, title, description, url, mediaUrls = [] } = postData;
-
-      const payload = {
-        author: `urn:li:organization:${organizationId}`,
-        lifecycleState: 'PUBLISHED',
-        specificContent: {
-          'com.linkedin.ugc.ShareContent': {
-            shareCommentary: {
-              text,
-            },
-            shareMediaCategory: mediaUrls.length > 0 ? 'IMAGE' : url ? 'ARTICLE' : 'NONE',
-          },
-        },
-        visibility: {
-          'com.linkedin.ugc.MemberNetworkVisibility': 'PUBLIC',
-        },
-      };
+      const result = await this.createPost(accessToken, `urn:li:organization:${organizationId}`, postData);
 
-      // Add media if provided
-      if (mediaUrls.length > 0) {
-        payload.specificContent['com.linkedin.ugc.ShareContent'].media = mediaUrls.map(mediaUrl => ({
-          status: 'READY',
-          originalUrl: mediaUrl,
-        }));
-      }
+      logger.info('Successfully posted to LinkedIn organization page', { postId: result.id });
 
-      // Add article if URL provided
-      if (url) {
-        payload.specificContent['com.linkedin.ugc.ShareContent'].shareMediaCategory = 'ARTICLE';
-        payload.specificContent['com.linkedin.ugc.ShareContent'].media = [
-          {
-            status: 'READY',
-            description: { text: description || '' },
-            originalUrl: url,
-            title: { text: title || '' },
-          },
-        ];
-      }
+      return result;
+    } catch (error) {
+      logger.error('Failed to post to LinkedIn organization', { error: error.message });
+      throw new Error(`LinkedIn organization post error: ${error.response?.data?.message || error.message}`);
+    }
+  }
 
-      const response = await axios.post(`${this.baseUrl}/v2/ugcPosts`, payload, {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-          'X-Restli-Protocol-Version': '2.0.0',
-        },
+  /**
+   * Update the commentary of a post
+   * Also accepts shares created through the retired ugcPosts API
+   * @param {string} accessToken - Access token
+   * @param {string} postUrn - Post URN
+   * @param {string} text - New commentary
+   * @returns {boolean} - Success status
+   */
+  async updatePost(accessToken, postUrn, text) {
+    try {
+      await axios.post(
+        `${this.baseUrl}/rest/posts/${encodeURIComponent(postUrn)}`,
+        { patch: { $set: { commentary: this.formatCommentary(text) } } },
+        {
+          headers: this.getRestHeaders(accessToken, {
+            'Content-Type': 'application/json',
+            'X-RestLi-Method': 'PARTIAL_UPDATE',
+          }),
+        }
+      );
+
+      logger.info('Successfully updated LinkedIn post', { postUrn });
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to update LinkedIn post', { error: error.message, postUrn });
+      throw new Error(`LinkedIn update error: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Delete a post
+   * @param {string} accessToken - Access token
+   * @param {string} postUrn - Post URN
+   * @returns {boolean} - Success status
+   */
+  async deletePost(accessToken, postUrn) {
+    try {
+      await axios.delete(`${this.baseUrl}/rest/posts/${encodeURIComponent(postUrn)}`, {
+        headers: this.getRestHeaders(accessToken, { 'X-RestLi-Method': 'DELETE' }),
       });
 
-      logger.info('Successfully posted to LinkedIn organization page', { postId: response.data.id });
+      logger.info('Successfully deleted LinkedIn post', { postUrn });
 
-      return {
-        id: response.data.id,
-        platform: 'linkedin',
-      };
+      return true;
     } catch (error) {
-      logger.error('Failed to post to LinkedIn organization', { error: error.message });
-      throw new Error(`LinkedIn organization post error: ${error.response?.data?.message || error.message}`);
+      logger.error('Failed to delete LinkedIn post', { error: error.message, postUrn });
+      throw new Error(`LinkedIn delete error: ${error.response?.data?.message || error.message}`);
     }
   }
 
@@ -246,13 +516,8 @@ class LinkedInService {
   async getPostStatistics(accessToken, postUrn) {
     try {
       const response = await axios.get(
-        `${this.baseUrl}/v2/socialActions/${encodeURIComponent(postUrn)}`,
-        {
-          headers: {
-            Authorization: `Bearer ${accessToken}`,
-            'X-Restli-Protocol-Version': '2.0.0',
-          },
-        }
+        `${this.baseUrl}/rest/socialActions/${encodeURIComponent(postUrn)}`,
+        { headers: this.getRestHeaders(accessToken) }
       );
 
       return {
@@ -266,12 +531,49 @@ class LinkedInService {
     }
   }
 
+  /**
+   * Helper: Headers for the versioned REST API
+   * @param {string} accessToken - Access token
+   * @param {Object} headers - Additional headers
+   * @returns {Object} - Request headers
+   */
+  getRestHeaders(accessToken, headers = {}) {
+    return {
+      Authorization: `Bearer ${accessToken}`,
+      'LinkedIn-Version': this.restVersion,
+      'X-Restli-Protocol-Version': '2.0.0',
+      ...headers,
+    };
+  }
+
+  /**
+   * Helper: Escape text for the "little text" format of post commentary
+   * Reserved characters would otherwise be read as markup and cut the text; hashtags become hashtag
+   * templates so they stay clickable
+   * @param {string} text - Plain text
+   * @returns {string} - Commentary
+   */
+  formatCommentary(text = '') {
+    return text.replace(RESERVED_COMMENTARY_PATTERN, (match, hashtag) => (
+      hashtag ? `{hashtag|\\#|${hashtag.replace(/_/g, '\\_')}}` : `\\${match}`
+    ));
+  }
+
+  /**
+   * Helper: Split a granted scope string
+   * @param {string} scope - Scopes separated by commas or spaces
+   * @returns {Array} - Scope names
+   */
+  parseScopes(scope) {
+    return scope ? scope.split(/[\s,]+/).filter(Boolean) : [];
+  }
+
   /**
    * Helper: Generate random state for OAuth
    * @returns {string} - Random state string
    */
   generateState() {
-    return Math.random().toString(36).substring(2, 15);
+    return crypto.randomBytes(16).toString('hex');
   }
 }
 
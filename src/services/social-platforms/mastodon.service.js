@@ -0,0 +1,547 @@
+/**
+ * Mastodon Integration Service
+ * Handles per-instance app registration, OAuth 2.0, statuses, and analytics via the Mastodon API
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const { socialPlatformLogger: logger } = require('../../utils/logger');
+
+const DEFAULT_SCOPES = ['read', 'write'];
+const DEFAULT_MAX_CHARACTERS = 500;
+// Loopback, private, link-local and other non-public ranges an instance must not resolve to
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+class MastodonService {
+  constructor() {
+    this.clientName = process.env.MASTODON_CLIENT_NAME || 'Social Media CMS';
+    this.website = process.env.CLIENT_URL;
+    this.mediaPollInterval = 2000;
+    this.mediaPollTimeout = 2 * 60 * 1000;
+
+    // Fallback registration cache when the Strapi store is unavailable
+    this.appCache = new Map();
+
+    // Instances accounts may connect from; "*" allows any public instance
+    const allowed = (process.env.MASTODON_ALLOWED_INSTANCES || '').split(',').map(instance => instance.trim()).filter(Boolean);
+    this.allowAnyInstance = allowed.includes('*');
+    this.allowedInstances = allowed.filter(instance => instance !== '*').map(instance => this.normalizeInstance(instance));
+  }
+
+  /**
+   * Get the instance to connect to, checked against the allow-list
+   * Instances must be https and must not resolve to a private or loopback address, as the server
+   * registers apps on them and exchanges codes with them
+   * @param {string} instance - Instance host or URL requested by the caller
+   * @returns {string} - Instance origin
+   */
+  async resolveInstance(instance) {
+    const reject = (message) => {
+      const error = new Error(message);
+      error.status = 400;
+      throw error;
+    };
+
+    let instanceUrl;
+    try {
+      instanceUrl = this.normalizeInstance(instance);
+    } catch (error) {
+      reject(instance ? `Invalid Mastodon instance ${instance}` : error.message);
+    }
+
+    if (!this.allowAnyInstance && !this.allowedInstances.includes(instanceUrl)) {
+      reject(`Mastodon instance ${instanceUrl} is not allowed; add it to MASTODON_ALLOWED_INSTANCES`);
+    }
+
+    const { protocol, hostname } = new URL(instanceUrl);
+    const host = hostname.replace(/^\[|\]$/g, '');
+
+    if (protocol !== 'https:' || host === 'localhost' || host.endsWith('.localhost')) {
+      reject(`Mastodon instance ${instanceUrl} is not a public https instance`);
+    }
+
+    let addresses;
+    try {
+      addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.lookup(host, { all: true });
+    } catch (error) {
+      reject(`Mastodon instance ${instanceUrl} could not be resolved`);
+    }
+
+    if (addresses.some(({ address, family }) => this.isPrivateAddress(address, family))) {
+      reject(`Mastodon instance ${instanceUrl} is not a public https instance`);
+    }
+
+    return instanceUrl;
+  }
+
+  /**
+   * Get OAuth authorization URL, registering the app on the instance if needed
+   * @param {string} instance - Instance host or URL
+   * @param {string} redirectUri - Callback URL
+   * @param {Array} scopes - Required scopes
+   * @returns {Object} - Authorization URL and state
+   */
+  async getAuthorizationUrl(instance, redirectUri, scopes = []) {
+    const instanceUrl = await this.resolveInstance(instance);
+
+    try {
+      const allScopes = [...new Set([...DEFAULT_SCOPES, ...scopes])];
+      const app = await this.getAppCredentials(instanceUrl, redirectUri, allScopes);
+      const state = this.generateState();
+
+      const params = new URLSearchParams({
+        client_id: app.clientId,
+        redirect_uri: redirectUri,
+        response_type: 'code',
+        scope: allScopes.join(' '),
+        state,
+      });
+
+      return {
+        url: `${instanceUrl}/oauth/authorize?${params.toString()}`,
+        state,
+      };
+    } catch (error) {
+      logger.error('Failed to generate Mastodon auth URL', { error: error.message, instance });
+      throw new Error(`Mastodon OAuth error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Exchange authorization code for access token
+   * @param {string} instance - Instance host or URL
+   * @param {string} code - Authorization code
+   * @param {string} redirectUri - Callback URL
+   * @returns {Object} - Token data
+   */
+  async getAccessToken(instance, code, redirectUri) {
+    const instanceUrl = await this.resolveInstance(instance);
+
+    try {
+      const app = await this.getAppCredentials(instanceUrl, redirectUri, DEFAULT_SCOPES);
+
+      const response = await axios.post(`${instanceUrl}/oauth/token`, {
+        grant_type: 'authorization_code',
+        code,
+        client_id: app.clientId,
+        client_secret: app.clientSecret,
+        redirect_uri: redirectUri,
+        scope: DEFAULT_SCOPES.join(' '),
+      });
+
+      logger.info('Mastodon access token obtained successfully', { instance: instanceUrl });
+
+      return {
+        accessToken: response.data.access_token,
+        scopes: response.data.scope ? response.data.scope.split(' ') : [],
+        instance: instanceUrl,
+      };
+    } catch (error) {
+      logger.error('Failed to get Mastodon access token', { error: error.message, instance });
+      throw new Error(`Mastodon OAuth error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Get the authenticated account
+   * @param {string} instance - Instance URL
+   * @param {string} accessToken - Access token
+   * @returns {Object} - Account data
+   */
+  async verifyCredentials(instance, accessToken) {
+    try {
+      const response = await axios.get(`${this.normalizeInstance(instance)}/api/v1/accounts/verify_credentials`, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+
+      const data = response.data;
+
+      return {
+        id: data.id,
+        username: data.username,
+        acct: data.acct,
+        displayName: data.display_name,
+        url: data.url,
+        avatar: data.avatar,
+        metrics: {
+          followersCount: data.followers_count || 0,
+          followingCount: data.following_count || 0,
+          statusesCount: data.statuses_count || 0,
+        },
+      };
+    } catch (error) {
+      logger.error('Failed to verify Mastodon credentials', { error: error.message });
+      throw new Error(`Mastodon account error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Get the instance's maximum status length
+   * @param {string} instance - Instance URL
+   * @returns {number} - Maximum characters per status
+   */
+  async getMaxCharacters(instance) {
+    try {
+      const response = await axios.get(`${this.normalizeInstance(instance)}/api/v2/instance`);
+      return response.data.configuration?.statuses?.max_characters || DEFAULT_MAX_CHARACTERS;
+    } catch (error) {
+      logger.warn('Failed to read Mastodon instance limits', { error: error.message, instance });
+      return DEFAULT_MAX_CHARACTERS;
+    }
+  }
+
+  /**
+   * Upload a media attachment
+   * @param {string} instance - Instance URL
+   * @param {string} accessToken - Access token
+   * @param {Object} media - Media item ({ url, mime, description })
+   * @returns {string} - Media attachment ID
+   */
+  async uploadMedia(instance, accessToken, media) {
+    const instanceUrl = this.normalizeInstance(instance);
+
+    const mediaResponse = await axios.get(media.url, {
+      responseType: 'arraybuffer',
+      maxContentLength: Infinity,
+    });
+
+    const form = new FormData();
+    form.append('file', new Blob([mediaResponse.data], { type: media.mime }), media.name || 'upload');
+    if (media.description) {
+      form.append('description', media.description);
+    }
+
+    const response = await axios.post(`${instanceUrl}/api/v2/media`, form, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      maxBodyLength: Infinity,
+    });
+
+    // 202 Accepted means the attachment is still being processed
+    if (response.status === 202 || !response.data.url) {
+      await this.waitForMedia(instanceUrl, accessToken, response.data.id);
+    }
+
+    return response.data.id;
+  }
+
+  /**
+   * Poll a media attachment until processing finishes
+   * @param {string} instanceUrl - Instance URL
+   * @param {string} accessToken - Access token
+   * @param {string} mediaId - Media attachment ID
+   */
+  async waitForMedia(instanceUrl, accessToken, mediaId) {
+    const deadline = Date.now() + this.mediaPollTimeout;
+
+    while (Date.now() < deadline) {
+      const response = await axios.get(`${instanceUrl}/api/v1/media/${mediaId}`, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+        validateStatus: status => status === 200 || status === 206,
+      });
+
+      if (response.status === 200 && response.data.url) return;
+
+      await new Promise(resolve => setTimeout(resolve, this.mediaPollInterval));
+    }
+
+    throw new Error(`Mastodon media processing timed out (mediaId: ${mediaId})`);
+  }
+
+  /**
+   * Post a status, continuing long content as replies
+   * @param {string} instance - Instance URL
+   * @param {string} accessToken - Access token
+   * @param {Object} statusData - Status content and settings
+   * @returns {Object} - Posted status data (first status of the chain)
+   */
+  async postStatus(instance, accessToken, statusData) {
+    try {
+      const instanceUrl = this.normalizeInstance(instance);
+      const {
+        statuses = [],
+        media = [],
+        spoilerText,
+        visibility = 'public',
+        sensitive = false,
+        language,
+        idempotencyKey,
+      } = statusData;
+
+      const mediaIds = [];
+      for (const item of media) {
+        mediaIds.push(await this.uploadMedia(instanceUrl, accessToken, item));
+      }
+
+      const posted = [];
+      let inReplyToId = null;
+
+      for (let i = 0; i < statuses.length; i++) {
+        const response = await axios.post(
+          `${instanceUrl}/api/v1/statuses`,
+          {
+            status: statuses[i],
+            ...(i === 0 && mediaIds.length > 0 && { media_ids: mediaIds }),
+            ...(spoilerText && { spoiler_text: spoilerText }),
+            // Replies stay out of public timelines to avoid flooding followers
+            visibility: i > 0 && visibility === 'public' ? 'unlisted' : visibility,
+            sensitive: sensitive || Boolean(spoilerText),
+            ...(language && { language }),
+            ...(inReplyToId && { in_reply_to_id: inReplyToId }),
+          },
+          {
+            headers: {
+              Authorization: `Bearer ${accessToken}`,
+              ...(idempotencyKey && { 'Idempotency-Key': `${idempotencyKey}-${i}` }),
+            },
+          }
+        );
+
+        posted.push({ id: response.data.id, url: response.data.url });
+        inReplyToId = response.data.id;
+      }
+
+      logger.info('Successfully posted Mastodon status', {
+        statusId: posted[0].id,
+        chainLength: posted.length,
+      });
+
+      return {
+        id: posted[0].id,
+        platform: 'mastodon',
+        url: posted[0].url,
+        thread: posted,
+      };
+    } catch (error) {
+      logger.error('Failed to post Mastodon status', { error: error.message });
+      throw new Error(`Mastodon post error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Edit the statuses of a chain in place
+   * Attachments of each status are kept
+   * @param {string} instance - Instance URL
+   * @param {string} accessToken - Access token
+   * @param {Array} statusIds - Status IDs, in chain order
+   * @param {Object} statusData - { statuses, spoilerText, sensitive, language }
+   * @returns {Object} - Edited status data (first status of the chain)
+   */
+  async editStatuses(instance, accessToken, statusIds, statusData) {
+    try {
+      const instanceUrl = this.normalizeInstance(instance);
+      const { statuses = [], spoilerText, sensitive = false, language } = statusData;
+      const headers = { Authorization: `Bearer ${accessToken}` };
+
+      if (statuses.length !== statusIds.length) {
+        throw new Error(`Edited text needs ${statuses.length} statuses but ${statusIds.length} were published`);
+      }
+
+      const edited = [];
+
+      for (let i = 0; i < statusIds.length; i++) {
+        const current = await axios.get(`${instanceUrl}/api/v1/statuses/${statusIds[i]}`, { headers });
+
+        const response = await axios.put(
+          `${instanceUrl}/api/v1/statuses/${statusIds[i]}`,
+          {
+            status: statuses[i],
+            media_ids: (current.data.media_attachments || []).map(attachment => attachment.id),
+            ...(spoilerText && { spoiler_text: spoilerText }),
+            sensitive: sensitive || Boolean(spoilerText),
+            ...(language && { language }),
+          },
+          { headers }
+        );
+
+        edited.push({ id: response.data.id, url: response.data.url });
+      }
+
+      logger.info('Successfully edited Mastodon statuses', {
+        statusId: edited[0].id,
+        chainLength: edited.length,
+      });
+
+      return {
+        id: edited[0].id,
+        platform: 'mastodon',
+        url: edited[0].url,
+        thread: edited,
+      };
+    } catch (error) {
+      logger.error('Failed to edit Mastodon statuses', { error: error.message });
+      throw new Error(`Mastodon edit error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Delete a status
+   * @param {string} instance - Instance URL
+   * @param {string} accessToken - Access token
+   * @param {string} statusId - Status ID
+   * @returns {boolean} - Success status
+   */
+  async deleteStatus(instance, accessToken, statusId) {
+    try {
+      await axios.delete(`${this.normalizeInstance(instance)}/api/v1/statuses/${statusId}`, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+
+      logger.info('Successfully deleted Mastodon status', { statusId });
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to delete Mastodon status', { error: error.message, statusId });
+      throw new Error(`Mastodon delete error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Get status analytics
+   * @param {string} instance - Instance URL
+   * @param {string} accessToken - Access token
+   * @param {string} statusId - Status ID
+   * @returns {Object} - Analytics data
+   */
+  async getStatusAnalytics(instance, accessToken, statusId) {
+    try {
+      const response = await axios.get(`${this.normalizeInstance(instance)}/api/v1/statuses/${statusId}`, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+
+      return {
+        likes: response.data.favourites_count || 0,
+        shares: response.data.reblogs_count || 0,
+        comments: response.data.replies_count || 0,
+      };
+    } catch (error) {
+      logger.error('Failed to get Mastodon status analytics', { error: error.message, statusId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get (or register) OAuth app credentials for an instance
+   * @param {string} instanceUrl - Instance URL
+   * @param {string} redirectUri - Callback URL
+   * @param {Array} scopes - Scopes
+   * @returns {Object} - { clientId, clientSecret }
+   */
+  async getAppCredentials(instanceUrl, redirectUri, scopes) {
+    const key = `${instanceUrl}|${redirectUri}`;
+    const apps = await this.loadApps();
+
+    if (apps[key]) {
+      return apps[key];
+    }
+
+    const response = await axios.post(`${instanceUrl}/api/v1/apps`, {
+      client_name: this.clientName,
+      redirect_uris: redirectUri,
+      scopes: scopes.join(' '),
+      ...(this.website && { website: this.website }),
+    });
+
+    apps[key] = {
+      clientId: response.data.client_id,
+      clientSecret: response.data.client_secret,
+    };
+
+    await this.saveApps(apps);
+
+    logger.info('Registered Mastodon app', { instance: instanceUrl });
+
+    return apps[key];
+  }
+
+  /**
+   * Load registered apps from the Strapi store
+   * @returns {Object} - Registrations keyed by instance and redirect URI
+   */
+  async loadApps() {
+    if (typeof strapi === 'undefined') {
+      return Object.fromEntries(this.appCache);
+    }
+
+    return (await this.getStore().get({ key: 'mastodon-apps' })) || {};
+  }
+
+  /**
+   * Persist registered apps to the Strapi store
+   * @param {Object} apps - Registrations keyed by instance and redirect URI
+   */
+  async saveApps(apps) {
+    if (typeof strapi === 'undefined') {
+      Object.entries(apps).forEach(([key, value]) => this.appCache.set(key, value));
+      return;
+    }
+
+    await this.getStore().set({ key: 'mastodon-apps', value: apps });
+  }
+
+  /**
+   * Helper: Get the Strapi core store for platform settings
+   * @returns {Object} - Store
+   */
+  getStore() {
+    return strapi.store({ type: 'core', name: 'social-platforms' });
+  }
+
+  /**
+   * Helper: Normalize an instance host into an origin URL
+   * @param {string} instance - Instance host or URL
+   * @returns {string} - Instance origin
+   */
+  normalizeInstance(instance) {
+    if (!instance) {
+      throw new Error('Mastodon instance is required');
+    }
+
+    const url = /^https?:\/\//.test(instance) ? instance : `https://${instance}`;
+    return new URL(url).origin;
+  }
+
+  /**
+   * Helper: Check whether an address is loopback, private or otherwise not public
+   * @param {string} address - IP address
+   * @param {number} family - 4 or 6
+   * @returns {boolean} - True when the address is not public
+   */
+  isPrivateAddress(address, family) {
+    // IPv4-mapped IPv6 addresses are checked as IPv4
+    const mapped = family === 6 && address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+
+    return mapped
+      ? PRIVATE_ADDRESSES.check(mapped[1], 'ipv4')
+      : PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * Helper: Extract error message from Mastodon API error
+   * @param {Error} error - Axios error
+   * @returns {string} - Error message
+   */
+  getErrorMessage(error) {
+    return error.response?.data?.error_description
+      || error.response?.data?.error
+      || error.message;
+  }
+
+  /**
+   * Helper: Generate random state for OAuth
+   * @returns {string} - Random state string
+   */
+  generateState() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+}
+
+module.exports = new MastodonService();
@@ -0,0 +1,393 @@
+/**
+ * Pinterest Integration Service
+ * Handles OAuth 2.0, boards, pin publishing, and analytics via the Pinterest API v5
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { socialPlatformLogger: logger } = require('../../utils/logger');
+
+class PinterestService {
+  constructor() {
+    this.clientId = process.env.PINTEREST_CLIENT_ID;
+    this.clientSecret = process.env.PINTEREST_CLIENT_SECRET;
+    this.baseUrl = 'https://api.pinterest.com/v5';
+    this.mediaPollInterval = 3000;
+    this.mediaPollTimeout = 5 * 60 * 1000;
+  }
+
+  /**
+   * Get OAuth authorization URL
+   * @param {string} redirectUri - Callback URL
+   * @param {Array} scopes - Required permissions
+   * @returns {Object} - Authorization URL and state
+   */
+  getAuthorizationUrl(redirectUri, scopes = []) {
+    const defaultScopes = [
+      'boards:read',
+      'pins:read',
+      'pins:write',
+      'user_accounts:read',
+    ];
+
+    const allScopes = [...new Set([...defaultScopes, ...scopes])];
+    const state = this.generateState();
+
+    const params = new URLSearchParams({
+      client_id: this.clientId,
+      redirect_uri: redirectUri,
+      response_type: 'code',
+      scope: allScopes.join(','),
+      state,
+    });
+
+    return {
+      url: `https://www.pinterest.com/oauth/?${params.toString()}`,
+      state,
+    };
+  }
+
+  /**
+   * Exchange authorization code for access token
+   * @param {string} code - Authorization code
+   * @param {string} redirectUri - Callback URL
+   * @returns {Object} - Token data
+   */
+  async getAccessToken(code, redirectUri) {
+    try {
+      const response = await this.requestToken({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+      });
+
+      logger.info('Pinterest access token obtained successfully');
+
+      return response;
+    } catch (error) {
+      logger.error('Failed to get Pinterest access token', { error: error.message });
+      throw new Error(`Pinterest OAuth error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Refresh access token
+   * @param {string} refreshToken - Refresh token
+   * @returns {Object} - New token data
+   */
+  async refreshAccessToken(refreshToken) {
+    try {
+      const response = await this.requestToken({
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken,
+      });
+
+      logger.info('Pinterest token refreshed successfully');
+
+      return {
+        ...response,
+        refreshToken: response.refreshToken || refreshToken,
+      };
+    } catch (error) {
+      logger.error('Failed to refresh Pinterest token', { error: error.message });
+      throw new Error(`Pinterest token refresh error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Get user account info
+   * @param {string} accessToken - Access token
+   * @returns {Object} - User data
+   */
+  async getUserAccount(accessToken) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/user_account`, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+
+      const data = response.data;
+
+      return {
+        id: data.id || data.username,
+        username: data.username,
+        accountType: data.account_type,
+        profileImage: data.profile_image,
+        websiteUrl: data.website_url,
+        metrics: {
+          followersCount: data.follower_count || 0,
+          followingCount: data.following_count || 0,
+          pinCount: data.pin_count || 0,
+          monthlyViews: data.monthly_views || 0,
+        },
+      };
+    } catch (error) {
+      logger.error('Failed to get Pinterest user account', { error: error.message });
+      throw new Error(`Pinterest user account error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * List the user's boards
+   * @param {string} accessToken - Access token
+   * @returns {Array} - Boards
+   */
+  async listBoards(accessToken) {
+    try {
+      const boards = [];
+      let bookmark;
+
+      do {
+        const response = await axios.get(`${this.baseUrl}/boards`, {
+          params: { page_size: 100, ...(bookmark && { bookmark }) },
+          headers: { Authorization: `Bearer ${accessToken}` },
+        });
+
+        boards.push(...response.data.items.map(board => ({
+          id: board.id,
+          name: board.name,
+          description: board.description,
+          privacy: board.privacy,
+        })));
+
+        bookmark = response.data.bookmark;
+      } while (bookmark);
+
+      return boards;
+    } catch (error) {
+      logger.error('Failed to list Pinterest boards', { error: error.message });
+      throw new Error(`Pinterest boards error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Create a pin
+   * @param {string} accessToken - Access token
+   * @param {Object} pinData - Pin content and settings
+   * @returns {Object} - Created pin data
+   */
+  async createPin(accessToken, pinData) {
+    try {
+      const { boardId, title, description, link, altText, images = [], video } = pinData;
+
+      if (!boardId) {
+        throw new Error('Pinterest pins require a board');
+      }
+
+      if (!video && images.length === 0) {
+        throw new Error('Pinterest pins require at least one image or video');
+      }
+
+      const payload = {
+        board_id: boardId,
+        title,
+        description,
+        ...(link && { link }),
+        ...(altText && { alt_text: altText }),
+        media_source: video
+          ? await this.createVideoSource(accessToken, video, images[0]?.url)
+          : this.createImageSource(images),
+      };
+
+      const response = await axios.post(`${this.baseUrl}/pins`, payload, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/json',
+        },
+      });
+
+      logger.info('Successfully created Pinterest pin', { pinId: response.data.id });
+
+      return {
+        id: response.data.id,
+        platform: 'pinterest',
+        url: `https://www.pinterest.com/pin/${response.data.id}/`,
+      };
+    } catch (error) {
+      logger.error('Failed to create Pinterest pin', { error: error.message });
+      throw new Error(`Pinterest publish error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Build media source for image pins
+   * @param {Array} images - Images ({ url, title, description })
+   * @returns {Object} - Media source payload
+   */
+  createImageSource(images) {
+    if (images.length === 1) {
+      return { source_type: 'image_url', url: images[0].url };
+    }
+
+    return {
+      source_type: 'multiple_image_urls',
+      items: images.slice(0, 5).map(image => ({
+        url: image.url,
+        ...(image.title && { title: image.title }),
+        ...(image.description && { description: image.description }),
+      })),
+    };
+  }
+
+  /**
+   * Upload a video and build media source for video pins
+   * @param {string} accessToken - Access token
+   * @param {Object} video - Video ({ url, mime })
+   * @param {string} coverImageUrl - Optional cover image URL
+   * @returns {Object} - Media source payload
+   */
+  async createVideoSource(accessToken, video, coverImageUrl) {
+    const registration = await axios.post(
+      `${this.baseUrl}/media`,
+      { media_type: 'video' },
+      { headers: { Authorization: `Bearer ${accessToken}` } }
+    );
+
+    const { media_id: mediaId, upload_url: uploadUrl, upload_parameters: uploadParameters } = registration.data;
+
+    const videoResponse = await axios.get(video.url, {
+      responseType: 'arraybuffer',
+      maxContentLength: Infinity,
+    });
+
+    const form = new FormData();
+    Object.entries(uploadParameters || {}).forEach(([key, value]) => form.append(key, value));
+    form.append('file', new Blob([videoResponse.data], { type: video.mime || 'video/mp4' }));
+
+    await axios.post(uploadUrl, form, { maxBodyLength: Infinity });
+
+    await this.waitForMedia(accessToken, mediaId);
+
+    return {
+      source_type: 'video_id',
+      media_id: mediaId,
+      ...(coverImageUrl ? { cover_image_url: coverImageUrl } : { cover_image_key_frame_time: 0 }),
+    };
+  }
+
+  /**
+   * Poll media status until the upload is processed
+   * @param {string} accessToken - Access token
+   * @param {string} mediaId - Media ID
+   */
+  async waitForMedia(accessToken, mediaId) {
+    const deadline = Date.now() + this.mediaPollTimeout;
+
+    while (Date.now() < deadline) {
+      const response = await axios.get(`${this.baseUrl}/media/${mediaId}`, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+
+      if (response.data.status === 'succeeded') return;
+
+      if (response.data.status === 'failed') {
+        throw new Error(`Pinterest video processing failed (mediaId: ${mediaId})`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.mediaPollInterval));
+    }
+
+    throw new Error(`Pinterest video processing timed out (mediaId: ${mediaId})`);
+  }
+
+  /**
+   * Delete a pin
+   * @param {string} accessToken - Access token
+   * @param {string} pinId - Pin ID
+   * @returns {boolean} - Success status
+   */
+  async deletePin(accessToken, pinId) {
+    try {
+      await axios.delete(`${this.baseUrl}/pins/${pinId}`, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+
+      logger.info('Successfully deleted Pinterest pin', { pinId });
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to delete Pinterest pin', { error: error.message, pinId });
+      throw new Error(`Pinterest delete error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Get pin analytics
+   * @param {string} accessToken - Access token
+   * @param {string} pinId - Pin ID
+   * @param {number} days - Lookback window in days (max 90)
+   * @returns {Object} - Analytics data
+   */
+  async getPinAnalytics(accessToken, pinId, days = 90) {
+    try {
+      const endDate = new Date();
+      const startDate = new Date(endDate.getTime() - Math.min(days, 90) * 24 * 3600 * 1000);
+
+      const response = await axios.get(`${this.baseUrl}/pins/${pinId}/analytics`, {
+        params: {
+          start_date: startDate.toISOString().split('T')[0],
+          end_date: endDate.toISOString().split('T')[0],
+          metric_types: 'IMPRESSION,SAVE,PIN_CLICK,OUTBOUND_CLICK,VIDEO_MRC_VIEW',
+        },
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+
+      const summary = response.data.all?.summary_metrics || {};
+
+      return {
+        impressions: summary.IMPRESSION || 0,
+        shares: summary.SAVE || 0,
+        clicks: (summary.PIN_CLICK || 0) + (summary.OUTBOUND_CLICK || 0),
+        views: summary.VIDEO_MRC_VIEW || 0,
+      };
+    } catch (error) {
+      logger.error('Failed to get Pinterest pin analytics', { error: error.message, pinId });
+      throw error;
+    }
+  }
+
+  /**
+   * Helper: Request a token from the OAuth token endpoint
+   * @param {Object} body - Form parameters
+   * @returns {Object} - Token data
+   */
+  async requestToken(body) {
+    const credentials = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+
+    const response = await axios.post(
+      `${this.baseUrl}/oauth/token`,
+      new URLSearchParams(body).toString(),
+      {
+        headers: {
+          Authorization: `Basic ${credentials}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+      }
+    );
+
+    return {
+      accessToken: response.data.access_token,
+      refreshToken: response.data.refresh_token,
+      expiresIn: response.data.expires_in,
+      scopes: response.data.scope ? response.data.scope.split(',') : [],
+    };
+  }
+
+  /**
+   * Helper: Extract error message from Pinterest API error
+   * @param {Error} error - Axios error
+   * @returns {string} - Error message
+   */
+  getErrorMessage(error) {
+    return error.response?.data?.message || error.message;
+  }
+
+  /**
+   * Helper: Generate random state for OAuth
+   * @returns {string} - Random state string
+   */
+  generateState() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+}
+
+module.exports = new PinterestService();
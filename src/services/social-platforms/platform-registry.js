@@ -0,0 +1,95 @@
+/**
+ * Platform Registry
+ * Resolves platform names to their adapters for publishing, OAuth, and analytics
+ */
+
+const FacebookAdapter = require('./adapters/facebook.adapter');
+const InstagramAdapter = require('./adapters/instagram.adapter');
+const TwitterAdapter = require('./adapters/twitter.adapter');
+const LinkedInAdapter = require('./adapters/linkedin.adapter');
+const TikTokAdapter = require('./adapters/tiktok.adapter');
+const YouTubeAdapter = require('./adapters/youtube.adapter');
+const PinterestAdapter = require('./adapters/pinterest.adapter');
+const ThreadsAdapter = require('./adapters/threads.adapter');
+const MastodonAdapter = require('./adapters/mastodon.adapter');
+const BlueskyAdapter = require('./adapters/bluesky.adapter');
+
+class PlatformRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  /**
+   * Register a platform adapter
+   * @param {BasePlatformAdapter} adapter - Adapter instance
+   * @returns {PlatformRegistry} - Registry instance
+   */
+  register(adapter) {
+    if (!adapter || !adapter.platform) {
+      throw new Error('Platform adapter must define a platform name');
+    }
+
+    this.adapters.set(adapter.platform, adapter);
+
+    return this;
+  }
+
+  /**
+   * Check whether a platform has an adapter
+   * @param {string} platform - Platform name
+   * @returns {boolean} - Whether the platform is supported
+   */
+  has(platform) {
+    return this.adapters.has(platform);
+  }
+
+  /**
+   * Check whether a platform's adapter supports a capability
+   * @param {string} platform - Platform name
+   * @param {string} capability - Capability flag name
+   * @returns {boolean} - Whether the capability is supported
+   */
+  supports(platform, capability) {
+    return this.has(platform) && Boolean(this.get(platform).capabilities[capability]);
+  }
+
+  /**
+   * Get adapter for a platform
+   * @param {string} platform - Platform name
+   * @returns {BasePlatformAdapter} - Adapter instance
+   */
+  get(platform) {
+    const adapter = this.adapters.get(platform);
+
+    if (!adapter) {
+      throw new Error(`Platform ${platform} not supported`);
+    }
+
+    return adapter;
+  }
+
+  /**
+   * Get all registered platform names
+   * @returns {Array} - Platform names
+   */
+  getPlatforms() {
+    return [...this.adapters.keys()];
+  }
+}
+
+const platformRegistry = new PlatformRegistry();
+
+platformRegistry
+  .register(new FacebookAdapter())
+  .register(new InstagramAdapter())
+  .register(new TwitterAdapter())
+  .register(new LinkedInAdapter())
+  .register(new TikTokAdapter())
+  .register(new YouTubeAdapter())
+  .register(new PinterestAdapter())
+  .register(new ThreadsAdapter())
+  .register(new MastodonAdapter())
+  .register(new BlueskyAdapter());
+
+// Export singleton instance
+module.exports = platformRegistry;
@@ -0,0 +1,434 @@
+/**
+ * Threads Integration Service
+ * Handles OAuth, container-based posting, reply chains, and insights via the Threads Graph API
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { socialPlatformLogger: logger } = require('../../utils/logger');
+
+class ThreadsService {
+  constructor() {
+    this.appId = process.env.THREADS_APP_ID;
+    this.appSecret = process.env.THREADS_APP_SECRET;
+    this.apiVersion = process.env.THREADS_API_VERSION || 'v1.0';
+    this.graphUrl = 'https://graph.threads.net';
+    this.baseUrl = `${this.graphUrl}/${this.apiVersion}`;
+    this.containerPollInterval = 5000;
+    this.containerPollTimeout = 5 * 60 * 1000;
+  }
+
+  /**
+   * Get OAuth authorization URL
+   * @param {string} redirectUri - Callback URL
+   * @param {Array} scopes - Required permissions
+   * @returns {Object} - Authorization URL and state
+   */
+  getAuthorizationUrl(redirectUri, scopes = []) {
+    const defaultScopes = [
+      'threads_basic',
+      'threads_content_publish',
+      'threads_manage_insights',
+      'threads_manage_replies',
+    ];
+
+    const allScopes = [...new Set([...defaultScopes, ...scopes])];
+    const state = this.generateState();
+
+    const params = new URLSearchParams({
+      client_id: this.appId,
+      redirect_uri: redirectUri,
+      scope: allScopes.join(','),
+      response_type: 'code',
+      state,
+    });
+
+    return {
+      url: `https://threads.net/oauth/authorize?${params.toString()}`,
+      state,
+    };
+  }
+
+  /**
+   * Exchange authorization code for a short-lived access token
+   * @param {string} code - Authorization code
+   * @param {string} redirectUri - Callback URL
+   * @returns {Object} - Token data
+   */
+  async getAccessToken(code, redirectUri) {
+    try {
+      const params = new URLSearchParams({
+        client_id: this.appId,
+        client_secret: this.appSecret,
+        grant_type: 'authorization_code',
+        redirect_uri: redirectUri,
+        code,
+      });
+
+      const response = await axios.post(`${this.graphUrl}/oauth/access_token`, params.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      });
+
+      logger.info('Threads access token obtained successfully');
+
+      return {
+        accessToken: response.data.access_token,
+        userId: response.data.user_id,
+      };
+    } catch (error) {
+      logger.error('Failed to get Threads access token', { error: error.message });
+      throw new Error(`Threads OAuth error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Exchange a short-lived token for a long-lived (60 day) token
+   * @param {string} shortLivedToken - Short-lived access token
+   * @returns {Object} - Long-lived token data
+   */
+  async getLongLivedToken(shortLivedToken) {
+    try {
+      const response = await axios.get(`${this.graphUrl}/access_token`, {
+        params: {
+          grant_type: 'th_exchange_token',
+          client_secret: this.appSecret,
+          access_token: shortLivedToken,
+        },
+      });
+
+      logger.info('Long-lived Threads token obtained');
+
+      return {
+        accessToken: response.data.access_token,
+        tokenType: response.data.token_type,
+        expiresIn: response.data.expires_in,
+      };
+    } catch (error) {
+      logger.error('Failed to get long-lived Threads token', { error: error.message });
+      throw new Error(`Threads OAuth error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Refresh a long-lived access token
+   * @param {string} accessToken - Unexpired long-lived access token
+   * @returns {Object} - New token data
+   */
+  async refreshAccessToken(accessToken) {
+    try {
+      const response = await axios.get(`${this.graphUrl}/refresh_access_token`, {
+        params: {
+          grant_type: 'th_refresh_token',
+          access_token: accessToken,
+        },
+      });
+
+      logger.info('Threads token refreshed successfully');
+
+      return {
+        accessToken: response.data.access_token,
+        expiresIn: response.data.expires_in,
+      };
+    } catch (error) {
+      logger.error('Failed to refresh Threads token', { error: error.message });
+      throw new Error(`Threads token refresh error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Get user profile
+   * @param {string} accessToken - Access token
+   * @returns {Object} - User profile data
+   */
+  async getUserProfile(accessToken) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/me`, {
+        params: {
+          fields: 'id,username,name,threads_profile_picture_url,threads_biography',
+          access_token: accessToken,
+        },
+      });
+
+      return {
+        id: response.data.id,
+        username: response.data.username,
+        name: response.data.name,
+        profilePictureUrl: response.data.threads_profile_picture_url,
+        biography: response.data.threads_biography,
+      };
+    } catch (error) {
+      logger.error('Failed to get Threads user profile', { error: error.message });
+      throw new Error(`Threads profile error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Publish a post, continuing long content as a reply chain
+   * @param {string} userId - Threads user ID
+   * @param {string} accessToken - Access token
+   * @param {Object} postData - Post content and settings
+   * @returns {Object} - Published post data (first post of the chain)
+   */
+  async publishPost(userId, accessToken, postData) {
+    try {
+      const { posts = [], media = [] } = postData;
+
+      if (posts.length === 0 && media.length === 0) {
+        throw new Error('Threads posts require text or media');
+      }
+
+      const published = [];
+      let replyToId = null;
+
+      for (let i = 0; i < Math.max(posts.length, 1); i++) {
+        // Media is attached to the first post only
+        const creationId = await this.createContainer(userId, accessToken, {
+          text: posts[i],
+          media: i === 0 ? media : [],
+          replyToId,
+        });
+
+        const result = await this.publishContainer(userId, accessToken, creationId);
+        published.push(result);
+        replyToId = result.id;
+      }
+
+      logger.info('Successfully published to Threads', {
+        postId: published[0].id,
+        chainLength: published.length,
+      });
+
+      const permalink = await this.getPermalink(published[0].id, accessToken);
+
+      return {
+        id: published[0].id,
+        platform: 'threads',
+        url: permalink,
+        thread: published.map((post, index) => ({ id: post.id, url: index === 0 ? permalink : null })),
+      };
+    } catch (error) {
+      logger.error('Failed to publish to Threads', { error: error.message });
+      throw new Error(`Threads publish error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Create a media container for text, image, video or carousel posts
+   * @param {string} userId - Threads user ID
+   * @param {string} accessToken - Access token
+   * @param {Object} containerData - { text, media, replyToId }
+   * @returns {string} - Container (creation) ID
+   */
+  async createContainer(userId, accessToken, { text, media = [], replyToId }) {
+    const params = {
+      access_token: accessToken,
+      ...(text && { text }),
+      ...(replyToId && { reply_to_id: replyToId }),
+    };
+
+    if (media.length > 1) {
+      params.media_type = 'CAROUSEL';
+      params.children = await this.createCarouselChildren(userId, accessToken, media);
+    } else if (media.length === 1) {
+      Object.assign(params, this.getMediaParams(media[0]));
+    } else {
+      params.media_type = 'TEXT';
+    }
+
+    const response = await axios.post(`${this.baseUrl}/${userId}/threads`, null, { params });
+    const containerId = response.data.id;
+
+    // Video containers (including carousels with videos) must finish processing before publishing
+    if (media.some(item => item.type === 'video')) {
+      await this.waitForContainer(containerId, accessToken);
+    }
+
+    return containerId;
+  }
+
+  /**
+   * Create carousel item containers
+   * @param {string} userId - Threads user ID
+   * @param {string} accessToken - Access token
+   * @param {Array} media - Media items ({ url, type })
+   * @returns {string} - Comma-separated container IDs
+   */
+  async createCarouselChildren(userId, accessToken, media) {
+    const containerIds = [];
+
+    for (const item of media) {
+      const response = await axios.post(`${this.baseUrl}/${userId}/threads`, null, {
+        params: {
+          access_token: accessToken,
+          is_carousel_item: true,
+          ...this.getMediaParams(item),
+        },
+      });
+
+      if (item.type === 'video') {
+        await this.waitForContainer(response.data.id, accessToken);
+      }
+
+      containerIds.push(response.data.id);
+    }
+
+    return containerIds.join(',');
+  }
+
+  /**
+   * Publish a container
+   * @param {string} userId - Threads user ID
+   * @param {string} accessToken - Access token
+   * @param {string} creationId - Container ID
+   * @returns {Object} - { id }
+   */
+  async publishContainer(userId, accessToken, creationId) {
+    const response = await axios.post(`${this.baseUrl}/${userId}/threads_publish`, null, {
+      params: {
+        creation_id: creationId,
+        access_token: accessToken,
+      },
+    });
+
+    return { id: response.data.id };
+  }
+
+  /**
+   * Poll container status until it is ready to publish
+   * @param {string} containerId - Container ID
+   * @param {string} accessToken - Access token
+   */
+  async waitForContainer(containerId, accessToken) {
+    const deadline = Date.now() + this.containerPollTimeout;
+
+    while (Date.now() < deadline) {
+      const response = await axios.get(`${this.baseUrl}/${containerId}`, {
+        params: { fields: 'status,error_message', access_token: accessToken },
+      });
+
+      const { status, error_message: errorMessage } = response.data;
+
+      if (status === 'FINISHED' || status === 'PUBLISHED') return;
+
+      if (status === 'ERROR' || status === 'EXPIRED') {
+        throw new Error(`Threads container ${status.toLowerCase()}: ${errorMessage || containerId}`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.containerPollInterval));
+    }
+
+    throw new Error(`Threads container processing timed out (containerId: ${containerId})`);
+  }
+
+  /**
+   * Get permalink of a published post
+   * @param {string} mediaId - Threads media ID
+   * @param {string} accessToken - Access token
+   * @returns {string|null} - Permalink
+   */
+  async getPermalink(mediaId, accessToken) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/${mediaId}`, {
+        params: { fields: 'permalink', access_token: accessToken },
+      });
+
+      return response.data.permalink || null;
+    } catch (error) {
+      logger.warn('Failed to get Threads permalink', { error: error.message, mediaId });
+      return null;
+    }
+  }
+
+  /**
+   * Delete a post
+   * @param {string} mediaId - Threads media ID
+   * @param {string} accessToken - Access token
+   * @returns {boolean} - Success status
+   */
+  async deletePost(mediaId, accessToken) {
+    try {
+      await axios.delete(`${this.baseUrl}/${mediaId}`, {
+        params: { access_token: accessToken },
+      });
+
+      logger.info('Successfully deleted Threads post', { mediaId });
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to delete Threads post', { error: error.message, mediaId });
+      throw new Error(`Threads delete error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Get post insights
+   * @param {string} mediaId - Threads media ID
+   * @param {string} accessToken - Access token
+   * @returns {Object} - Insights data
+   */
+  async getPostInsights(mediaId, accessToken) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/${mediaId}/insights`, {
+        params: {
+          metric: 'views,likes,replies,reposts,quotes,shares',
+          access_token: accessToken,
+        },
+      });
+
+      const insights = response.data.data || [];
+
+      return {
+        views: this.getInsightValue(insights, 'views'),
+        likes: this.getInsightValue(insights, 'likes'),
+        comments: this.getInsightValue(insights, 'replies'),
+        shares: this.getInsightValue(insights, 'reposts')
+          + this.getInsightValue(insights, 'quotes')
+          + this.getInsightValue(insights, 'shares'),
+      };
+    } catch (error) {
+      logger.error('Failed to get Threads insights', { error: error.message, mediaId });
+      throw error;
+    }
+  }
+
+  /**
+   * Helper: Build container parameters for a single media item
+   * @param {Object} item - Media item ({ url, type })
+   * @returns {Object} - Container parameters
+   */
+  getMediaParams(item) {
+    return item.type === 'video'
+      ? { media_type: 'VIDEO', video_url: item.url }
+      : { media_type: 'IMAGE', image_url: item.url };
+  }
+
+  /**
+   * Helper: Extract insight value
+   * @param {Array} insights - Insights array
+   * @param {string} name - Metric name
+   * @returns {number} - Metric value
+   */
+  getInsightValue(insights, name) {
+    const insight = insights.find(i => i.name === name);
+    return insight?.values?.[0]?.value || insight?.total_value?.value || 0;
+  }
+
+  /**
+   * Helper: Extract error message from Threads API error
+   * @param {Error} error - Axios error
+   * @returns {string} - Error message
+   */
+  getErrorMessage(error) {
+    return error.response?.data?.error?.message || error.message;
+  }
+
+  /**
+   * Helper: Generate random state for OAuth
+   * @returns {string} - Random state string
+   */
+  generateState() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+}
+
+module.exports = new ThreadsService();
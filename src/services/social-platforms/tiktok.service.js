@@ -0,0 +1,451 @@
+/**
+ * TikTok Integration Service
+ * Handles OAuth 2.0, video publishing, and analytics via the TikTok Content Posting API
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { socialPlatformLogger: logger } = require('../../utils/logger');
+
+// TikTok requires chunks between 5MB and 64MB; the final chunk may be up to 128MB
+const MIN_CHUNK_SIZE = 5 * 1024 * 1024;
+const DEFAULT_CHUNK_SIZE = 10 * 1024 * 1024;
+
+class TikTokService {
+  constructor() {
+    this.clientKey = process.env.TIKTOK_CLIENT_KEY;
+    this.clientSecret = process.env.TIKTOK_CLIENT_SECRET;
+    this.baseUrl = 'https://open.tiktokapis.com/v2';
+    this.statusPollInterval = 5000;
+    this.statusPollTimeout = 5 * 60 * 1000;
+  }
+
+  /**
+   * Get OAuth authorization URL
+   * @param {string} redirectUri - Callback URL
+   * @param {Array} scopes - Required permissions
+   * @returns {Object} - Authorization URL and state
+   */
+  getAuthorizationUrl(redirectUri, scopes = []) {
+    const defaultScopes = [
+      'user.info.basic',
+      'user.info.profile',
+      'user.info.stats',
+      'video.list',
+      'video.publish',
+      'video.upload',
+    ];
+
+    const allScopes = [...new Set([...defaultScopes, ...scopes])];
+    const state = this.generateState();
+
+    const params = new URLSearchParams({
+      client_key: this.clientKey,
+      response_type: 'code',
+      scope: allScopes.join(','),
+      redirect_uri: redirectUri,
+      state,
+    });
+
+    return {
+      url: `https://www.tiktok.com/v2/auth/authorize/?${params.toString()}`,
+      state,
+    };
+  }
+
+  /**
+   * Exchange authorization code for access token
+   * @param {string} code - Authorization code
+   * @param {string} redirectUri - Callback URL
+   * @returns {Object} - Token data
+   */
+  async getAccessToken(code, redirectUri) {
+    try {
+      const params = new URLSearchParams({
+        client_key: this.clientKey,
+        client_secret: this.clientSecret,
+        code,
+        grant_type: 'authorization_code',
+        redirect_uri: redirectUri,
+      });
+
+      const response = await axios.post(`${this.baseUrl}/oauth/token/`, params.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      });
+
+      logger.info('TikTok access token obtained successfully');
+
+      return this.mapTokenResponse(response.data);
+    } catch (error) {
+      logger.error('Failed to get TikTok access token', { error: error.message });
+      throw new Error(`TikTok OAuth error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Refresh access token
+   * @param {string} refreshToken - Refresh token
+   * @returns {Object} - New token data
+   */
+  async refreshAccessToken(refreshToken) {
+    try {
+      const params = new URLSearchParams({
+        client_key: this.clientKey,
+        client_secret: this.clientSecret,
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken,
+      });
+
+      const response = await axios.post(`${this.baseUrl}/oauth/token/`, params.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      });
+
+      logger.info('TikTok token refreshed successfully');
+
+      return this.mapTokenResponse(response.data);
+    } catch (error) {
+      logger.error('Failed to refresh TikTok token', { error: error.message });
+      throw new Error(`TikTok token refresh error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Get user info
+   * @param {string} accessToken - Access token
+   * @returns {Object} - User data
+   */
+  async getUserInfo(accessToken) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/user/info/`, {
+        params: {
+          fields: 'open_id,avatar_url,display_name,username,profile_deep_link,is_verified,follower_count,following_count,video_count',
+        },
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+
+      const user = response.data.data.user;
+
+      return {
+        id: user.open_id,
+        name: user.display_name,
+        username: user.username,
+        avatarUrl: user.avatar_url,
+        profileUrl: user.profile_deep_link,
+        verified: user.is_verified || false,
+        metrics: {
+          followersCount: user.follower_count || 0,
+          followingCount: user.following_count || 0,
+          videoCount: user.video_count || 0,
+        },
+      };
+    } catch (error) {
+      logger.error('Failed to get TikTok user info', { error: error.message });
+      throw new Error(`TikTok user info error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Query creator info (allowed privacy levels, interaction settings, max duration)
+   * @param {string} accessToken - Access token
+   * @returns {Object} - Creator info
+   */
+  async getCreatorInfo(accessToken) {
+    try {
+      const response = await axios.post(`${this.baseUrl}/post/publish/creator_info/query/`, {}, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/json; charset=UTF-8',
+        },
+      });
+
+      const data = response.data.data;
+
+      return {
+        privacyLevelOptions: data.privacy_level_options || [],
+        commentDisabled: data.comment_disabled || false,
+        duetDisabled: data.duet_disabled || false,
+        stitchDisabled: data.stitch_disabled || false,
+        maxVideoDurationSec: data.max_video_post_duration_sec,
+      };
+    } catch (error) {
+      logger.error('Failed to get TikTok creator info', { error: error.message });
+      throw new Error(`TikTok creator info error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Publish a video to TikTok
+   * @param {string} accessToken - Access token
+   * @param {Object} videoData - Video content and settings
+   * @returns {Object} - Published video data
+   */
+  async publishVideo(accessToken, videoData) {
+    try {
+      const {
+        caption,
+        videoUrl,
+        privacyLevel = 'PUBLIC_TO_EVERYONE',
+        disableComment = false,
+        disableDuet = false,
+        disableStitch = false,
+        videoCoverTimestampMs,
+        username,
+      } = videoData;
+
+      if (!videoUrl) {
+        throw new Error('TikTok posts require a video');
+      }
+
+      const creatorInfo = await this.getCreatorInfo(accessToken);
+
+      if (creatorInfo.privacyLevelOptions.length > 0 && !creatorInfo.privacyLevelOptions.includes(privacyLevel)) {
+        throw new Error(`Privacy level ${privacyLevel} is not available for this creator (allowed: ${creatorInfo.privacyLevelOptions.join(', ')})`);
+      }
+
+      const videoBuffer = await this.downloadMedia(videoUrl);
+      const { chunkSize, totalChunkCount } = this.getChunkPlan(videoBuffer.length);
+
+      // Initialize the direct post
+      const initResponse = await axios.post(
+        `${this.baseUrl}/post/publish/video/init/`,
+        {
+          post_info: {
+            title: caption,
+            privacy_level: privacyLevel,
+            disable_comment: disableComment || creatorInfo.commentDisabled,
+            disable_duet: disableDuet || creatorInfo.duetDisabled,
+            disable_stitch: disableStitch || creatorInfo.stitchDisabled,
+            ...(videoCoverTimestampMs !== undefined && { video_cover_timestamp_ms: videoCoverTimestampMs }),
+          },
+          source_info: {
+            source: 'FILE_UPLOAD',
+            video_size: videoBuffer.length,
+            chunk_size: chunkSize,
+            total_chunk_count: totalChunkCount,
+          },
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            'Content-Type': 'application/json; charset=UTF-8',
+          },
+        }
+      );
+
+      const { publish_id: publishId, upload_url: uploadUrl } = initResponse.data.data;
+
+      await this.uploadVideoChunks(uploadUrl, videoBuffer, chunkSize, totalChunkCount);
+
+      const status = await this.waitForPublish(accessToken, publishId);
+      const videoId = status.postIds[0];
+
+      logger.info('Successfully published to TikTok', { publishId, videoId });
+
+      return {
+        id: videoId || publishId,
+        publishId,
+        platform: 'tiktok',
+        url: videoId && username ? `https://www.tiktok.com/@${username}/video/${videoId}` : null,
+      };
+    } catch (error) {
+      logger.error('Failed to publish to TikTok', { error: error.message });
+      throw new Error(`TikTok publish error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Upload video buffer in chunks
+   * @param {string} uploadUrl - Upload URL from init response
+   * @param {Buffer} videoBuffer - Video data
+   * @param {number} chunkSize - Chunk size in bytes
+   * @param {number} totalChunkCount - Number of chunks
+   */
+  async uploadVideoChunks(uploadUrl, videoBuffer, chunkSize, totalChunkCount) {
+    const totalSize = videoBuffer.length;
+
+    for (let i = 0; i < totalChunkCount; i++) {
+      const start = i * chunkSize;
+      // The last chunk absorbs any remainder
+      const end = i === totalChunkCount - 1 ? totalSize : start + chunkSize;
+      const chunk = videoBuffer.subarray(start, end);
+
+      await axios.put(uploadUrl, chunk, {
+        headers: {
+          'Content-Type': 'video/mp4',
+          'Content-Length': chunk.length,
+          'Content-Range': `bytes ${start}-${end - 1}/${totalSize}`,
+        },
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity,
+      });
+
+      logger.debug('Uploaded TikTok video chunk', { chunk: i + 1, totalChunkCount });
+    }
+  }
+
+  /**
+   * Get publish status
+   * @param {string} accessToken - Access token
+   * @param {string} publishId - Publish ID from init response
+   * @returns {Object} - Publish status
+   */
+  async getPublishStatus(accessToken, publishId) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/post/publish/status/fetch/`,
+        { publish_id: publishId },
+        {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            'Content-Type': 'application/json; charset=UTF-8',
+          },
+        }
+      );
+
+      const data = response.data.data;
+
+      return {
+        status: data.status,
+        failReason: data.fail_reason,
+        // TikTok's field name is misspelled in the API
+        postIds: data.publicaly_available_post_id || [],
+      };
+    } catch (error) {
+      logger.error('Failed to get TikTok publish status', { error: error.message, publishId });
+      throw new Error(`TikTok publish status error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Poll publish status until the post completes or fails
+   * @param {string} accessToken - Access token
+   * @param {string} publishId - Publish ID
+   * @returns {Object} - Final publish status
+   */
+  async waitForPublish(accessToken, publishId) {
+    const deadline = Date.now() + this.statusPollTimeout;
+
+    while (Date.now() < deadline) {
+      const status = await this.getPublishStatus(accessToken, publishId);
+
+      if (status.status === 'PUBLISH_COMPLETE') {
+        return status;
+      }
+
+      if (status.status === 'FAILED') {
+        throw new Error(`TikTok publish failed: ${status.failReason || 'unknown reason'}`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.statusPollInterval));
+    }
+
+    throw new Error(`TikTok publish timed out waiting for completion (publishId: ${publishId})`);
+  }
+
+  /**
+   * Get video analytics
+   * @param {string} accessToken - Access token
+   * @param {string} videoId - TikTok video ID
+   * @returns {Object} - Analytics data
+   */
+  async getVideoAnalytics(accessToken, videoId) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/video/query/`,
+        { filters: { video_ids: [videoId] } },
+        {
+          params: { fields: 'id,view_count,like_count,comment_count,share_count' },
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            'Content-Type': 'application/json; charset=UTF-8',
+          },
+        }
+      );
+
+      const video = response.data.data.videos?.[0] || {};
+
+      return {
+        views: video.view_count || 0,
+        likes: video.like_count || 0,
+        comments: video.comment_count || 0,
+        shares: video.share_count || 0,
+      };
+    } catch (error) {
+      logger.error('Failed to get TikTok video analytics', { error: error.message, videoId });
+      throw error;
+    }
+  }
+
+  /**
+   * Helper: Download media into a buffer
+   * @param {string} url - Media URL
+   * @returns {Buffer} - Media data
+   */
+  async downloadMedia(url) {
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      maxContentLength: Infinity,
+    });
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * Helper: Compute chunk size and count for a video
+   * @param {number} videoSize - Video size in bytes
+   * @returns {Object} - { chunkSize, totalChunkCount }
+   */
+  getChunkPlan(videoSize) {
+    // Videos smaller than the minimum chunk size must be uploaded whole
+    if (videoSize < MIN_CHUNK_SIZE) {
+      return { chunkSize: videoSize, totalChunkCount: 1 };
+    }
+
+    const chunkSize = Math.min(DEFAULT_CHUNK_SIZE, videoSize);
+
+    return {
+      chunkSize,
+      totalChunkCount: Math.floor(videoSize / chunkSize),
+    };
+  }
+
+  /**
+   * Helper: Normalize token response
+   * @param {Object} data - Token endpoint response
+   * @returns {Object} - Token data
+   */
+  mapTokenResponse(data) {
+    if (data.error && data.error !== 'ok') {
+      throw new Error(data.error_description || data.error);
+    }
+
+    return {
+      accessToken: data.access_token,
+      refreshToken: data.refresh_token,
+      expiresIn: data.expires_in,
+      refreshExpiresIn: data.refresh_expires_in,
+      openId: data.open_id,
+      scopes: data.scope ? data.scope.split(',') : [],
+    };
+  }
+
+  /**
+   * Helper: Extract error message from TikTok API error
+   * @param {Error} error - Axios error
+   * @returns {string} - Error message
+   */
+  getErrorMessage(error) {
+    return error.response?.data?.error?.message
+      || error.response?.data?.error_description
+      || error.message;
+  }
+
+  /**
+   * Helper: Generate random state for OAuth
+   * @returns {string} - Random state string
+   */
+  generateState() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+}
+
+module.exports = new TikTokService();
@@ -3,9 +3,30 @@
  * Handles OAuth 2.0, posting, and analytics for Twitter/X API v2
  */
 
+const crypto = require('crypto');
 const { TwitterApi } = require('twitter-api-v2');
 const { socialPlatformLogger: logger } = require('../../utils/logger');
 const axios = require('axios');
+const { splitText } = require('../../utils/text-splitter');
+const { parseRateLimitHeaders } = require('../../utils/rate-limit');
+
+const MAX_IMAGES_PER_TWEET = 4;
+const MAX_ALT_TEXT_LENGTH = 1000;
+const MAX_TWEET_LENGTH = 280;
+
+// Twitter counts every URL as 23 characters regardless of length
+const URL_LENGTH = 23;
+const URL_PATTERN = /https?:\/\/\S+/g;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/u;
+// Code point ranges counted as a single character; everything else (CJK, most symbols) counts double
+const SINGLE_WEIGHT_RANGES = [
+  [0, 4351],
+  [8192, 8205],
+  [8208, 8223],
+  [8242, 8247],
+];
+
+const graphemeSegmenter = new Intl.Segmenter();
 
 class TwitterService {
   constructor() {
@@ -18,7 +39,7 @@ class TwitterService {
    * Get OAuth 2.0 authorization URL
    * @param {string} redirectUri - Callback URL
    * @param {Array} scopes - Required scopes
-   * @returns {Object} - Authorization URL and code verifier
+   * @returns {Object} - Authorization URL, state and PKCE code verifier
    */
   async getAuthorizationUrl(redirectUri, scopes = []) {
     try {
@@ -27,19 +48,28 @@ class TwitterService {
         'tweet.write',
         'users.read',
         'offline.access',
+        'media.write',
       ];
 
       const allScopes = [...new Set([...defaultScopes, ...scopes])];
-      
-      const client = new TwitterApi({
-        clientId: this.apiKey,
-        clientSecret: this.apiSecret,
-      });
 
-      const { url, codeVerifier, state } = client.generateOAuth2AuthLink(redirectUri, {
-        scope: allScopes,
+      // Built here rather than with generateOAuth2AuthLink, which draws state and verifier from Math.random
+      const state = crypto.randomBytes(16).toString('hex');
+      const codeVerifier = crypto.randomBytes(32).toString('base64url');
+      const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+      const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: this.apiKey,
+        redirect_uri: redirectUri,
+        scope: allScopes.join(' '),
+        state,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
       });
 
+      const url = `https://twitter.com/i/oauth2/authorize?${params.toString()}`;
+
       logger.info('Generated Twitter OAuth URL');
 
       return {
@@ -72,6 +102,7 @@ class TwitterService {
         accessToken,
         refreshToken,
         expiresIn,
+        scope,
       } = await client.loginWithOAuth2({
         code,
         codeVerifier,
@@ -84,11 +115,12 @@ class TwitterService {
         accessToken,
         refreshToken,
         expiresIn,
+        scopes: scope || [],
         client: loggedClient,
       };
     } catch (error) {
       logger.error('Failed to get Twitter access token', { error: error.message });
-      throw new Error(`Twitter OAuth error: ${error.message}`);
+      throw this.wrapError('Twitter OAuth error', error);
     }
   }
 
@@ -151,6 +183,26 @@ class TwitterService {
     }
   }
 
+  /**
+   * Check an access token against the authenticated user endpoint
+   * @param {string} accessToken - Access token
+   * @returns {Object} - { id, rateLimit } with the endpoint's rate limit
+   */
+  async checkToken(accessToken) {
+    try {
+      const client = new TwitterApi(accessToken);
+      const response = await client.v2.get('users/me', undefined, { fullResponse: true });
+
+      return {
+        id: response.data.data.id,
+        rateLimit: parseRateLimitHeaders(response.headers),
+      };
+    } catch (error) {
+      logger.error('Failed to check Twitter token', { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Post a tweet
    * @param {string} accessToken - Access token
@@ -188,7 +240,7 @@ class TwitterService {
       };
     } catch (error) {
       logger.error('Failed to post tweet', { error: error.message });
-      throw new Error(`Twitter post error: ${error.message}`);
+      throw this.wrapError('Twitter post error', error);
     }
   }
 
@@ -196,7 +248,7 @@ class TwitterService {
    * Post a thread (multiple tweets)
    * @param {string} accessToken - Access token
    * @param {Array} tweets - Array of tweet texts
-   * @param {Array} mediaIds - Media IDs for first tweet
+   * @param {Array} mediaIds - Media ID arrays, one per tweet by position
    * @returns {Array} - Posted tweets data
    */
   async postThread(accessToken, tweets, mediaIds = []) {
@@ -208,9 +260,8 @@ class TwitterService {
       for (let i = 0; i < tweets.length; i++) {
         const tweetPayload = { text: tweets[i] };
 
-        // Add media only to first tweet
-        if (i === 0 && mediaIds.length > 0) {
-          tweetPayload.media = { media_ids: mediaIds };
+        if (mediaIds[i] && mediaIds[i].length > 0) {
+          tweetPayload.media = { media_ids: mediaIds[i] };
         }
 
         // Reply to previous tweet (create thread)
@@ -245,12 +296,14 @@ class TwitterService {
 
   /**
    * Upload media for tweet
+   * Uses chunked upload and waits for video/GIF processing to finish
    * @param {string} accessToken - Access token
    * @param {Buffer|string} media - Media buffer or URL
    * @param {string} mimeType - MIME type of media
+   * @param {string} altText - Alt text (images and GIFs only)
    * @returns {string} - Media ID
    */
-  async uploadMedia(accessToken, media, mimeType) {
+  async uploadMedia(accessToken, media, mimeType, altText) {
     try {
       const client = new TwitterApi(accessToken);
       
@@ -262,7 +315,16 @@ class TwitterService {
         mediaBuffer = Buffer.from(response.data);
       }
 
-      const mediaId = await client.v1.uploadMedia(mediaBuffer, { mimeType });
+      const mediaId = await client.v2.uploadMedia(mediaBuffer, {
+        media_type: mimeType,
+        media_category: this.getMediaCategory(mimeType),
+      });
+
+      if (altText && mimeType.startsWith('image/')) {
+        await client.v2.createMediaMetadata(mediaId, {
+          alt_text: { text: altText.slice(0, MAX_ALT_TEXT_LENGTH) },
+        });
+      }
 
       logger.info('Successfully uploaded media to Twitter', { mediaId });
 
@@ -273,6 +335,36 @@ class TwitterService {
     }
   }
 
+  /**
+   * Upload media grouped into tweet-sized attachment sets
+   * @param {string} accessToken - Access token
+   * @param {Array} media - Media items ({ url, mime, alt })
+   * @param {number} tweetCount - Number of tweets the media can be spread across
+   * @returns {Array} - Media ID arrays, one per tweet by position
+   */
+  async uploadMediaForTweets(accessToken, media = [], tweetCount = 1) {
+    const groups = this.groupMedia(media);
+
+    if (groups.length > tweetCount) {
+      logger.warn('Dropping Twitter media that does not fit the tweets', {
+        tweetCount,
+        droppedItems: groups.slice(tweetCount).flat().length,
+      });
+    }
+
+    const mediaIds = [];
+
+    for (const group of groups.slice(0, tweetCount)) {
+      const ids = [];
+      for (const item of group) {
+        ids.push(await this.uploadMedia(accessToken, item.url, item.mime, item.alt));
+      }
+      mediaIds.push(ids);
+    }
+
+    return mediaIds;
+  }
+
   /**
    * Delete a tweet
    * @param {string} accessToken - Access token
@@ -330,14 +422,17 @@ class TwitterService {
    * @param {string} accessToken - Access token
    * @param {string} userId - User ID
    * @param {number} maxResults - Maximum results (default: 10, max: 100)
+   * @param {Object} options - Additional filters
+   * @param {string} options.startTime - Only tweets created at or after this ISO date
    * @returns {Array} - Tweets
    */
-  async getUserTweets(accessToken, userId, maxResults = 10) {
+  async getUserTweets(accessToken, userId, maxResults = 10, { startTime } = {}) {
     try {
       const client = new TwitterApi(accessToken);
       const tweets = await client.v2.userTimeline(userId, {
         max_results: Math.min(maxResults, 100),
         'tweet.fields': ['created_at', 'public_metrics'],
+        ...(startTime && { start_time: startTime }),
       });
 
       return tweets.data.data || [];
@@ -386,33 +481,94 @@ class TwitterService {
     }
   }
 
+  /**
+   * Helper: Rewrap a client error with context
+   * The HTTP status (`code`) and rate limit of twitter-api-v2 errors are kept so failures can be classified
+   * @param {string} context - Message prefix
+   * @param {Error} error - Original error
+   * @returns {Error} - Wrapped error
+   */
+  wrapError(context, error) {
+    const wrapped = new Error(`${context}: ${error.message}`);
+    wrapped.code = error.code;
+    wrapped.rateLimit = error.rateLimit;
+    return wrapped;
+  }
+
   /**
    * Helper: Split long text into tweet-sized chunks
    * @param {string} text - Long text
-   * @param {number} maxLength - Max length per tweet (default: 280)
+   * @param {Object} options - { maxLength (default: 280), numbered }
    * @returns {Array} - Array of tweet texts
    */
-  splitIntoTweets(text, maxLength = 280) {
-    const tweets = [];
-    const words = text.split(' ');
-    let currentTweet = '';
-
-    for (const word of words) {
-      if ((currentTweet + ' ' + word).trim().length <= maxLength) {
-        currentTweet = (currentTweet + ' ' + word).trim();
-      } else {
-        if (currentTweet) {
-          tweets.push(currentTweet);
+  splitIntoTweets(text, { maxLength = MAX_TWEET_LENGTH, numbered = false } = {}) {
+    return splitText(text, maxLength, {
+      measure: value => this.getTweetLength(value),
+      numbered,
+    });
+  }
+
+  /**
+   * Helper: Get the weighted length Twitter counts against the tweet limit
+   * URLs count as 23, emoji as 2, and characters outside the Latin/punctuation ranges as 2
+   * @param {string} text - Tweet text
+   * @returns {number} - Weighted length
+   */
+  getTweetLength(text) {
+    const normalized = (text || '').normalize('NFC');
+    let length = (normalized.match(URL_PATTERN) || []).length * URL_LENGTH;
+
+    for (const part of normalized.split(URL_PATTERN)) {
+      for (const { segment } of graphemeSegmenter.segment(part)) {
+        if (EMOJI_PATTERN.test(segment)) {
+          length += 2;
+          continue;
+        }
+
+        for (const char of segment) {
+          const codePoint = char.codePointAt(0);
+          const isSingle = SINGLE_WEIGHT_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end);
+          length += isSingle ? 1 : 2;
         }
-        currentTweet = word;
       }
     }
 
-    if (currentTweet) {
-      tweets.push(currentTweet);
+    return length;
+  }
+
+  /**
+   * Helper: Get the upload category of a media type
+   * Videos and GIFs need their own category to be processed as such
+   * @param {string} mimeType - MIME type
+   * @returns {string} - tweet_gif, tweet_video or tweet_image
+   */
+  getMediaCategory(mimeType) {
+    if (mimeType === 'image/gif') return 'tweet_gif';
+    if (mimeType.startsWith('video/')) return 'tweet_video';
+    return 'tweet_image';
+  }
+
+  /**
+   * Helper: Group media into attachment sets a single tweet accepts
+   * A tweet carries up to 4 images, or exactly one video or GIF
+   * @param {Array} media - Media items ({ url, mime, alt })
+   * @returns {Array} - Attachment sets in original order
+   */
+  groupMedia(media = []) {
+    const groups = [];
+
+    for (const item of media) {
+      const isImage = item.mime.startsWith('image/') && item.mime !== 'image/gif';
+      const current = groups[groups.length - 1];
+
+      if (isImage && current && current.isImages && current.items.length < MAX_IMAGES_PER_TWEET) {
+        current.items.push(item);
+      } else {
+        groups.push({ isImages: isImage, items: [item] });
+      }
     }
 
-    return tweets;
+    return groups.map(group => group.items);
   }
 }
 
@@ -0,0 +1,350 @@
+/**
+ * YouTube Integration Service
+ * Handles OAuth 2.0, resumable video uploads, and analytics via the YouTube Data API v3
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { socialPlatformLogger: logger } = require('../../utils/logger');
+
+// Resumable upload chunks must be a multiple of 256KB
+const UPLOAD_CHUNK_SIZE = 32 * 256 * 1024;
+
+class YouTubeService {
+  constructor() {
+    this.clientId = process.env.YOUTUBE_CLIENT_ID;
+    this.clientSecret = process.env.YOUTUBE_CLIENT_SECRET;
+    this.baseUrl = 'https://www.googleapis.com/youtube/v3';
+    this.uploadUrl = 'https://www.googleapis.com/upload/youtube/v3/videos';
+    this.tokenUrl = 'https://oauth2.googleapis.com/token';
+  }
+
+  /**
+   * Get OAuth authorization URL
+   * @param {string} redirectUri - Callback URL
+   * @param {Array} scopes - Required permissions
+   * @returns {Object} - Authorization URL and state
+   */
+  getAuthorizationUrl(redirectUri, scopes = []) {
+    const defaultScopes = [
+      'https://www.googleapis.com/auth/youtube.upload',
+      'https://www.googleapis.com/auth/youtube.readonly',
+      'https://www.googleapis.com/auth/youtube.force-ssl',
+    ];
+
+    const allScopes = [...new Set([...defaultScopes, ...scopes])];
+    const state = this.generateState();
+
+    const params = new URLSearchParams({
+      client_id: this.clientId,
+      redirect_uri: redirectUri,
+      response_type: 'code',
+      scope: allScopes.join(' '),
+      access_type: 'offline',
+      prompt: 'consent',
+      state,
+    });
+
+    return {
+      url: `https://accounts.google.com/o/oauth2/v2/auth?${params.toString()}`,
+      state,
+    };
+  }
+
+  /**
+   * Exchange authorization code for access token
+   * @param {string} code - Authorization code
+   * @param {string} redirectUri - Callback URL
+   * @returns {Object} - Token data
+   */
+  async getAccessToken(code, redirectUri) {
+    try {
+      const params = new URLSearchParams({
+        code,
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+        redirect_uri: redirectUri,
+        grant_type: 'authorization_code',
+      });
+
+      const response = await axios.post(this.tokenUrl, params.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      });
+
+      logger.info('YouTube access token obtained successfully');
+
+      return {
+        accessToken: response.data.access_token,
+        refreshToken: response.data.refresh_token,
+        expiresIn: response.data.expires_in,
+        scopes: response.data.scope ? response.data.scope.split(' ') : [],
+      };
+    } catch (error) {
+      logger.error('Failed to get YouTube access token', { error: error.message });
+      throw new Error(`YouTube OAuth error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Refresh access token
+   * @param {string} refreshToken - Refresh token
+   * @returns {Object} - New token data
+   */
+  async refreshAccessToken(refreshToken) {
+    try {
+      const params = new URLSearchParams({
+        refresh_token: refreshToken,
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+        grant_type: 'refresh_token',
+      });
+
+      const response = await axios.post(this.tokenUrl, params.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      });
+
+      logger.info('YouTube token refreshed successfully');
+
+      return {
+        accessToken: response.data.access_token,
+        // Google only returns a new refresh token when the old one is rotated
+        refreshToken: response.data.refresh_token || refreshToken,
+        expiresIn: response.data.expires_in,
+      };
+    } catch (error) {
+      logger.error('Failed to refresh YouTube token', { error: error.message });
+      throw new Error(`YouTube token refresh error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Get the authenticated user's channel
+   * @param {string} accessToken - Access token
+   * @returns {Object} - Channel data
+   */
+  async getChannelInfo(accessToken) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/channels`, {
+        params: { part: 'snippet,statistics', mine: true },
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+
+      const channel = response.data.items?.[0];
+
+      if (!channel) {
+        throw new Error('No YouTube channel found for this account');
+      }
+
+      return {
+        id: channel.id,
+        title: channel.snippet.title,
+        customUrl: channel.snippet.customUrl,
+        thumbnailUrl: channel.snippet.thumbnails?.default?.url,
+        metrics: {
+          subscriberCount: parseInt(channel.statistics?.subscriberCount) || 0,
+          videoCount: parseInt(channel.statistics?.videoCount) || 0,
+          viewCount: parseInt(channel.statistics?.viewCount) || 0,
+        },
+      };
+    } catch (error) {
+      logger.error('Failed to get YouTube channel info', { error: error.message });
+      throw new Error(`YouTube channel error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Upload a video using the resumable upload protocol
+   * @param {string} accessToken - Access token
+   * @param {Object} videoData - Video content and settings
+   * @returns {Object} - Uploaded video data
+   */
+  async uploadVideo(accessToken, videoData) {
+    try {
+      const {
+        videoUrl,
+        mimeType = 'video/mp4',
+        title,
+        description,
+        tags = [],
+        categoryId,
+        privacyStatus = 'public',
+        publishAt,
+        madeForKids = false,
+        isShort = false,
+      } = videoData;
+
+      if (!videoUrl) {
+        throw new Error('YouTube posts require a video');
+      }
+
+      const videoBuffer = await this.downloadMedia(videoUrl);
+
+      const metadata = {
+        snippet: {
+          title,
+          description,
+          tags,
+          ...(categoryId && { categoryId }),
+        },
+        status: {
+          // Scheduled videos must stay private until publishAt
+          privacyStatus: publishAt ? 'private' : privacyStatus,
+          ...(publishAt && { publishAt: new Date(publishAt).toISOString() }),
+          selfDeclaredMadeForKids: madeForKids,
+        },
+      };
+
+      // Start the resumable session
+      const sessionResponse = await axios.post(this.uploadUrl, metadata, {
+        params: { uploadType: 'resumable', part: 'snippet,status' },
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/json; charset=UTF-8',
+          'X-Upload-Content-Length': videoBuffer.length,
+          'X-Upload-Content-Type': mimeType,
+        },
+      });
+
+      const sessionUrl = sessionResponse.headers.location;
+      const video = await this.uploadChunks(accessToken, sessionUrl, videoBuffer, mimeType);
+
+      logger.info('Successfully uploaded video to YouTube', { videoId: video.id, isShort });
+
+      return {
+        id: video.id,
+        platform: 'youtube',
+        url: isShort
+          ? `https://www.youtube.com/shorts/${video.id}`
+          : `https://www.youtube.com/watch?v=${video.id}`,
+        privacyStatus: video.status?.privacyStatus,
+        publishAt: video.status?.publishAt,
+      };
+    } catch (error) {
+      logger.error('Failed to upload video to YouTube', { error: error.message });
+      throw new Error(`YouTube upload error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Upload video bytes to a resumable session in chunks
+   * @param {string} accessToken - Access token
+   * @param {string} sessionUrl - Resumable session URL
+   * @param {Buffer} videoBuffer - Video data
+   * @param {string} mimeType - Video MIME type
+   * @returns {Object} - Video resource
+   */
+  async uploadChunks(accessToken, sessionUrl, videoBuffer, mimeType) {
+    const totalSize = videoBuffer.length;
+    let start = 0;
+
+    while (start < totalSize) {
+      const end = Math.min(start + UPLOAD_CHUNK_SIZE, totalSize);
+      const chunk = videoBuffer.subarray(start, end);
+
+      const response = await axios.put(sessionUrl, chunk, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': mimeType,
+          'Content-Length': chunk.length,
+          'Content-Range': `bytes ${start}-${end - 1}/${totalSize}`,
+        },
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity,
+        // 308 Resume Incomplete signals the chunk was accepted
+        validateStatus: status => (status >= 200 && status < 300) || status === 308,
+      });
+
+      if (response.status !== 308) {
+        return response.data;
+      }
+
+      // Continue from the last byte the server acknowledged
+      const range = response.headers.range;
+      start = range ? parseInt(range.split('-')[1]) + 1 : end;
+    }
+
+    throw new Error('YouTube upload finished without a video resource');
+  }
+
+  /**
+   * Delete a video
+   * @param {string} accessToken - Access token
+   * @param {string} videoId - Video ID
+   * @returns {boolean} - Success status
+   */
+  async deleteVideo(accessToken, videoId) {
+    try {
+      await axios.delete(`${this.baseUrl}/videos`, {
+        params: { id: videoId },
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+
+      logger.info('Successfully deleted YouTube video', { videoId });
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to delete YouTube video', { error: error.message, videoId });
+      throw new Error(`YouTube delete error: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Get video statistics
+   * @param {string} accessToken - Access token
+   * @param {string} videoId - Video ID
+   * @returns {Object} - Analytics data
+   */
+  async getVideoAnalytics(accessToken, videoId) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/videos`, {
+        params: { part: 'statistics', id: videoId },
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+
+      const statistics = response.data.items?.[0]?.statistics || {};
+
+      return {
+        views: parseInt(statistics.viewCount) || 0,
+        likes: parseInt(statistics.likeCount) || 0,
+        comments: parseInt(statistics.commentCount) || 0,
+      };
+    } catch (error) {
+      logger.error('Failed to get YouTube video analytics', { error: error.message, videoId });
+      throw error;
+    }
+  }
+
+  /**
+   * Helper: Download media into a buffer
+   * @param {string} url - Media URL
+   * @returns {Buffer} - Media data
+   */
+  async downloadMedia(url) {
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      maxContentLength: Infinity,
+    });
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * Helper: Extract error message from Google API error
+   * @param {Error} error - Axios error
+   * @returns {string} - Error message
+   */
+  getErrorMessage(error) {
+    return error.response?.data?.error?.message
+      || error.response?.data?.error_description
+      || error.message;
+  }
+
+  /**
+   * Helper: Generate random state for OAuth
+   * @returns {string} - Random state string
+   */
+  generateState() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+}
+
+module.exports = new YouTubeService();
@@ -0,0 +1,245 @@
+/**
+ * Token Refresh Service
+ * Renews access tokens before they expire and warns account owners about tokens that cannot be renewed
+ */
+
+const queueService = require('./queue/queue.service');
+const NotificationService = require('./notification.service');
+const AccountHealthService = require('./account-health.service');
+const platformRegistry = require('./social-platforms/platform-registry');
+const encryptionService = require('../utils/encryption');
+const { classifyError } = require('../utils/error-classifier');
+const { queueLogger: logger } = require('../utils/logger');
+
+const ACCOUNT_UID = 'api::social-media-account.social-media-account';
+const HOUR = 60 * 60 * 1000;
+// Owners are warned this long before a token that will not be renewed expires
+const EXPIRY_NOTICE_WINDOW = (parseInt(process.env.TOKEN_EXPIRY_NOTICE_HOURS) || 72) * HOUR;
+
+class TokenRefreshService {
+  constructor(strapi) {
+    this.strapi = strapi;
+    this.notificationService = new NotificationService(strapi);
+    this.accountHealthService = new AccountHealthService(strapi);
+  }
+
+  /**
+   * How long before expiry a platform's tokens are renewed
+   * @param {string} platform - Platform name
+   * @returns {number} - Window in milliseconds
+   */
+  getRefreshWindow(platform) {
+    return platformRegistry.get(platform).capabilities.refreshBefore * 1000;
+  }
+
+  /**
+   * Whether the account's token can be renewed without reconnecting
+   * @param {Object} account - Social media account
+   * @returns {boolean} - Whether it can be refreshed
+   */
+  canRefresh(account) {
+    return platformRegistry.has(account.platform) && platformRegistry.get(account.platform).canRefresh(account);
+  }
+
+  /**
+   * Find connected accounts whose token expires soon
+   * Accounts marked error after failing calls are included, since a refresh may be what brings them back
+   * - renewable tokens inside their platform's refresh window get a refresh job
+   * - other tokens inside the notice window get one warning to the owner
+   * - other tokens past their expiry are marked expired
+   * @param {Date} now - Reference time
+   * @returns {Object} - Document IDs by outcome { refreshing, notified, expired }
+   */
+  async sweep(now = new Date()) {
+    const windows = platformRegistry.getPlatforms().map(platform => this.getRefreshWindow(platform));
+    const horizon = new Date(now.getTime() + Math.max(EXPIRY_NOTICE_WINDOW, ...windows));
+
+    const accounts = await this.strapi.documents(ACCOUNT_UID).findMany({
+      filters: {
+        isActive: true,
+        connectionStatus: { $in: ['connected', 'error'] },
+        tokenExpiry: { $notNull: true, $lte: horizon.toISOString() },
+      },
+    });
+
+    const summary = { refreshing: [], notified: [], expired: [] };
+
+    for (const account of accounts) {
+      const remaining = new Date(account.tokenExpiry).getTime() - now.getTime();
+
+      try {
+        if (this.canRefresh(account)) {
+          if (remaining <= this.getRefreshWindow(account.platform)) {
+            await this.queueRefresh(account);
+            summary.refreshing.push(account.documentId);
+          }
+        } else if (remaining <= 0) {
+          await this.markExpired(account, 'Access token expired and cannot be refreshed; reconnect the account');
+          summary.expired.push(account.documentId);
+        } else if (remaining <= EXPIRY_NOTICE_WINDOW) {
+          if (await this.notifyExpiring(account, 'cannot be refreshed automatically')) {
+            summary.notified.push(account.documentId);
+          }
+        }
+      } catch (error) {
+        logger.error('Token refresh sweep failed for account', {
+          accountId: account.documentId,
+          error: error.message,
+        });
+      }
+    }
+
+    logger.info('Token refresh sweep completed', {
+      checked: accounts.length,
+      refreshing: summary.refreshing.length,
+      notified: summary.notified.length,
+      expired: summary.expired.length,
+    });
+
+    return summary;
+  }
+
+  /**
+   * Queue a token refresh for an account
+   * The job ID is per account, so sweeps running while a refresh is pending do not queue another
+   * @param {Object} account - Social media account
+   * @returns {Job} - Job instance
+   */
+  async queueRefresh(account) {
+    return await queueService.addJob('token-refresh', {
+      type: 'refresh-account',
+      accountId: account.documentId,
+    }, {
+      jobId: `refresh-${account.documentId}`,
+      removeOnComplete: true,
+      removeOnFail: true,
+      backoff: { type: 'exponential', delay: 60000 },
+    });
+  }
+
+  /**
+   * Refresh the access token of an account
+   * A refresh the platform rejects, or any failure once the token has expired, marks the account expired and
+   * notifies the owner; other failures count toward the account's failure streak and are rethrown so the job is
+   * retried
+   * @param {Object} account - Social media account (tokens encrypted)
+   * @returns {Object} - { success, tokenExpiry } | { success: false, expired: true, error } | { skipped, reason }
+   */
+  async refreshAccount(account) {
+    if (!this.canRefresh(account)) {
+      return {
+        skipped: true,
+        reason: platformRegistry.supports(account.platform, 'refresh')
+          ? `No refresh credentials stored for this ${account.platform} account; reconnect it`
+          : `Token refresh not supported for ${account.platform}`,
+      };
+    }
+
+    try {
+      const newTokenData = await platformRegistry.get(account.platform).refresh({
+        accessToken: encryptionService.decrypt(account.accessToken),
+        refreshToken: encryptionService.decrypt(account.refreshToken),
+      }, account);
+
+      // Tokens without an expiry (Facebook page tokens) do not expire
+      const tokenExpiry = newTokenData.expiresIn ? new Date(Date.now() + newTokenData.expiresIn * 1000) : null;
+
+      await this.strapi.documents(ACCOUNT_UID).update({
+        documentId: account.documentId,
+        data: {
+          accessToken: encryptionService.encrypt(newTokenData.accessToken),
+          refreshToken: newTokenData.refreshToken
+            ? encryptionService.encrypt(newTokenData.refreshToken)
+            : account.refreshToken,
+          tokenExpiry,
+          tokenExpiryNotifiedAt: null,
+          connectionStatus: 'connected',
+          lastError: null,
+          errorCount: 0,
+        },
+      });
+
+      logger.info('Token refreshed successfully', { accountId: account.documentId, platform: account.platform });
+
+      return { success: true, tokenExpiry };
+    } catch (error) {
+      const { retryable } = classifyError(error);
+      const tokenExpired = !account.tokenExpiry || new Date(account.tokenExpiry) <= new Date();
+
+      logger.error('Failed to refresh token', {
+        accountId: account.documentId,
+        platform: account.platform,
+        retryable,
+        error: error.message,
+      });
+
+      if (!retryable || tokenExpired) {
+        await this.markExpired(account, `Token refresh failed: ${error.message}`);
+        return { success: false, expired: true, error: error.message };
+      }
+
+      await this.accountHealthService.recordFailure(account, error, 'Token refresh');
+
+      if (new Date(account.tokenExpiry).getTime() - Date.now() <= EXPIRY_NOTICE_WINDOW) {
+        await this.notifyExpiring(account, `could not be refreshed (${error.message})`);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an account expired and tell its owner to reconnect it
+   * @param {Object} account - Social media account
+   * @param {string} reason - Stored as lastError
+   */
+  async markExpired(account, reason) {
+    await this.strapi.documents(ACCOUNT_UID).update({
+      documentId: account.documentId,
+      data: {
+        connectionStatus: 'expired',
+        lastError: reason,
+        errorCount: (account.errorCount || 0) + 1,
+      },
+    });
+
+    await this.notificationService.notifyAccountOwner(account, 'token-expired', {
+      subject: `Reconnect your ${account.platform} account ${account.name}`,
+      message: `${account.name} (${account.platform}) has been disconnected: ${reason}. `
+        + 'Posts to this account will fail until it is reconnected.',
+      details: { reason, tokenExpiry: account.tokenExpiry },
+    });
+  }
+
+  /**
+   * Warn the owner that the account's token expires soon
+   * Sent once per token: a warning already sent inside this token's notice window is not repeated
+   * @param {Object} account - Social media account
+   * @param {string} reason - Why the token will not be renewed
+   * @returns {boolean} - Whether a warning was queued
+   */
+  async notifyExpiring(account, reason) {
+    const tokenExpiry = new Date(account.tokenExpiry);
+    const noticeStart = new Date(tokenExpiry.getTime() - EXPIRY_NOTICE_WINDOW);
+
+    if (account.tokenExpiryNotifiedAt && new Date(account.tokenExpiryNotifiedAt) >= noticeStart) {
+      return false;
+    }
+
+    const job = await this.notificationService.notifyAccountOwner(account, 'token-expiring', {
+      subject: `Your ${account.platform} account ${account.name} expires soon`,
+      message: `The access token of ${account.name} (${account.platform}) expires at ${tokenExpiry.toISOString()} `
+        + `and ${reason}. Reconnect the account before then to keep publishing.`,
+      details: { reason, tokenExpiry: tokenExpiry.toISOString() },
+    });
+
+    await this.strapi.documents(ACCOUNT_UID).update({
+      documentId: account.documentId,
+      data: { tokenExpiryNotifiedAt: new Date() },
+    });
+
+    return Boolean(job);
+  }
+}
+
+module.exports = TokenRefreshService;
@@ -0,0 +1,312 @@
+/**
+ * Validation Service
+ * Rule engine that checks a post against the constraints of every target account before publishing
+ */
+
+const platformRegistry = require('./social-platforms/platform-registry');
+const { apiLogger: logger } = require('../utils/logger');
+
+const MB = 1024 * 1024;
+const HASHTAG_PATTERN = /(^|\s)#[^\s#]+/g;
+
+/**
+ * Helper: Get the media family (image, video) of a Strapi media item
+ * @param {Object} item - Media item
+ * @returns {string} - MIME family
+ */
+const getMediaFamily = (item) => (item.mime || '').split('/')[0];
+
+/**
+ * Helper: Get the size of a Strapi media item in bytes (Strapi stores KB)
+ * @param {Object} item - Media item
+ * @returns {number|null} - Size in bytes
+ */
+const getMediaSize = (item) => (typeof item.size === 'number' ? item.size * 1024 : null);
+
+const formatSize = (bytes) => `${Math.round((bytes / MB) * 10) / 10} MB`;
+
+/**
+ * Built-in rules
+ * Each rule receives the validation context and returns a list of issues
+ */
+const DEFAULT_RULES = [
+  {
+    // Unhealthy accounts are skipped by publishing with their exclusion reason, so the post can still go out
+    name: 'account.connection',
+    check({ account }) {
+      const issues = [];
+
+      if (!account.isActive) {
+        issues.push({
+          severity: 'warning',
+          message: `${account.name} will be skipped: account is deactivated`,
+        });
+      } else if (account.connectionStatus !== 'connected') {
+        issues.push({
+          severity: 'warning',
+          message: `${account.name} will be skipped: account is ${account.connectionStatus || 'not connected'}; reconnect it`,
+        });
+      }
+
+      if (account.tokenExpiry && new Date(account.tokenExpiry) <= new Date()) {
+        issues.push({
+          severity: 'warning',
+          message: `${account.name} will be skipped: access token expired at `
+            + `${new Date(account.tokenExpiry).toISOString()}; refresh or reconnect the account`,
+        });
+      }
+
+      return issues;
+    },
+  },
+  {
+    name: 'text.length',
+    check({ preview }) {
+      return preview.errors.map(message => ({ severity: 'error', message }));
+    },
+  },
+  {
+    name: 'text.hashtags',
+    check({ capabilities, preview }) {
+      const count = (preview.text.match(HASHTAG_PATTERN) || []).length;
+
+      if (capabilities.maxHashtags && count > capabilities.maxHashtags) {
+        return [{
+          severity: 'error',
+          message: `${count} hashtags exceed the limit of ${capabilities.maxHashtags}`,
+        }];
+      }
+
+      return [];
+    },
+  },
+  {
+    name: 'text.links',
+    check({ capabilities, preview }) {
+      if (!capabilities.clickableLinks && /https?:\/\//.test(preview.text)) {
+        return [{
+          severity: 'warning',
+          message: 'Links in the text are not clickable on this platform',
+        }];
+      }
+
+      return [];
+    },
+  },
+  {
+    name: 'media.count',
+    check({ capabilities, media }) {
+      const { required, maxItems } = capabilities.media;
+      const usable = media.filter(item => capabilities.media.types.includes(getMediaFamily(item)));
+
+      if (required && usable.length === 0) {
+        return [{
+          severity: 'error',
+          message: `At least one ${capabilities.media.types.join(' or ')} is required`,
+        }];
+      }
+
+      if (maxItems && usable.length > maxItems) {
+        return [{
+          severity: 'warning',
+          message: `${usable.length} media items attached; only the first ${maxItems} will be published`,
+        }];
+      }
+
+      return [];
+    },
+  },
+  {
+    name: 'media.type',
+    check({ capabilities, media }) {
+      return media
+        .filter(item => !capabilities.media.types.includes(getMediaFamily(item)))
+        .map(item => ({
+          severity: 'warning',
+          message: `${item.name || 'Media item'} (${item.mime || 'unknown type'}) is not supported and will be skipped`,
+          mediaId: item.id,
+        }));
+    },
+  },
+  {
+    name: 'media.size',
+    check({ capabilities, media }) {
+      const issues = [];
+
+      for (const item of media) {
+        const family = getMediaFamily(item);
+        const size = getMediaSize(item);
+        const limit = family === 'image' ? capabilities.media.maxImageSize : capabilities.media.maxVideoSize;
+
+        if (size && limit && size > limit) {
+          issues.push({
+            severity: 'error',
+            message: `${item.name || 'Media item'} is ${formatSize(size)}, over the ${family} limit of ${formatSize(limit)}`,
+            mediaId: item.id,
+          });
+        }
+      }
+
+      return issues;
+    },
+  },
+  {
+    name: 'media.aspectRatio',
+    check({ capabilities, media }) {
+      const range = capabilities.media.aspectRatio;
+      if (!range) return [];
+
+      return media
+        .filter(item => getMediaFamily(item) === 'image' && item.width && item.height)
+        .filter(item => {
+          const ratio = item.width / item.height;
+          return ratio < range.min || ratio > range.max;
+        })
+        .map(item => ({
+          severity: 'error',
+          message: `${item.name || 'Image'} has aspect ratio ${(item.width / item.height).toFixed(2)}, outside ${range.min}–${range.max}`,
+          mediaId: item.id,
+        }));
+    },
+  },
+  {
+    name: 'media.duration',
+    check({ capabilities, media }) {
+      const range = capabilities.media.videoDuration;
+      if (!range) return [];
+
+      // Duration is only known when the upload provider records it
+      return media
+        .filter(item => getMediaFamily(item) === 'video' && typeof item.duration === 'number')
+        .filter(item => item.duration < range.min || item.duration > range.max)
+        .map(item => ({
+          severity: 'error',
+          message: `${item.name || 'Video'} is ${Math.round(item.duration)}s long, outside ${range.min}–${range.max}s`,
+          mediaId: item.id,
+        }));
+    },
+  },
+];
+
+class ValidationService {
+  constructor() {
+    this.rules = [...DEFAULT_RULES];
+  }
+
+  /**
+   * Register an additional rule
+   * @param {Object} rule - { name, check(context) => issues, platforms (optional) }
+   * @returns {ValidationService} - Service instance
+   */
+  registerRule(rule) {
+    if (!rule || !rule.name || typeof rule.check !== 'function') {
+      throw new Error('Validation rule must define a name and a check function');
+    }
+
+    this.rules.push(rule);
+
+    return this;
+  }
+
+  /**
+   * Validate a post against every target account
+   * @param {Object} post - Post entity with media
+   * @param {Array} accounts - Social media accounts
+   * @returns {Object} - { valid, errors, warnings, accounts }
+   */
+  async validatePost(post, accounts = []) {
+    const errors = [];
+    const warnings = [];
+    const results = [];
+
+    if (accounts.length === 0) {
+      errors.push({ rule: 'post.accounts', severity: 'error', message: 'No social media accounts connected to this post' });
+    }
+
+    for (const account of accounts) {
+      const issues = await this.validateAccount(post, account);
+      const accountErrors = issues.filter(issue => issue.severity === 'error');
+      const accountWarnings = issues.filter(issue => issue.severity === 'warning');
+
+      results.push({
+        accountId: account.documentId,
+        accountName: account.name,
+        platform: account.platform,
+        valid: accountErrors.length === 0,
+        errors: accountErrors,
+        warnings: accountWarnings,
+      });
+
+      errors.push(...accountErrors.map(issue => ({ ...issue, accountId: account.documentId, platform: account.platform })));
+      warnings.push(...accountWarnings.map(issue => ({ ...issue, accountId: account.documentId, platform: account.platform })));
+    }
+
+    const skipped = results.filter(result => result.warnings.some(issue => issue.rule === 'account.connection'));
+
+    if (accounts.length > 0 && skipped.length === accounts.length) {
+      errors.push({
+        rule: 'post.accounts',
+        severity: 'error',
+        message: 'Every account of this post would be skipped; reconnect at least one before publishing',
+      });
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      warnings,
+      accounts: results,
+    };
+  }
+
+  /**
+   * Run every rule for one account
+   * @param {Object} post - Post entity
+   * @param {Object} account - Social media account
+   * @returns {Array} - Issues ({ rule, severity, message })
+   */
+  async validateAccount(post, account) {
+    if (!platformRegistry.has(account.platform)) {
+      return [{ rule: 'platform.supported', severity: 'error', message: `Platform ${account.platform} not supported` }];
+    }
+
+    const adapter = platformRegistry.get(account.platform);
+    const platformConfig = post.platforms?.find(p => p.platform === account.platform) || {};
+
+    let preview;
+    try {
+      preview = await adapter.preview(account, post, platformConfig);
+    } catch (error) {
+      return [{ rule: 'text.render', severity: 'error', message: `Failed to render post: ${error.message}` }];
+    }
+
+    const context = {
+      post,
+      account,
+      adapter,
+      platformConfig,
+      preview,
+      capabilities: adapter.capabilities,
+      media: (post.media || []).filter(item => typeof item !== 'string'),
+    };
+
+    const issues = [];
+
+    for (const rule of this.rules) {
+      if (rule.platforms && !rule.platforms.includes(account.platform)) continue;
+
+      try {
+        const ruleIssues = await rule.check(context);
+        issues.push(...ruleIssues.map(issue => ({ rule: rule.name, ...issue })));
+      } catch (error) {
+        logger.error('Validation rule failed', { rule: rule.name, platform: account.platform, error: error.message });
+        issues.push({ rule: rule.name, severity: 'warning', message: `Rule could not be checked: ${error.message}` });
+      }
+    }
+
+    return issues;
+  }
+}
+
+// Export singleton instance
+module.exports = new ValidationService();
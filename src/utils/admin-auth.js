@@ -0,0 +1,48 @@
+/**
+ * Admin Auth Strategy
+ * Authenticates content API routes with an admin panel access token, for actions tied to an admin user
+ */
+
+/**
+ * Authenticate the request from its `Authorization: Bearer <admin access token>` header
+ * Mirrors the admin panel strategy: the token must belong to an active session of an active user
+ * @param {Object} ctx - Koa context
+ * @returns {Object} - { authenticated, credentials }
+ */
+const authenticate = async (ctx) => {
+  const [scheme, token, ...rest] = (ctx.request.header.authorization || '').split(/\s+/);
+
+  if (scheme?.toLowerCase() !== 'bearer' || !token || rest.length > 0) {
+    return { authenticated: false };
+  }
+
+  const manager = strapi.sessionManager;
+
+  if (!manager) {
+    return { authenticated: false };
+  }
+
+  const result = manager('admin').validateAccessToken(token);
+
+  if (!result.isValid || !(await manager('admin').isSessionActive(result.payload.sessionId))) {
+    return { authenticated: false };
+  }
+
+  const userId = Number(result.payload.userId);
+  const user = await strapi.db.query('admin::user').findOne({
+    where: { id: Number.isFinite(userId) ? userId : result.payload.userId },
+  });
+
+  if (!user || user.isActive !== true) {
+    return { authenticated: false };
+  }
+
+  ctx.state.user = user;
+
+  return { authenticated: true, credentials: user };
+};
+
+module.exports = {
+  name: 'admin-user',
+  authenticate,
+};
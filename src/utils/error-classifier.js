@@ -0,0 +1,88 @@
+/**
+ * Error Classifier Utility
+ * Sorts platform publishing errors into retryable and permanent failures
+ */
+
+// Checked in order; rate limits before validation so "limit exceeded" is not read as a validation error
+const ERROR_TYPES = [
+  {
+    // Accounts skipped without calling the platform; the reason may quote any earlier error
+    type: 'account',
+    retryable: false,
+    statuses: [],
+    pattern: /^account excluded from publishing/i,
+  },
+  {
+    type: 'rate_limit',
+    retryable: true,
+    statuses: [429],
+    pattern: /rate.?limit|too many requests|quota exceeded|throttl/i,
+  },
+  {
+    type: 'auth',
+    retryable: false,
+    statuses: [401, 403],
+    pattern: /unauthori[sz]ed|forbidden|oauth|authenticat|permission|scope|(access|refresh)?.?token.{0,20}(expired|revoked|invalid)|invalid.{0,10}token|reconnect/i,
+  },
+  {
+    // An earlier attempt may have posted; repeating it could publish twice
+    type: 'interrupted',
+    retryable: false,
+    statuses: [],
+    pattern: /interrupted/i,
+  },
+  {
+    type: 'validation',
+    retryable: false,
+    statuses: [400, 404, 413, 415, 422],
+    pattern: /invalid|too long|too large|exceed|not supported|unsupported|duplicate|required|not allowed|failed validation/i,
+  },
+];
+
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'ECONNABORTED'];
+
+/**
+ * Get the HTTP status of an error
+ * Platform services rethrow axios errors as plain Errors, so the status is also read from the message
+ * ("status code 401" from axios, "code 401" from twitter-api-v2)
+ * @param {Error|Object|string} error - Error
+ * @returns {number|null} - HTTP status
+ */
+const getStatus = (error) => {
+  const status = error?.status || error?.statusCode || error?.response?.status;
+  if (status) return Number(status);
+
+  // twitter-api-v2 response errors carry the HTTP status as a numeric `code`; network errors use string codes
+  if (typeof error?.code === 'number' && error.code >= 100 && error.code < 600) return error.code;
+
+  const match = String(error?.message || error || '').match(/(?:status )?code (\d{3})\b/i);
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Classify a publishing error
+ * Network failures, server errors and anything unrecognised are treated as transient
+ * @param {Error|Object|string} error - Error, stored error record or message
+ * @returns {Object} - { type: 'account'|'rate_limit'|'auth'|'interrupted'|'validation'|'transient', retryable }
+ */
+const classifyError = (error) => {
+  const status = getStatus(error);
+  const message = String(error?.message || error?.error || error || '');
+
+  if (NETWORK_CODES.includes(error?.code) || (status && status >= 500)) {
+    return { type: 'transient', retryable: true };
+  }
+
+  const match = ERROR_TYPES.find(({ statuses }) => statuses.includes(status))
+    || ERROR_TYPES.find(({ pattern }) => pattern.test(message));
+
+  if (match) {
+    return { type: match.type, retryable: match.retryable };
+  }
+
+  return { type: 'transient', retryable: true };
+};
+
+module.exports = {
+  classifyError,
+};
@@ -0,0 +1,169 @@
+/**
+ * Markdown Utility
+ * Renders richtext (markdown) post content into the formatting each platform supports
+ */
+
+const URL_PATTERN = /https?:\/\/[^\s<>"]+/g;
+// Sentence punctuation that ends a URL; closing brackets are checked for a matching opener
+const TRAILING_PUNCTUATION = /[.,;:!?'"]$/;
+// Emphasis and code markers closing around a URL, as in **https://example.com**
+const TRAILING_MARKERS = /[*~`]+$/;
+const CLOSING_BRACKETS = { ')': '(', ']': '[' };
+// Mentions (@user, @user@instance, @handle.bsky.social), hashtags and __dunder__ identifiers
+const MENTION_PATTERN = /(^|[^\w@])(@\w(?:[\w.-]*\w)?(?:@\w(?:[\w.-]*\w)?)?)/g;
+const HASHTAG_PATTERN = /(^|[^\w&#])(#[\p{L}\p{N}_]+)/gu;
+const IDENTIFIER_PATTERN = /(^|[^\w])(__[A-Za-z][A-Za-z0-9]*__)(?!\w)/g;
+// Placeholders hold no letters, digits or markdown markers, so no pass changes them
+const MASK_OPEN = '\uE000';
+const MASK_CLOSE = '\uE001';
+const MASK_BASE = 0xe100;
+const MASKED_PATTERN = /\uE000([\uE100-\uF8FE])\uE001/g;
+// Instagram drops empty lines; a braille blank keeps paragraph spacing visible
+const INSTAGRAM_BLANK_LINE = '⠀';
+
+const UNICODE_STYLES = {
+  bold: { upper: 0x1d5d4, lower: 0x1d5ee, digit: 0x1d7ec },
+  italic: { upper: 0x1d608, lower: 0x1d622, digit: null },
+};
+
+/**
+ * Convert letters and digits to Unicode mathematical sans-serif characters
+ * @param {string} text - Text
+ * @param {string} style - 'bold' or 'italic'
+ * @returns {string} - Styled text
+ */
+const toUnicodeStyle = (text, style) => {
+  const { upper, lower, digit } = UNICODE_STYLES[style];
+
+  return Array.from(text, (char) => {
+    if (char >= 'A' && char <= 'Z') return String.fromCodePoint(upper + char.charCodeAt(0) - 65);
+    if (char >= 'a' && char <= 'z') return String.fromCodePoint(lower + char.charCodeAt(0) - 97);
+    if (digit && char >= '0' && char <= '9') return String.fromCodePoint(digit + char.charCodeAt(0) - 48);
+    return char;
+  }).join('');
+};
+
+/**
+ * Remove the punctuation that ends a sentence after a URL
+ * A closing bracket is kept when the URL opened it, as in https://en.wikipedia.org/wiki/Foo_(bar)
+ * @param {string} url - URL as matched in the text
+ * @returns {string} - URL
+ */
+const trimUrl = (url) => {
+  let trimmed = url;
+
+  for (;;) {
+    const last = trimmed.slice(-1);
+    const opener = CLOSING_BRACKETS[last];
+    const count = (char) => trimmed.split(char).length - 1;
+
+    if (TRAILING_PUNCTUATION.test(last) || (opener && count(opener) < count(last))) {
+      trimmed = trimmed.slice(0, -1);
+    } else {
+      return trimmed;
+    }
+  }
+};
+
+/**
+ * Helper: Replace URLs, mentions, hashtags and identifiers with placeholders
+ * @param {string} text - Text
+ * @param {Array} masked - Receives the replaced values
+ * @returns {string} - Text with placeholders
+ */
+const mask = (text, masked) => {
+  const placeholder = (value) => {
+    masked.push(value);
+    return `${MASK_OPEN}${String.fromCharCode(MASK_BASE + masked.length - 1)}${MASK_CLOSE}`;
+  };
+
+  return text
+    .replace(URL_PATTERN, (match) => {
+      let url = match;
+
+      for (let previous; previous !== url;) {
+        previous = url;
+        url = trimUrl(url.replace(TRAILING_MARKERS, ''));
+      }
+
+      return placeholder(url) + match.slice(url.length);
+    })
+    .replace(MENTION_PATTERN, (match, before, mention) => before + placeholder(mention))
+    .replace(HASHTAG_PATTERN, (match, before, hashtag) => before + placeholder(hashtag))
+    .replace(IDENTIFIER_PATTERN, (match, before, identifier) => before + placeholder(identifier));
+};
+
+/**
+ * Helper: Put the values replaced by mask back
+ * @param {string} text - Text with placeholders
+ * @param {Array} masked - Values from mask
+ * @returns {string} - Text
+ */
+const unmask = (text, masked) => text.replace(MASKED_PATTERN, (match, index) => masked[index.charCodeAt(0) - MASK_BASE]);
+
+/**
+ * Render markdown as plain text
+ * Hashtags, mentions, bare URLs and __dunder__ identifiers are left untouched; use ** for bold single words
+ * @param {string} markdown - Markdown text
+ * @param {Object} options - Render options
+ * @param {string} options.emphasis - 'strip' removes bold/italic markers, 'unicode' renders them with Unicode letters
+ * @param {boolean} options.preserveBlankLines - Keep empty lines on platforms that collapse them (Instagram)
+ * @returns {Object} - { text, links } where links lists every URL in order of appearance
+ */
+const renderMarkdown = (markdown, { emphasis = 'strip', preserveBlankLines = false } = {}) => {
+  if (!markdown) {
+    return { text: '', links: [] };
+  }
+
+  const style = (value, name) => (emphasis === 'unicode' ? toUnicodeStyle(value, name) : value);
+  const masked = [];
+
+  let text = markdown
+    .replace(/\r\n/g, '\n')
+    // Fenced code blocks keep their content
+    .replace(/^```[^\n]*\n([\s\S]*?)^```[ \t]*$/gm, '$1')
+    // Images are attached as media, not inlined
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    // Links keep their text and target
+    .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (match, label, url) => (label === url ? url : `${label} ${url}`))
+    .replace(/<\/?[a-zA-Z][^>]*>/g, '');
+
+  // Emphasis markers inside URLs, mentions and hashtags are part of them
+  text = mask(text, masked)
+    .replace(/^[ \t]*#{1,6}[ \t]+(.*?)[ \t]*#*[ \t]*$/gm, (match, heading) => style(heading, 'bold'))
+    .replace(/^[ \t]*>[ \t]?/gm, '')
+    .replace(/^[ \t]*([-*_])([ \t]*\1){2,}[ \t]*$/gm, '')
+    .replace(/^([ \t]*)[-*+][ \t]+/gm, '$1• ')
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, (match, marker, value) => style(value, 'bold'))
+    .replace(/(^|[^\w*])\*(?=\S)([^*\n]*?\S)\*(?!\w)/g, (match, before, value) => before + style(value, 'italic'))
+    .replace(/(^|[^\w])_(?=\S)([^_\n]*?\S)_(?!\w)/g, (match, before, value) => before + style(value, 'italic'))
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '$1')
+    .replace(/`([^`\n]+)`/g, '$1')
+    .replace(/\\([\\`*_{}[\]()#+\-.!>~|])/g, '$1')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  text = unmask(text, masked);
+
+  if (preserveBlankLines) {
+    text = text.replace(/\n\n/g, `\n${INSTAGRAM_BLANK_LINE}\n`);
+  }
+
+  const links = [...new Set((text.match(URL_PATTERN) || []).map(trimUrl))];
+
+  return { text, links };
+};
+
+/**
+ * Strip markdown formatting, keeping the readable text
+ * @param {string} markdown - Markdown text
+ * @returns {string} - Plain text
+ */
+const stripMarkdown = (markdown) => renderMarkdown(markdown).text;
+
+module.exports = {
+  renderMarkdown,
+  stripMarkdown,
+  toUnicodeStyle,
+  trimUrl,
+};
@@ -0,0 +1,152 @@
+/**
+ * Rate Limit Utility
+ * Reads platform rate limit headers into the account `rateLimitInfo` shape and rates the headroom left
+ */
+
+// Header families carrying a request count: Twitter/X, Mastodon and Pinterest, Bluesky
+const HEADER_PREFIXES = ['x-rate-limit-', 'x-ratelimit-', 'ratelimit-'];
+// Meta headers reporting the percentage of the limit used instead of a count
+const USAGE_HEADERS = ['x-app-usage', 'x-business-use-case-usage', 'x-ad-account-usage'];
+// Below this share of the limit left, headroom is reported as low
+const LOW_HEADROOM = 0.1;
+
+/**
+ * Helper: Read a reset header, sent as epoch seconds, seconds from now or a date
+ * @param {string|number} value - Header value
+ * @param {number} now - Reference time in milliseconds
+ * @returns {Date|null} - Reset time
+ */
+const parseReset = (value, now = Date.now()) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+
+  if (Number.isFinite(seconds)) {
+    // Epoch timestamps are far larger than any relative window
+    return new Date(seconds > 1e9 ? seconds * 1000 : now + seconds * 1000);
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Helper: Read Meta usage headers
+ * Each header is JSON with call count and time percentages, per app or per business object
+ * @param {Object} headers - Response headers
+ * @param {number} now - Reference time in milliseconds
+ * @returns {Object|null} - { usagePercent, resetTime }
+ */
+const parseUsageHeaders = (headers, now) => {
+  const usages = [];
+
+  for (const name of USAGE_HEADERS) {
+    if (!headers[name]) continue;
+
+    try {
+      const value = typeof headers[name] === 'string' ? JSON.parse(headers[name]) : headers[name];
+      // x-app-usage is a single object; the business header lists usages per business ID
+      usages.push(...(value.call_count !== undefined ? [value] : Object.values(value).flat()));
+    } catch (error) {
+      // Malformed usage headers are ignored
+    }
+  }
+
+  if (usages.length === 0) return null;
+
+  const usagePercent = Math.max(...usages.flatMap(usage => [
+    usage.call_count || 0,
+    usage.total_time || 0,
+    usage.total_cputime || 0,
+    usage.acc_id_util_pct || 0,
+  ]));
+  const waitMinutes = Math.max(0, ...usages.map(usage => usage.estimated_time_to_regain_access || 0));
+
+  return {
+    usagePercent,
+    resetTime: waitMinutes > 0 ? new Date(now + waitMinutes * 60 * 1000) : null,
+  };
+};
+
+/**
+ * Parse the rate limit headers of a platform response
+ * @param {Object} headers - Response headers with lower-case names
+ * @param {Date} now - Reference time
+ * @returns {Object|null} - { limit, remaining, resetTime, usagePercent }, or null when the response has none
+ */
+const parseRateLimitHeaders = (headers = {}, now = new Date()) => {
+  for (const prefix of HEADER_PREFIXES) {
+    const limit = headers[`${prefix}limit`];
+    const remaining = headers[`${prefix}remaining`];
+
+    if (limit === undefined && remaining === undefined) continue;
+
+    // parseInt keeps the first number of policy values such as "3000;w=300"
+    const limitValue = parseInt(limit) || null;
+    const remainingValue = Number.isNaN(parseInt(remaining)) ? null : parseInt(remaining);
+
+    return {
+      limit: limitValue,
+      remaining: remainingValue,
+      resetTime: parseReset(headers[`${prefix}reset`], now.getTime()),
+      usagePercent: limitValue && remainingValue !== null
+        ? Math.round((1 - remainingValue / limitValue) * 100)
+        : null,
+    };
+  }
+
+  const usage = parseUsageHeaders(headers, now.getTime());
+
+  return usage ? { limit: null, remaining: null, ...usage } : null;
+};
+
+/**
+ * Get the rate limit details carried by a failed request
+ * twitter-api-v2 errors expose them as `rateLimit`; axios errors keep the response headers
+ * @param {Error} error - Error
+ * @param {Date} now - Reference time
+ * @returns {Object|null} - { limit, remaining, resetTime, usagePercent }
+ */
+const getErrorRateLimit = (error, now = new Date()) => {
+  if (error?.rateLimit) {
+    return {
+      limit: error.rateLimit.limit ?? null,
+      remaining: error.rateLimit.remaining ?? 0,
+      resetTime: parseReset(error.rateLimit.reset, now.getTime()),
+      usagePercent: 100,
+    };
+  }
+
+  return error?.response?.headers ? parseRateLimitHeaders(error.response.headers, now) : null;
+};
+
+/**
+ * Rate the headroom left under a rate limit
+ * A limit whose reset time has passed counts as restored
+ * @param {Object} rateLimit - { limit, remaining, resetTime, usagePercent }
+ * @param {Date} now - Reference time
+ * @returns {string} - ok, low, exhausted or unknown
+ */
+const getHeadroom = (rateLimit, now = new Date()) => {
+  if (!rateLimit) return 'unknown';
+
+  if (rateLimit.resetTime && new Date(rateLimit.resetTime) <= now) return 'ok';
+
+  if (rateLimit.limit && rateLimit.remaining !== null && rateLimit.remaining !== undefined) {
+    if (rateLimit.remaining <= 0) return 'exhausted';
+    return rateLimit.remaining / rateLimit.limit < LOW_HEADROOM ? 'low' : 'ok';
+  }
+
+  if (typeof rateLimit.usagePercent === 'number') {
+    if (rateLimit.usagePercent >= 100) return 'exhausted';
+    return rateLimit.usagePercent >= (1 - LOW_HEADROOM) * 100 ? 'low' : 'ok';
+  }
+
+  return rateLimit.remaining === 0 ? 'exhausted' : 'unknown';
+};
+
+module.exports = {
+  parseRateLimitHeaders,
+  getErrorRateLimit,
+  getHeadroom,
+};
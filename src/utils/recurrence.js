@@ -0,0 +1,398 @@
+/**
+ * Recurrence Utility
+ * Expands cron expressions and iCalendar RRULEs into occurrence dates
+ */
+
+const cronParser = require('cron-parser');
+const { isValidTimezone, getWallClock, fromWallClock, resolveDateTime } = require('./timezone');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['HOURLY', 'DAILY', 'WEEKLY', 'MONTHLY'];
+// Upper bound on expanded periods/dates so a rule that never matches cannot loop forever
+const MAX_ITERATIONS = 100000;
+
+/**
+ * Parse an iCalendar date (20250101T090000Z, 20250101T090000 or 20250101)
+ * Dates without `Z` are wall-clock times in the timezone
+ * @param {string} value - Date value
+ * @param {string} part - Name of the part, for errors
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} - Date
+ */
+const parseIcalDate = (value, part, timezone) => {
+  const match = String(value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/);
+
+  if (!match) {
+    throw new Error(`Invalid ${part} date: ${value}`);
+  }
+
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(item => Number(item || 0));
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  return match[7] ? new Date(wallClock) : fromWallClock(wallClock, timezone).date;
+};
+
+/**
+ * Parse a comma-separated list of integers within a range
+ * @param {string} value - List
+ * @param {string} part - Name of the part, for errors
+ * @param {number} min - Minimum
+ * @param {number} max - Maximum
+ * @returns {Array} - Numbers
+ */
+const parseNumberList = (value, part, min, max) => value.split(',').map((item) => {
+  const number = Number(item);
+
+  if (!Number.isInteger(number) || number < min || number > max || number === 0 && min < 0) {
+    throw new Error(`Invalid ${part} value: ${item}`);
+  }
+
+  return number;
+});
+
+/**
+ * Parse an RRULE, optionally preceded by a DTSTART line
+ * Supports FREQ (HOURLY, DAILY, WEEKLY, MONTHLY), INTERVAL, COUNT, UNTIL, BYDAY,
+ * BYMONTHDAY, BYHOUR and BYMINUTE. A DTSTART with a TZID sets the timezone of the rule
+ * @param {string} value - Rule, e.g. "FREQ=WEEKLY;BYDAY=MO,TH;BYHOUR=9;BYMINUTE=0"
+ * @param {string} timezone - Timezone of dates without `Z` (default: UTC)
+ * @returns {Object} - { freq, interval, count, until, dtstart, timezone, byDay, byMonthDay, byHour, byMinute }
+ */
+const parseRrule = (value, timezone = 'UTC') => {
+  const rule = { interval: 1, timezone };
+  const lines = String(value).trim().split(/\r?\n/).map(item => item.trim()).filter(Boolean);
+  let body = null;
+
+  for (const line of lines.filter(item => !/^DTSTART[:;]/i.test(item))) {
+    body = line.replace(/^RRULE:/i, '');
+  }
+
+  const dtstart = lines.find(item => /^DTSTART[:;]/i.test(item));
+
+  if (dtstart) {
+    const [, params, date] = dtstart.match(/^DTSTART((?:;[^:]*)?):(.*)$/i) || [];
+    const tzid = params && params.match(/^;TZID=([^;]+)$/i);
+
+    if (params && !tzid) {
+      throw new Error('Only the TZID parameter is supported on DTSTART');
+    }
+
+    if (tzid) {
+      if (!isValidTimezone(tzid[1])) {
+        throw new Error(`Invalid timezone: ${tzid[1]}`);
+      }
+      rule.timezone = tzid[1];
+    }
+
+    rule.dtstart = parseIcalDate(date, 'DTSTART', rule.timezone);
+  }
+
+  if (!body) {
+    throw new Error('RRULE is empty');
+  }
+
+  for (const part of body.split(';').filter(Boolean)) {
+    const [key, partValue] = part.split('=');
+
+    if (!partValue) {
+      throw new Error(`Invalid RRULE part: ${part}`);
+    }
+
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(partValue.toUpperCase())) {
+          throw new Error(`Unsupported RRULE frequency: ${partValue}`);
+        }
+        rule.freq = partValue.toUpperCase();
+        break;
+      case 'INTERVAL':
+      case 'COUNT': {
+        const number = Number(partValue);
+        if (!Number.isInteger(number) || number < 1) {
+          throw new Error(`Invalid ${key.toUpperCase()} value: ${partValue}`);
+        }
+        rule[key.toLowerCase()] = number;
+        break;
+      }
+      case 'UNTIL':
+        rule.until = parseIcalDate(partValue, 'UNTIL', rule.timezone);
+        break;
+      case 'BYDAY':
+        rule.byDay = partValue.toUpperCase().split(',').map((day) => {
+          if (!WEEKDAYS.includes(day)) {
+            throw new Error(`Unsupported BYDAY value: ${day}`);
+          }
+          return day;
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseNumberList(partValue, 'BYMONTHDAY', -31, 31);
+        break;
+      case 'BYHOUR':
+        rule.byHour = parseNumberList(partValue, 'BYHOUR', 0, 23);
+        break;
+      case 'BYMINUTE':
+        rule.byMinute = parseNumberList(partValue, 'BYMINUTE', 0, 59);
+        break;
+      case 'WKST':
+        if (partValue.toUpperCase() !== 'MO') {
+          throw new Error('Only WKST=MO is supported');
+        }
+        break;
+      default:
+        throw new Error(`Unsupported RRULE part: ${key}`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error('RRULE requires FREQ');
+  }
+
+  if (rule.count && rule.until) {
+    throw new Error('RRULE cannot combine COUNT and UNTIL');
+  }
+
+  return rule;
+};
+
+/**
+ * Check whether a day matches the day filters of a rule
+ * Without BY* parts a weekly rule repeats on the start weekday and a monthly rule on the start date
+ * @param {Object} rule - Parsed RRULE
+ * @param {Date} start - Series start
+ * @param {number} time - Timestamp within the day
+ * @returns {boolean} - Whether the day matches
+ */
+const matchesDay = (rule, start, time) => {
+  const day = new Date(time);
+
+  if (rule.byDay && !rule.byDay.includes(WEEKDAYS[day.getUTCDay()])) return false;
+
+  if (rule.byMonthDay) {
+    const length = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0)).getUTCDate();
+    const dates = rule.byMonthDay.map(date => (date < 0 ? length + date + 1 : date));
+    if (!dates.includes(day.getUTCDate())) return false;
+  }
+
+  if (rule.freq === 'WEEKLY' && !rule.byDay) return day.getUTCDay() === start.getUTCDay();
+  if (rule.freq === 'MONTHLY' && !rule.byDay && !rule.byMonthDay) return day.getUTCDate() === start.getUTCDate();
+
+  return true;
+};
+
+/**
+ * Get the occurrences of one period (hour, day, week or month) of a rule
+ * @param {Object} rule - Parsed RRULE
+ * @param {Date} start - Series start
+ * @param {number} index - Period index from the start
+ * @returns {Array} - Dates, ascending
+ */
+const getPeriodOccurrences = (rule, start, index) => {
+  const step = index * rule.interval;
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth();
+  const date = start.getUTCDate();
+  const minutes = rule.byMinute || [start.getUTCMinutes()];
+  let times;
+
+  if (rule.freq === 'HOURLY') {
+    const hour = Date.UTC(year, month, date, start.getUTCHours() + step);
+    const hourMatches = !rule.byHour || rule.byHour.includes(new Date(hour).getUTCHours());
+    times = hourMatches && matchesDay(rule, start, hour) ? [hour] : [];
+  } else {
+    let days;
+
+    if (rule.freq === 'DAILY') {
+      days = [Date.UTC(year, month, date + step)];
+    } else if (rule.freq === 'WEEKLY') {
+      const monday = date - ((start.getUTCDay() + 6) % 7) + step * 7;
+      days = Array.from({ length: 7 }, (_, i) => Date.UTC(year, month, monday + i));
+    } else {
+      const length = new Date(Date.UTC(year, month + step + 1, 0)).getUTCDate();
+      days = Array.from({ length }, (_, i) => Date.UTC(year, month + step, i + 1));
+    }
+
+    const hours = rule.byHour || [start.getUTCHours()];
+    times = days
+      .filter(day => matchesDay(rule, start, day))
+      .flatMap(day => hours.map(hour => day + hour * HOUR));
+  }
+
+  return times
+    .flatMap(time => minutes.map(minute => new Date(time + minute * MINUTE)))
+    .filter(occurrence => occurrence >= start)
+    .sort((a, b) => a - b);
+};
+
+/**
+ * Iterate the dates of an RRULE from its start
+ * The rule is expanded in wall-clock time of its timezone, so occurrences keep their local time
+ * across DST changes; local times skipped by a change move forward by the gap
+ * @param {Object} rule - Parsed RRULE
+ * @param {Date} start - Series start
+ */
+function* iterateRrule(rule, start) {
+  const localStart = new Date(getWallClock(start, rule.timezone));
+  let last = null;
+
+  for (let index = 0; index < MAX_ITERATIONS; index++) {
+    for (const local of getPeriodOccurrences(rule, localStart, index)) {
+      const { date } = fromWallClock(local.getTime(), rule.timezone);
+
+      // A skipped time moved forward can coincide with the next occurrence
+      if (date < start || (last && date <= last)) continue;
+
+      last = date;
+      yield date;
+    }
+  }
+}
+
+/**
+ * Iterate the dates of a cron expression from a date, inclusive
+ * @param {string} expression - Cron expression
+ * @param {Date} from - First possible date
+ * @param {string} timezone - IANA timezone the expression is read in
+ */
+function* iterateCron(expression, from, timezone) {
+  const interval = cronParser.parseExpression(expression, {
+    currentDate: new Date(from.getTime() - 1000),
+    tz: timezone,
+  });
+
+  for (let index = 0; index < MAX_ITERATIONS; index++) {
+    yield interval.next().toDate();
+  }
+}
+
+/**
+ * Helper: Parse an optional date; naive dates are wall-clock times in the timezone
+ * @param {*} value - Date value
+ * @param {string} field - Field name, for errors
+ * @param {string} timezone - IANA timezone
+ * @returns {Date|null} - Date
+ */
+const toDate = (value, field, timezone) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  try {
+    return resolveDateTime(value, timezone).date;
+  } catch (error) {
+    throw new Error(`${field} must be a valid date`);
+  }
+};
+
+/**
+ * Validate and normalise a recurrence
+ * Rules are read in `timezone` (default: UTC) unless an RRULE's DTSTART names its own TZID
+ * @param {Object} recurrence - { cron | rrule, timezone, startDate, endDate, count, minGapMinutes }
+ * @returns {Object} - Normalised recurrence with ISO dates
+ */
+const parseRecurrence = (recurrence) => {
+  if (!recurrence || typeof recurrence !== 'object') {
+    throw new Error('Recurrence must be an object');
+  }
+
+  const { cron, rrule } = recurrence;
+  const timezone = recurrence.timezone || 'UTC';
+
+  if (!isValidTimezone(timezone)) {
+    throw new Error(`Invalid timezone: ${timezone}`);
+  }
+
+  if (Boolean(cron) === Boolean(rrule)) {
+    throw new Error('Recurrence requires either a cron expression or an RRULE');
+  }
+
+  if (cron) {
+    try {
+      cronParser.parseExpression(cron, { tz: timezone });
+    } catch (error) {
+      throw new Error(`Invalid cron expression: ${error.message}`);
+    }
+  }
+
+  const rule = rrule ? parseRrule(rrule, timezone) : null;
+  const ruleTimezone = rule ? rule.timezone : timezone;
+  const startDate = rule?.dtstart || toDate(recurrence.startDate, 'startDate', ruleTimezone);
+  const endDate = toDate(recurrence.endDate, 'endDate', ruleTimezone);
+
+  if (startDate && endDate && endDate <= startDate) {
+    throw new Error('endDate must be after startDate');
+  }
+
+  for (const field of ['count', 'minGapMinutes']) {
+    const value = recurrence[field];
+
+    if (value !== undefined && value !== null && (!Number.isInteger(value) || value < (field === 'count' ? 1 : 0))) {
+      throw new Error(`${field} must be a ${field === 'count' ? 'positive' : 'non-negative'} integer`);
+    }
+  }
+
+  return {
+    ...(cron ? { cron } : { rrule }),
+    timezone: ruleTimezone,
+    startDate: startDate ? startDate.toISOString() : null,
+    endDate: endDate ? endDate.toISOString() : null,
+    count: recurrence.count || null,
+    minGapMinutes: recurrence.minGapMinutes || 0,
+  };
+};
+
+/**
+ * Get the occurrences of a recurrence after a date
+ * The count limits the whole series from its start, including past occurrences
+ * @param {Object} recurrence - Recurrence ({ cron | rrule, startDate, endDate, count })
+ * @param {Object} options - Options
+ * @param {Date} options.after - Only return occurrences after this date (default: now)
+ * @param {number} options.limit - Max occurrences to return (default: 10)
+ * @returns {Array} - Dates, ascending
+ */
+const getOccurrences = (recurrence, { after = new Date(), limit = 10 } = {}) => {
+  const normalised = parseRecurrence(recurrence);
+  const rule = normalised.rrule ? parseRrule(normalised.rrule, normalised.timezone) : null;
+  const start = normalised.startDate ? new Date(normalised.startDate) : new Date();
+  const counts = [normalised.count, rule?.count].filter(Boolean);
+  const count = counts.length > 0 ? Math.min(...counts) : null;
+  const ends = [normalised.endDate && new Date(normalised.endDate), rule?.until].filter(Boolean);
+  const end = ends.length > 0 ? new Date(Math.min(...ends)) : null;
+
+  // Without a count nothing before `after` matters, so a cron series can start there
+  const dates = rule
+    ? iterateRrule(rule, start)
+    : iterateCron(normalised.cron, count || after < start ? start : after, normalised.timezone);
+
+  const occurrences = [];
+  let index = 0;
+
+  for (const date of dates) {
+    index += 1;
+
+    if (count && index > count) break;
+    if (end && date > end) break;
+
+    if (date > after) {
+      occurrences.push(date);
+      if (occurrences.length >= limit) break;
+    }
+  }
+
+  return occurrences;
+};
+
+/**
+ * Get the next occurrence of a recurrence
+ * @param {Object} recurrence - Recurrence
+ * @param {Date} after - Date to search from (default: now)
+ * @returns {Date|null} - Next occurrence, or null when the series has ended
+ */
+const getNextOccurrence = (recurrence, after = new Date()) => getOccurrences(recurrence, { after, limit: 1 })[0] || null;
+
+module.exports = {
+  parseRecurrence,
+  parseRrule,
+  getOccurrences,
+  getNextOccurrence,
+};
@@ -0,0 +1,145 @@
+/**
+ * Text Splitter Utility
+ * Splits long text into platform-sized chunks for threads and reply chains
+ */
+
+const PARAGRAPH_PATTERN = /\n\s*\n/;
+const SENTENCE_PATTERN = /(?<=[.!?…]["'”’)\]]*)\s+/;
+// URLs, hashtags and mentions are never broken across chunks
+const ATOMIC_PATTERN = /^(https?:\/\/|[#@])/;
+
+const defaultMeasure = (value) => value.length;
+
+/**
+ * Split a word that is longer than a chunk into chunk-sized pieces
+ * @param {string} word - Word
+ * @param {number} maxLength - Max length per piece
+ * @param {Function} measure - Length function
+ * @returns {Array} - Pieces
+ */
+const breakWord = (word, maxLength, measure) => {
+  const pieces = [];
+  let current = '';
+
+  for (const char of word) {
+    if (current && measure(current + char) > maxLength) {
+      pieces.push(current);
+      current = '';
+    }
+    current += char;
+  }
+
+  if (current) {
+    pieces.push(current);
+  }
+
+  return pieces;
+};
+
+/**
+ * Pack text into chunks, preferring paragraph, then sentence, then word boundaries
+ * @param {string} text - Text
+ * @param {number} maxLength - Max length per chunk
+ * @param {Function} measure - Length function
+ * @returns {Array} - Chunks
+ */
+const pack = (text, maxLength, measure) => {
+  const chunks = [];
+  let current = '';
+
+  const flush = () => {
+    if (current) {
+      chunks.push(current);
+    }
+    current = '';
+  };
+
+  // Append to the current chunk if it fits, otherwise start a new chunk if the piece fits on its own
+  const place = (piece, separator) => {
+    const candidate = current ? `${current}${separator}${piece}` : piece;
+
+    if (measure(candidate) <= maxLength) {
+      current = candidate;
+      return true;
+    }
+
+    if (measure(piece) <= maxLength) {
+      flush();
+      current = piece;
+      return true;
+    }
+
+    return false;
+  };
+
+  for (const paragraph of text.split(PARAGRAPH_PATTERN)) {
+    if (place(paragraph, '\n\n')) continue;
+
+    let separator = '\n\n';
+
+    for (const sentence of paragraph.split(SENTENCE_PATTERN)) {
+      if (!place(sentence, separator)) {
+        for (const word of sentence.split(/\s+/).filter(Boolean)) {
+          if (place(word, separator)) {
+            separator = ' ';
+            continue;
+          }
+
+          flush();
+
+          if (ATOMIC_PATTERN.test(word)) {
+            current = word;
+          } else {
+            const pieces = breakWord(word, maxLength, measure);
+            current = pieces.pop();
+            chunks.push(...pieces);
+          }
+          separator = ' ';
+        }
+      }
+      separator = ' ';
+    }
+  }
+
+  flush();
+
+  return chunks;
+};
+
+/**
+ * Split text into chunks on paragraph, sentence and word boundaries
+ * @param {string} text - Long text
+ * @param {number} maxLength - Max length per chunk
+ * @param {Object} options - Split options
+ * @param {Function} options.measure - Returns the platform length of a string (default: string length)
+ * @param {boolean} options.numbered - Append a `1/n` counter to each chunk of a multi-chunk split
+ * @returns {Array} - Array of chunk texts
+ */
+const splitText = (text, maxLength, { measure = defaultMeasure, numbered = false } = {}) => {
+  const normalized = (text || '').trim();
+
+  if (!normalized) {
+    return [];
+  }
+
+  let chunks = pack(normalized, maxLength, measure);
+
+  if (!numbered || chunks.length <= 1) {
+    return chunks;
+  }
+
+  // Reserve room for the counter; repeat while the total gains a digit
+  let total = chunks.length;
+  for (;;) {
+    chunks = pack(normalized, maxLength - measure(` ${total}/${total}`), measure);
+
+    if (String(chunks.length).length <= String(total).length) break;
+    total = chunks.length;
+  }
+
+  return chunks.map((chunk, index) => `${chunk} ${index + 1}/${chunks.length}`);
+};
+
+module.exports = {
+  splitText,
+};
@@ -0,0 +1,191 @@
+/**
+ * Timezone Utility
+ * Converts wall-clock times in IANA timezones to UTC instants and back, including DST transitions
+ */
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const DISAMBIGUATIONS = ['compatible', 'earlier', 'later', 'reject'];
+const NAIVE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?$/;
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+const formatters = new Map();
+
+/**
+ * Helper: Get a cached formatter that prints the wall-clock parts of a timezone
+ * @param {string} timezone - IANA timezone
+ * @returns {Intl.DateTimeFormat} - Formatter
+ */
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+
+  return formatters.get(timezone);
+};
+
+/**
+ * Check whether a timezone name is a valid IANA timezone
+ * @param {string} timezone - Timezone name, e.g. "Europe/Berlin"
+ * @returns {boolean} - Whether it is valid
+ */
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone.trim()) return false;
+
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the wall-clock time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {number} - Wall-clock time as a UTC timestamp (whole seconds)
+ */
+const getWallClock = (date, timezone) => {
+  const parts = Object.fromEntries(
+    getFormatter(timezone).formatToParts(date).map(({ type, value }) => [type, Number(value)])
+  );
+
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+};
+
+/**
+ * Get the UTC offset of a timezone at an instant
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {number} - Offset in minutes (positive east of UTC)
+ */
+const getOffset = (date, timezone) => {
+  const time = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((getWallClock(new Date(time), timezone) - time) / MINUTE);
+};
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC instant
+ * Times skipped by a DST change have no instant and times repeated by one have two; `disambiguation`
+ * picks the result like Temporal does: `compatible` (default) moves skipped times forward by the
+ * gap and takes the earlier of repeated times, `earlier`/`later` always take that side, `reject` throws
+ * @param {number} wallClock - Wall-clock time as a UTC timestamp
+ * @param {string} timezone - IANA timezone
+ * @param {Object} options - Options
+ * @param {string} options.disambiguation - compatible, earlier, later or reject
+ * @returns {Object} - { date, adjustment: 'skipped'|'ambiguous'|null }
+ */
+const fromWallClock = (wallClock, timezone, { disambiguation = 'compatible' } = {}) => {
+  if (!DISAMBIGUATIONS.includes(disambiguation)) {
+    throw new Error(`disambiguation must be one of ${DISAMBIGUATIONS.join(', ')}`);
+  }
+
+  // Offsets either side of any transition near the time
+  const offsetBefore = getOffset(new Date(wallClock - DAY), timezone);
+  const offsetAfter = getOffset(new Date(wallClock + DAY), timezone);
+
+  const candidates = [...new Set([wallClock - offsetBefore * MINUTE, wallClock - offsetAfter * MINUTE])]
+    .filter(time => getWallClock(new Date(time), timezone) === wallClock)
+    .sort((a, b) => a - b);
+
+  if (candidates.length === 1) {
+    return { date: new Date(candidates[0]), adjustment: null };
+  }
+
+  const label = new Date(wallClock).toISOString().slice(0, 16);
+
+  if (disambiguation === 'reject') {
+    throw new Error(candidates.length === 0
+      ? `${label} does not exist in ${timezone} (skipped by a DST change)`
+      : `${label} occurs twice in ${timezone} (repeated by a DST change)`);
+  }
+
+  if (candidates.length === 0) {
+    // Applying the offset from before the change lands after the gap
+    const time = disambiguation === 'earlier' ? wallClock - offsetAfter * MINUTE : wallClock - offsetBefore * MINUTE;
+    return { date: new Date(time), adjustment: 'skipped' };
+  }
+
+  return {
+    date: new Date(disambiguation === 'later' ? candidates[1] : candidates[0]),
+    adjustment: 'ambiguous',
+  };
+};
+
+/**
+ * Resolve a date-time to a UTC instant
+ * Values with a `Z` or UTC offset are absolute; naive values ("2025-03-30T09:00") are wall-clock
+ * times in the timezone
+ * @param {string|Date} value - Date-time
+ * @param {string} timezone - IANA timezone (default: UTC)
+ * @param {Object} options - Options passed to fromWallClock
+ * @returns {Object} - { date, adjustment }
+ */
+const resolveDateTime = (value, timezone = 'UTC', options = {}) => {
+  if (!isValidTimezone(timezone)) {
+    throw new Error(`Invalid timezone: ${timezone}`);
+  }
+
+  if (value instanceof Date || OFFSET_PATTERN.test(String(value).trim())) {
+    const date = new Date(value);
+
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid date: ${value}`);
+    }
+
+    return { date, adjustment: null };
+  }
+
+  const match = String(value).trim().match(NAIVE_PATTERN);
+
+  if (!match) {
+    throw new Error(`Invalid date: ${value}; use YYYY-MM-DDTHH:mm with an optional offset`);
+  }
+
+  const [, year, month, day, hour, minute, second] = match.map(part => Number(part || 0));
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  const check = new Date(wallClock);
+
+  // Date.UTC rolls over out-of-range parts (Feb 30 becomes Mar 2)
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+
+  return fromWallClock(wallClock, timezone, options);
+};
+
+/**
+ * Render an instant as local time with its offset, e.g. "2025-03-30T09:00:00+02:00"
+ * @param {Date|string} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {string} - Local ISO 8601 date-time
+ */
+const formatInTimezone = (date, timezone) => {
+  const instant = new Date(date);
+  const offset = getOffset(instant, timezone);
+  const sign = offset < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+
+  return `${new Date(getWallClock(instant, timezone)).toISOString().slice(0, 19)}${sign}${hours}:${minutes}`;
+};
+
+module.exports = {
+  DISAMBIGUATIONS,
+  isValidTimezone,
+  getWallClock,
+  getOffset,
+  fromWallClock,
+  resolveDateTime,
+  formatInTimezone,
+};
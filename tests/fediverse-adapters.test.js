@@ -0,0 +1,168 @@
+/**
+ * Mastodon and Bluesky adapters against a local stub server
+ * The accounts point at the stub through their instance (Mastodon) and PDS URL (Bluesky)
+ */
+
+'use strict';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const MastodonAdapter = require('../src/services/social-platforms/adapters/mastodon.adapter');
+const BlueskyAdapter = require('../src/services/social-platforms/adapters/bluesky.adapter');
+
+const mastodon = new MastodonAdapter();
+const bluesky = new BlueskyAdapter();
+
+let server;
+let baseUrl;
+let requests = [];
+
+/**
+ * Helper: Read a request body, parsed as JSON when it is JSON
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<*>} - Body
+ */
+const readBody = (req) => new Promise((resolve) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks);
+    resolve((req.headers['content-type'] || '').includes('json') ? JSON.parse(body.toString()) : body);
+  });
+});
+
+/**
+ * Stub routes, answering like the Mastodon and Bluesky APIs
+ */
+const routes = {
+  'GET /media/photo.png': () => [200, Buffer.from('png'), 'image/png'],
+  'GET /api/v2/instance': () => [200, { configuration: { statuses: { max_characters: 120 } } }],
+  'POST /api/v2/media': () => [200, { id: 'media-1', url: `${baseUrl}/media/photo.png` }],
+  'POST /api/v1/statuses': ({ count }) => [200, { id: `status-${count}`, url: `${baseUrl}/@tester/status-${count}` }],
+  'GET /xrpc/com.atproto.identity.resolveHandle': ({ query }) => (query.get('handle') === 'alice.bsky.social'
+    ? [200, { did: 'did:plc:alice' }]
+    : [400, { error: 'InvalidRequest', message: 'Unable to resolve handle' }]),
+  'POST /xrpc/com.atproto.repo.uploadBlob': () => [200, { blob: { $type: 'blob', ref: { $link: 'blob-1' } } }],
+  'POST /xrpc/com.atproto.repo.createRecord': ({ count }) => [200, {
+    uri: `at://did:plc:tester/app.bsky.feed.post/post-${count}`,
+    cid: `cid-${count}`,
+  }],
+};
+
+before(async () => {
+  server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, baseUrl);
+    const key = `${req.method} ${url.pathname}`;
+    const body = await readBody(req);
+
+    requests.push({ key, body, headers: req.headers });
+
+    const route = routes[key];
+    const count = requests.filter(request => request.key === key).length;
+    const [status, payload, type = 'application/json'] = route
+      ? route({ query: url.searchParams, body, count })
+      : [404, { error: `No stub for ${key}` }];
+
+    res.writeHead(status, { 'Content-Type': type });
+    res.end(Buffer.isBuffer(payload) ? payload : JSON.stringify(payload));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+});
+
+/**
+ * Helper: Get the bodies of the requests made to a stub route
+ * @param {string} key - Method and path
+ * @returns {Array} - Request bodies
+ */
+const sent = (key) => requests.filter(request => request.key === key).map(request => request.body);
+
+test('Mastodon publishes a status with media, content warning and visibility', async () => {
+  const account = { accountMetadata: { instance: baseUrl } };
+  const postData = mastodon.prepare(
+    { content: 'Release notes are out', media: [{ url: `${baseUrl}/media/photo.png`, mime: 'image/png', name: 'photo.png' }] },
+    { contentWarning: 'Long read', visibility: 'unlisted' }
+  );
+
+  const result = await mastodon.publish(account, 'token', postData);
+  const [status] = sent('POST /api/v1/statuses');
+
+  assert.equal(result.id, 'status-1');
+  assert.equal(sent('POST /api/v2/media').length, 1);
+  assert.deepEqual(status.media_ids, ['media-1']);
+  assert.equal(status.spoiler_text, 'Long read');
+  assert.equal(status.visibility, 'unlisted');
+  assert.equal(status.sensitive, true);
+});
+
+test('Mastodon continues long content as replies within the instance limit', async () => {
+  const account = { accountMetadata: { instance: baseUrl } };
+  const text = Array.from({ length: 8 }, (_, i) => `Sentence number ${i + 1} of the announcement.`).join(' ');
+
+  const result = await mastodon.publish(account, 'token', mastodon.prepare({ content: text }));
+  const statuses = sent('POST /api/v1/statuses');
+
+  assert.ok(statuses.length > 1);
+  assert.ok(statuses.every(status => status.status.length <= 120));
+  assert.equal(statuses[0].in_reply_to_id, undefined);
+  assert.equal(statuses[0].visibility, 'public');
+  statuses.slice(1).forEach((status, i) => {
+    assert.equal(status.in_reply_to_id, `status-${i + 1}`);
+    assert.equal(status.visibility, 'unlisted');
+  });
+  assert.equal(result.thread.length, statuses.length);
+});
+
+test('Bluesky builds link, mention and hashtag facets on UTF-8 byte offsets', async () => {
+  const account = { platformAccountId: 'did:plc:tester', username: 'tester.bsky.social', accountMetadata: { serviceUrl: baseUrl } };
+  const postData = bluesky.prepare({
+    content: 'Café news: https://example.com/a_(b) is live',
+    mentions: ['alice.bsky.social', 'nobody.example'],
+    hashtags: ['launch'],
+  });
+
+  await bluesky.publish(account, 'token', postData);
+  const [{ record }] = sent('POST /xrpc/com.atproto.repo.createRecord');
+  const bytes = Buffer.from(record.text);
+  const slice = ({ index }) => bytes.subarray(index.byteStart, index.byteEnd).toString();
+  const byType = type => record.facets.filter(facet => facet.features[0].$type === `app.bsky.richtext.facet#${type}`);
+
+  assert.deepEqual(byType('link').map(slice), ['https://example.com/a_(b)']);
+  assert.equal(byType('link')[0].features[0].uri, 'https://example.com/a_(b)');
+  // Handles that do not resolve stay plain text
+  assert.deepEqual(byType('mention').map(slice), ['@alice.bsky.social']);
+  assert.equal(byType('mention')[0].features[0].did, 'did:plc:alice');
+  assert.deepEqual(byType('tag').map(slice), ['#launch']);
+});
+
+test('Bluesky splits long content into a reply thread with images on the first post', async () => {
+  const account = { platformAccountId: 'did:plc:tester', username: 'tester.bsky.social', accountMetadata: { serviceUrl: baseUrl } };
+  const text = Array.from({ length: 12 }, (_, i) => `This is sentence ${i + 1} of a long announcement.`).join(' ');
+  const postData = bluesky.prepare({
+    content: text,
+    media: [{ url: `${baseUrl}/media/photo.png`, mime: 'image/png', alternativeText: 'Screenshot' }],
+  });
+
+  const result = await bluesky.publish(account, 'token', postData);
+  const records = sent('POST /xrpc/com.atproto.repo.createRecord').map(body => body.record);
+
+  assert.ok(records.length > 1);
+  assert.ok(records.every(record => [...new Intl.Segmenter().segment(record.text)].length <= 300));
+  assert.equal(records[0].embed.images[0].alt, 'Screenshot');
+  assert.ok(records.slice(1).every(record => !record.embed));
+  records.slice(1).forEach((record, i) => {
+    assert.equal(record.reply.root.uri, 'at://did:plc:tester/app.bsky.feed.post/post-1');
+    assert.equal(record.reply.parent.uri, `at://did:plc:tester/app.bsky.feed.post/post-${i + 1}`);
+  });
+  assert.equal(result.thread.length, records.length);
+  assert.equal(result.url, 'https://bsky.app/profile/tester.bsky.social/post/post-1');
+});